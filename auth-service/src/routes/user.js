@@ -82,8 +82,60 @@ router.get('/profile', authMiddleware, getProfile);
  *                         type: boolean
  *                       desktop:
  *                         type: boolean
+ *                       quietHours:
+ *                         type: object
+ *                         description: Daily local window in which reminders are held back until it ends
+ *                         properties:
+ *                           enabled:
+ *                             type: boolean
+ *                             default: false
+ *                           start:
+ *                             type: string
+ *                             pattern: '^([01]\d|2[0-3]):[0-5]\d$'
+ *                             example: '22:00'
+ *                           end:
+ *                             type: string
+ *                             pattern: '^([01]\d|2[0-3]):[0-5]\d$'
+ *                             example: '07:00'
+ *                       doNotDisturbUntil:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Reminders are held back until this time
+ *                       channels:
+ *                         type: object
+ *                         description: Channels each notification type is delivered over (default email); an empty list mutes the type. Channels are set up in the notification service under /api/channels.
+ *                         properties:
+ *                           reminder:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [email, push, webhook, chat]
+ *                           overdue:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [email, push, webhook, chat]
+ *                           digest:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [email, push, webhook, chat]
+ *                           mention:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [email, push, webhook, chat]
  *                   timezone:
  *                     type: string
+ *                     description: IANA timezone name, e.g. Europe/Berlin; digests and "today" follow it
+ *                     default: UTC
+ *                   digestHour:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 23
+ *                     default: 8
+ *                     description: Local hour the daily digest is sent at
  *     responses:
  *       200:
  *         description: Profile updated successfully
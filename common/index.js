@@ -1,12 +1,25 @@
 // Models
 const User = require('./models/User');
 const Task = require('./models/Task');
+const Project = require('./models/Project');
+const Comment = require('./models/Comment');
+const Activity = require('./models/Activity');
+const Tombstone = require('./models/Tombstone');
+const SyncReceipt = require('./models/SyncReceipt');
+const NotificationReceipt = require('./models/NotificationReceipt');
+const SavedView = require('./models/SavedView');
+const Board = require('./models/Board');
+const CustomField = require('./models/CustomField');
+const TimeEntry = require('./models/TimeEntry');
 
 // Middleware
 const { authMiddleware, adminMiddleware, optionalAuth } = require('./middleware/auth');
+const { taskAccessMiddleware, requireProjectRole } = require('./middleware/projectAccess');
 
 // Utils
-const { userValidation, taskValidation, validate, validateQuery } = require('./utils/validation');
+const { connectDB, disconnectDB } = require('./utils/database');
+const { userValidation, taskValidation, projectValidation, commentValidation, viewValidation, boardValidation, customFieldValidation, customFieldValues, timeEntryValidation, reminderValidation, channelValidation, validate, validateQuery } = require('./utils/validation');
+const { validateRequest, schemas } = require('./middleware/validation');
 const {
   successResponse,
   errorResponse,
@@ -32,24 +45,82 @@ const {
   isTokenExpired,
   getTokenExpiration,
   generateResetToken,
-  generateVerificationToken
+  generateVerificationToken,
+  generateReminderActionToken
 } = require('./utils/jwt');
+const { extractMentionHandles, resolveMentions } = require('./utils/mentions');
+const { initialCursor, encodeCursor, decodeCursor } = require('./utils/syncCursor');
+const { getSearchTerms, highlight, highlightTask } = require('./utils/search');
+const { parseTaskQuery } = require('./utils/taskQuery');
+const { rankBetween, spreadRanks } = require('./utils/rank');
+const {
+  TIME_OF_DAY_PATTERN,
+  isTimezone,
+  getLocalParts,
+  getLocalDate,
+  fromLocalTime,
+  atLocalTime,
+  getDailyWindowEnd
+} = require('./utils/timezone');
+const {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getStatusesIn,
+  getInitialStatus,
+  canTransition,
+  mapStatus
+} = require('./utils/workflow');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  CHAT_FORMATS,
+  DEFAULT_NOTIFICATION_CHANNELS,
+  getNotificationChannels
+} = require('./utils/notificationChannels');
 
 module.exports = {
   // Models
   User,
   Task,
+  Project,
+  Comment,
+  Activity,
+  Tombstone,
+  SyncReceipt,
+  NotificationReceipt,
+  SavedView,
+  Board,
+  CustomField,
+  TimeEntry,
   
   // Middleware
   authMiddleware,
   adminMiddleware,
   optionalAuth,
+  taskAccessMiddleware,
+  requireProjectRole,
+  
+  // Database
+  connectDB,
+  disconnectDB,
   
   // Validation
   userValidation,
   taskValidation,
+  projectValidation,
+  commentValidation,
+  viewValidation,
+  boardValidation,
+  customFieldValidation,
+  customFieldValues,
+  timeEntryValidation,
+  reminderValidation,
+  channelValidation,
   validate,
   validateQuery,
+  validateRequest,
+  schemas,
   
   // Responses
   successResponse,
@@ -76,5 +147,52 @@ module.exports = {
   isTokenExpired,
   getTokenExpiration,
   generateResetToken,
-  generateVerificationToken
+  generateVerificationToken,
+  generateReminderActionToken,
+  
+  // Mention Utils
+  extractMentionHandles,
+  resolveMentions,
+  
+  // Sync Cursor Utils
+  initialCursor,
+  encodeCursor,
+  decodeCursor,
+  
+  // Search Utils
+  getSearchTerms,
+  highlight,
+  highlightTask,
+  
+  // Task Query Utils
+  parseTaskQuery,
+  
+  // Rank Utils
+  rankBetween,
+  spreadRanks,
+  
+  // Timezone Utils
+  TIME_OF_DAY_PATTERN,
+  isTimezone,
+  getLocalParts,
+  getLocalDate,
+  fromLocalTime,
+  atLocalTime,
+  getDailyWindowEnd,
+  
+  // Notification Channel Utils
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  CHAT_FORMATS,
+  DEFAULT_NOTIFICATION_CHANNELS,
+  getNotificationChannels,
+  
+  // Workflow Utils
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getStatusesIn,
+  getInitialStatus,
+  canTransition,
+  mapStatus
 };
\ No newline at end of file
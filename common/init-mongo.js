@@ -6,6 +6,16 @@ db = db.getSiblingDB('tasktrackr');
 // Create collections with proper indexing
 db.createCollection('users');
 db.createCollection('tasks');
+db.createCollection('projects');
+db.createCollection('comments');
+db.createCollection('activities');
+db.createCollection('tombstones');
+db.createCollection('syncreceipts');
+db.createCollection('notificationreceipts');
+db.createCollection('savedviews');
+db.createCollection('boards');
+db.createCollection('customfields');
+db.createCollection('timeentries');
 
 // Create indexes for users collection
 db.users.createIndex({ "email": 1 }, { unique: true });
@@ -17,11 +27,66 @@ db.tasks.createIndex({ "userId": 1 });
 db.tasks.createIndex({ "userId": 1, "status": 1 });
 db.tasks.createIndex({ "userId": 1, "dueDate": 1 });
 db.tasks.createIndex({ "userId": 1, "createdAt": -1 });
-db.tasks.createIndex({ "reminder.reminderDate": 1, "reminder.enabled": 1 });
+db.tasks.createIndex({ "reminders.status": 1, "reminders.remindAt": 1 });
 db.tasks.createIndex({ "dueDate": 1, "status": 1 });
+db.tasks.createIndex({ "dueDate": 1, "statusCategory": 1 });
 db.tasks.createIndex({ "tags": 1 });
 db.tasks.createIndex({ "category": 1 });
 db.tasks.createIndex({ "priority": 1 });
+db.tasks.createIndex({ "projectId": 1 });
+db.tasks.createIndex({ "assignees": 1, "status": 1 });
+db.tasks.createIndex({ "projectId": 1, "status": 1, "rank": 1 });
+db.tasks.createIndex(
+  { "title": "text", "description": "text", "tags": "text", "category": "text", "attachments.originalName": "text" },
+  {
+    "name": "task_text_search",
+    "weights": { "title": 10, "tags": 5, "category": 3, "description": 2, "attachments.originalName": 1 }
+  }
+);
+
+// Create indexes for projects collection
+db.projects.createIndex({ "members.userId": 1 });
+
+// Create indexes for comments collection
+db.comments.createIndex({ "taskId": 1, "createdAt": 1 });
+db.comments.createIndex({ "parentId": 1 });
+db.comments.createIndex({ "body": "text" }, { "name": "comment_text_search" });
+
+// Create indexes for activities collection
+db.activities.createIndex({ "taskId": 1, "createdAt": -1 });
+db.activities.createIndex({ "actorId": 1, "createdAt": -1 });
+
+// Create indexes for tombstones collection (expire after the 30 day default retention)
+db.tombstones.createIndex({ "taskId": 1 }, { unique: true });
+db.tombstones.createIndex({ "deletedAt": 1 }, { expireAfterSeconds: 2592000 });
+db.tombstones.createIndex({ "userId": 1, "deletedAt": 1, "_id": 1 });
+db.tombstones.createIndex({ "projectId": 1, "deletedAt": 1, "_id": 1 });
+db.tombstones.createIndex({ "revokedFrom": 1, "deletedAt": 1, "_id": 1 });
+
+// Create indexes for sync receipts collection (idempotency keys, kept 7 days)
+db.syncreceipts.createIndex({ "userId": 1, "key": 1 }, { unique: true });
+db.syncreceipts.createIndex({ "createdAt": 1 }, { expireAfterSeconds: 604800 });
+
+// Create indexes for notification receipts collection (notified events, kept 7 days)
+db.notificationreceipts.createIndex({ "key": 1 }, { unique: true });
+db.notificationreceipts.createIndex({ "createdAt": 1 }, { expireAfterSeconds: 604800 });
+
+// Create indexes for savedviews collection
+db.savedviews.createIndex({ "userId": 1, "name": 1 });
+db.savedviews.createIndex({ "projectId": 1, "name": 1 });
+
+// Create indexes for boards collection
+db.boards.createIndex({ "userId": 1, "projectId": 1 });
+db.boards.createIndex({ "projectId": 1 });
+
+// Create indexes for customfields collection
+db.customfields.createIndex({ "userId": 1, "projectId": 1, "key": 1 });
+db.customfields.createIndex({ "projectId": 1, "key": 1 });
+
+// Create indexes for timeentries collection
+db.timeentries.createIndex({ "taskId": 1, "startedAt": -1 });
+db.timeentries.createIndex({ "userId": 1, "startedAt": -1 });
+db.timeentries.createIndex({ "userId": 1 }, { unique: true, partialFilterExpression: { "isRunning": true } });
 
 // Create a sample admin user (optional - remove in production)
 const adminUser = {
@@ -36,7 +101,9 @@ const adminUser = {
       email: true,
       push: true,
       reminderMinutes: 15
-    }
+    },
+    timezone: "UTC",
+    digestHour: 8
   },
   createdAt: new Date(),
   updatedAt: new Date()
@@ -92,7 +159,11 @@ db.runCommand({
           maxLength: 200
         },
         status: {
-          enum: ["pending", "in-progress", "completed", "cancelled"]
+          bsonType: "string",
+          pattern: "^[a-z0-9]+(-[a-z0-9]+)*$"
+        },
+        statusCategory: {
+          enum: ["todo", "doing", "done"]
         },
         priority: {
           enum: ["low", "medium", "high", "urgent"]
@@ -0,0 +1,73 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+// Resolves which tasks the authenticated user may read and write, based on
+// project membership. Must run after authMiddleware.
+const taskAccessMiddleware = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { readable, writable } = await Project.getTaskAccess(userId);
+
+    req.taskAccess = {
+      read: Task.accessFilter(userId, readable),
+      // Assignees may read a task but only project editors may change it
+      write: Task.accessFilter(userId, writable, { includeAssigned: false }),
+      readableProjectIds: readable,
+      writableProjectIds: writable,
+      canWriteProject: (projectId) => !projectId ||
+        writable.some(id => id.toString() === projectId.toString())
+    };
+
+    next();
+  } catch (error) {
+    console.error('Task access middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while resolving task access.'
+    });
+  }
+};
+
+// Middleware factory to require a minimum role in the project named by a route param
+const requireProjectRole = (role, param = 'projectId') => {
+  return async (req, res, next) => {
+    try {
+      const project = await Project.findById(req.params[param]);
+
+      if (!project || !project.getMemberRole(req.user._id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      if (!project.hasRole(req.user._id, role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Project ${role} access required.`
+        });
+      }
+
+      req.project = project;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project ID format'
+        });
+      }
+
+      console.error('Project role middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error while checking project access.'
+      });
+    }
+  };
+};
+
+module.exports = {
+  taskAccessMiddleware,
+  requireProjectRole
+};
\ No newline at end of file
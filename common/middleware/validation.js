@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { STATUS_KEY_PATTERN } = require('../utils/workflow');
+const { TIME_OF_DAY_PATTERN, isTimezone } = require('../utils/timezone');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('../utils/notificationChannels');
 
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -42,6 +45,26 @@ const validateQuery = (schema) => {
   };
 };
 
+const recurrence = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(365),
+  byWeekday: Joi.array().items(Joi.number().integer().min(0).max(6)),
+  byMonthDay: Joi.number().integer().min(1).max(31),
+  bySetPos: Joi.number().valid(1, 2, 3, 4, 5, -1),
+  until: Joi.date().allow(null),
+  count: Joi.number().integer().min(1).allow(null)
+}).oxor('byMonthDay', 'bySetPos').oxor('until', 'count');
+
+// Workflow status key; whether the status exists depends on the task's project
+const taskStatus = Joi.string().max(30).pattern(STATUS_KEY_PATTERN);
+
+// Reminders at a fixed time or a number of minutes before the due date
+const reminderSchedule = Joi.array().max(10).items(Joi.object({
+  _id: Joi.string().hex().length(24),
+  remindAt: Joi.date(),
+  offsetMinutes: Joi.number().integer().min(0).max(525600)
+}).xor('remindAt', 'offsetMinutes'));
+
 // Common validation schemas
 const schemas = {
   user: {
@@ -63,9 +86,20 @@ const schemas = {
         notifications: Joi.object({
           email: Joi.boolean(),
           push: Joi.boolean(),
-          desktop: Joi.boolean()
+          desktop: Joi.boolean(),
+          quietHours: Joi.object({
+            enabled: Joi.boolean(),
+            start: Joi.string().pattern(TIME_OF_DAY_PATTERN),
+            end: Joi.string().pattern(TIME_OF_DAY_PATTERN)
+          }),
+          doNotDisturbUntil: Joi.date().iso().allow(null),
+          channels: Joi.object(Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+            type,
+            Joi.array().items(Joi.string().valid(...NOTIFICATION_CHANNELS)).unique()
+          ])))
         }),
-        timezone: Joi.string()
+        timezone: Joi.string().custom((value, helpers) => (isTimezone(value) ? value : helpers.message('Unknown timezone'))),
+        digestHour: Joi.number().integer().min(0).max(23)
       })
     })
   },
@@ -74,45 +108,83 @@ const schemas = {
     create: Joi.object({
       title: Joi.string().min(1).max(200).required(),
       description: Joi.string().max(2000).allow(''),
-      status: Joi.string().valid('pending', 'in-progress', 'completed').default('pending'),
+      status: taskStatus,
       priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
       category: Joi.string().max(50).default('General'),
       dueDate: Joi.date().greater('now'),
       tags: Joi.array().items(Joi.string().max(30)),
-      estimatedTime: Joi.number().min(0),
-      reminder: Joi.object({
-        enabled: Joi.boolean(),
-        datetime: Joi.date().greater('now')
-      })
+      projectId: Joi.string().hex().length(24).allow(null),
+      blockedBy: Joi.array().items(Joi.string().hex().length(24)),
+      recurrence: recurrence.allow(null),
+      // Values are checked against the task's custom field definitions
+      customFields: Joi.object(),
+      subtasks: Joi.array().items(Joi.object({
+        title: Joi.string().min(1).max(200).required(),
+        status: Joi.string().valid('pending', 'completed')
+      })),
+      estimatedDuration: Joi.number().min(0),
+      reminders: reminderSchedule
     }),
     
     update: Joi.object({
       title: Joi.string().min(1).max(200),
       description: Joi.string().max(2000).allow(''),
-      status: Joi.string().valid('pending', 'in-progress', 'completed'),
+      status: taskStatus,
       priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
       category: Joi.string().max(50),
       dueDate: Joi.date().greater('now').allow(null),
       tags: Joi.array().items(Joi.string().max(30)),
-      estimatedTime: Joi.number().min(0).allow(null),
-      actualTime: Joi.number().min(0).allow(null),
-      reminder: Joi.object({
-        enabled: Joi.boolean(),
-        datetime: Joi.date().greater('now').allow(null)
-      })
+      projectId: Joi.string().hex().length(24).allow(null),
+      blockedBy: Joi.array().items(Joi.string().hex().length(24)),
+      recurrence: recurrence.allow(null),
+      customFields: Joi.object(),
+      estimatedDuration: Joi.number().min(0).allow(null),
+      reminders: reminderSchedule
     }),
     
+    sync: Joi.object({
+      cursor: Joi.string().max(500),
+      lastSyncTime: Joi.date().iso(),
+      limit: Joi.number().integer().min(1).max(500),
+      localChanges: Joi.array().max(200).items(Joi.object({
+        type: Joi.string().valid('create', 'update', 'delete').required(),
+        _id: Joi.string().hex().length(24).when('type', { is: 'create', otherwise: Joi.required() }),
+        tempId: Joi.string().max(100),
+        idempotencyKey: Joi.string().max(200),
+        data: Joi.object().when('type', { is: Joi.valid('create', 'update'), then: Joi.required() }),
+        baseVersion: Joi.number().integer().min(0).when('type', { is: 'update', then: Joi.required() }),
+        base: Joi.object()
+      }))
+    }).oxor('cursor', 'lastSyncTime'),
+    
     query: Joi.object({
-      status: Joi.string().valid('pending', 'in-progress', 'completed'),
+      status: taskStatus,
+      projectId: Joi.string().hex().length(24),
       priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
       category: Joi.string(),
       tags: Joi.string(),
+      assignedToMe: Joi.boolean(),
+      createdByMe: Joi.boolean(),
       overdue: Joi.boolean(),
       dueSoon: Joi.boolean(),
       page: Joi.number().min(1).default(1),
       limit: Joi.number().min(1).max(100).default(20),
-      sortBy: Joi.string().valid('createdAt', 'dueDate', 'priority', 'title').default('createdAt'),
-      sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+      sortBy: Joi.alternatives().try(
+        Joi.string().valid('createdAt', 'dueDate', 'priority', 'title'),
+        Joi.string().pattern(/^cf\.[a-z][a-z0-9_]*$/)
+      ).default('createdAt'),
+      sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+      search: Joi.string().trim().max(200),
+      q: Joi.string().max(500).allow(''),
+      view: Joi.string().hex().length(24)
+    }),
+    search: Joi.object({
+      q: Joi.string().trim().min(1).max(200).required(),
+      projectId: Joi.string().hex().length(24),
+      status: taskStatus,
+      includeArchived: Joi.boolean(),
+      page: Joi.number().min(1).default(1),
+      limit: Joi.number().min(1).max(50).default(20)
     })
   }
 };
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Bookkeeping fields that change on every write, and board positions, are not worth recording
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'lastModified', 'syncVersion', 'seriesOverrides', 'rank', 'statusCategory'];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const activitySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'archived', 'unarchived', 'deleted'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['api', 'sync', 'bulk'],
+    default: 'api'
+  },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+activitySchema.index({ taskId: 1, createdAt: -1 });
+activitySchema.index({ actorId: 1, createdAt: -1 });
+
+// The log is append-only: existing entries can never be changed or removed
+const rejectWrite = function(next) {
+  next(new Error('Activity log is append-only'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  activitySchema.pre(operation, rejectWrite);
+});
+
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectWrite(next);
+  }
+  next();
+});
+
+const toPlain = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  return doc.toObject ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+};
+
+const isEqual = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Static method to compute the field-level differences between two versions of a task
+activitySchema.statics.diff = function(before, after) {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(previous[field], next[field]))
+    .sort()
+    .map(field => ({
+      field,
+      before: previous[field] === undefined ? null : previous[field],
+      after: next[field] === undefined ? null : next[field]
+    }));
+};
+
+// Static method to build an entry; updates that changed nothing produce no entry
+activitySchema.statics.build = function({ taskId, actorId, action = 'updated', source = 'api', before = null, after = null }) {
+  const changes = action === 'updated' || action === 'archived' || action === 'unarchived'
+    ? this.diff(before, after)
+    : [];
+
+  if (action === 'updated' && changes.length === 0) {
+    return null;
+  }
+
+  return { taskId, actorId, action, source, changes };
+};
+
+// Static method to append one entry
+activitySchema.statics.record = async function(entry) {
+  const activity = this.build(entry);
+  return activity ? this.create(activity) : null;
+};
+
+// Static method to append several entries at once
+activitySchema.statics.recordMany = async function(entries) {
+  const activities = entries.map(entry => this.build(entry)).filter(Boolean);
+  return activities.length > 0 ? this.insertMany(activities) : [];
+};
+
+module.exports = mongoose.model('Activity', activitySchema);
\ No newline at end of file
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES, findStatus, getStatusesIn } = require('../utils/workflow');
+
+// How long a move may hold a column before its claim lapses, in case the move
+// never releases it
+const COLUMN_CLAIM_MS = 10 * 1000;
+
+// Names of the columns new boards get, one per status category
+const DEFAULT_COLUMN_NAMES = {
+  todo: 'To do',
+  doing: 'In progress',
+  done: 'Done'
+};
+
+const columnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true,
+    maxlength: [50, 'Column name cannot exceed 50 characters']
+  },
+  // Workflow statuses of the tasks in the column; tasks moved into the column
+  // take the first one their workflow allows
+  statuses: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: statuses => statuses.length > 0,
+      message: 'Column must hold at least one status'
+    }
+  },
+  // Most tasks the column may hold; null for no limit
+  wipLimit: {
+    type: Number,
+    min: [1, 'WIP limit must be at least 1'],
+    default: null
+  },
+  // Set while a move into the column is checking its WIP limit
+  claimedUntil: {
+    type: Date,
+    default: null
+  }
+});
+
+columnSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.claimedUntil;
+    return ret;
+  }
+});
+
+// A kanban board over the tasks of a project, or over the personal tasks of
+// its creator when it has no project
+const boardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Board name is required'],
+    trim: true,
+    maxlength: [100, 'Board name cannot exceed 100 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  columns: [columnSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+boardSchema.index({ userId: 1, projectId: 1 });
+boardSchema.index({ projectId: 1 });
+
+// Columns hold statuses of the project's workflow, and a status may only
+// appear in one column, so every task has one place on the board. New boards
+// without columns get one per status category.
+boardSchema.pre('validate', async function() {
+  const workflow = await mongoose.model('Project').getWorkflow(this.projectId);
+
+  if (this.isNew && this.columns.length === 0) {
+    this.columns = STATUS_CATEGORIES
+      .map(category => ({ name: DEFAULT_COLUMN_NAMES[category], statuses: getStatusesIn(workflow, category) }))
+      .filter(column => column.statuses.length > 0);
+  }
+
+  const statuses = this.columns.flatMap(column => column.statuses);
+  const unknown = statuses.filter(status => !findStatus(workflow, status));
+
+  if (this.columns.length === 0) {
+    this.invalidate('columns', 'Board must have at least one column');
+  } else if (unknown.length > 0) {
+    this.invalidate('columns', `Unknown statuses for this workflow: ${unknown.join(', ')}`);
+  } else if (new Set(statuses).size !== statuses.length) {
+    this.invalidate('columns', 'A status can only belong to one column');
+  }
+});
+
+// Method to find the column holding a status
+boardSchema.methods.getColumnForStatus = function(status) {
+  return this.columns.find(column => column.statuses.includes(status)) || null;
+};
+
+// Method to build the filter for the tasks shown on the board
+boardSchema.methods.taskFilter = function(access) {
+  return {
+    ...access,
+    projectId: this.projectId || null,
+    isArchived: false,
+    status: { $in: this.columns.flatMap(column => column.statuses) }
+  };
+};
+
+// Method to check whether a user may change the board: its creator, or for a
+// project board any editor of the project
+boardSchema.methods.canEdit = function(userId, writableProjectIds = []) {
+  if (this.userId.toString() === userId.toString()) {
+    return true;
+  }
+  return Boolean(this.projectId) &&
+    writableProjectIds.some(projectId => projectId.toString() === this.projectId.toString());
+};
+
+// Static method to claim a column for a move into it, so moves are checked
+// against its WIP limit and written one at a time. Returns false while
+// another move holds the column.
+boardSchema.statics.claimColumn = async function(boardId, columnId) {
+  const now = new Date();
+  const board = await this.findOneAndUpdate(
+    {
+      _id: boardId,
+      columns: {
+        $elemMatch: {
+          _id: columnId,
+          $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }]
+        }
+      }
+    },
+    { $set: { 'columns.$.claimedUntil': new Date(now.getTime() + COLUMN_CLAIM_MS) } },
+    { timestamps: false }
+  );
+  return Boolean(board);
+};
+
+// Static method to release a column claimed by claimColumn
+boardSchema.statics.releaseColumn = function(boardId, columnId) {
+  return this.updateOne(
+    { _id: boardId, 'columns._id': columnId },
+    { $set: { 'columns.$.claimedUntil': null } },
+    { timestamps: false }
+  );
+};
+
+// Static method to build a query filter for the boards a user can see
+boardSchema.statics.accessFilter = function(userId, projectIds = []) {
+  return {
+    $or: [
+      { userId, projectId: null },
+      { projectId: { $in: projectIds } }
+    ]
+  };
+};
+
+module.exports = mongoose.model('Board', boardSchema);
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const editSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const commentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    minlength: [1, 'Comment cannot be empty'],
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editHistory: [editSchema],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Deleted comments stay in the thread as placeholders without their content
+    transform: function(doc, ret) {
+      if (ret.isDeleted) {
+        ret.body = '';
+        ret.mentions = [];
+        ret.editHistory = [];
+      }
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+commentSchema.index({ taskId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1 });
+commentSchema.index({ body: 'text' }, { name: 'comment_text_search' });
+
+// Virtual for edited comments
+commentSchema.virtual('isEdited').get(function() {
+  return this.editedAt !== null;
+});
+
+// Method to replace the body, keeping the previous version in the history
+commentSchema.methods.edit = function(body) {
+  this.editHistory.push({ body: this.body, editedAt: this.editedAt || this.createdAt });
+  this.body = body;
+  this.editedAt = new Date();
+};
+
+// Method to soft delete the comment
+commentSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect', 'user', 'url'];
+
+// Types whose values come from the field's options
+const OPTION_TYPES = ['select', 'multiselect'];
+
+// Keys name the field in task.customFields and in queries (cf.<key>)
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// A typed field tasks can carry a value for. Fields without a project apply to
+// their creator's personal tasks; project fields apply to the project's tasks.
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    maxlength: [30, 'Field key cannot exceed 30 characters'],
+    match: [FIELD_KEY_PATTERN, 'Field key must start with a letter and contain only lowercase letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Field name is required'],
+    trim: true,
+    maxlength: [50, 'Field name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: [true, 'Field type is required']
+  },
+  // Allowed values of select and multi-select fields
+  options: {
+    type: [{ type: String, trim: true, maxlength: [100, 'Option cannot exceed 100 characters'] }],
+    default: undefined
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+customFieldSchema.index({ userId: 1, projectId: 1, key: 1 });
+customFieldSchema.index({ projectId: 1, key: 1 });
+
+// Select fields need options to choose from; other types take none
+customFieldSchema.pre('validate', function(next) {
+  const options = this.options || [];
+
+  if (OPTION_TYPES.includes(this.type)) {
+    if (options.length === 0) {
+      this.invalidate('options', 'Select fields need at least one option');
+    } else if (new Set(options).size !== options.length) {
+      this.invalidate('options', 'Options must be unique');
+    }
+  } else if (options.length > 0) {
+    this.invalidate('options', 'Only select fields have options');
+  }
+  next();
+});
+
+// Method to check whether a user may change the field: its creator, or for a
+// project field any editor of the project
+customFieldSchema.methods.canEdit = function(userId, writableProjectIds = []) {
+  if (this.userId.toString() === userId.toString()) {
+    return true;
+  }
+  return Boolean(this.projectId) &&
+    writableProjectIds.some(projectId => projectId.toString() === this.projectId.toString());
+};
+
+// Method to build the filter for the tasks the field applies to
+customFieldSchema.methods.taskFilter = function() {
+  return this.projectId
+    ? { projectId: this.projectId }
+    : { userId: this.userId, projectId: null };
+};
+
+// Static method to build a query filter for the fields a user can see
+customFieldSchema.statics.accessFilter = function(userId, projectIds = []) {
+  return {
+    $or: [
+      { userId, projectId: null },
+      { projectId: { $in: projectIds } }
+    ]
+  };
+};
+
+// Static method to get the fields that apply to a task: those of its project,
+// or its owner's personal fields
+customFieldSchema.statics.getDefinitions = function(userId, projectId) {
+  return this.find(projectId ? { projectId } : { userId, projectId: null }).sort({ key: 1 });
+};
+
+customFieldSchema.statics.FIELD_TYPES = FIELD_TYPES;
+customFieldSchema.statics.OPTION_TYPES = OPTION_TYPES;
+customFieldSchema.statics.FIELD_KEY_PATTERN = FIELD_KEY_PATTERN;
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
\ No newline at end of file
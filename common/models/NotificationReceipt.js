@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// How long a sent notification is remembered; events older than this must not
+// be notified about
+const RECEIPT_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RECEIPT_RETENTION_DAYS) || 7;
+
+// Remembers that the notification for an event was sent, so a repeated
+// request for the same event does not send it again
+const notificationReceiptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance; receipts expire after the retention window
+notificationReceiptSchema.index({ key: 1 }, { unique: true });
+notificationReceiptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RECEIPT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to claim the notification for an event. Returns false when it
+// was claimed before.
+notificationReceiptSchema.statics.claim = async function(key) {
+  try {
+    await this.create({ key });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return false;
+  }
+};
+
+// Static method to check whether an event is too old to be notified about,
+// since its receipt may already have expired
+notificationReceiptSchema.statics.isBeyondRetention = function(at) {
+  return at < new Date(Date.now() - RECEIPT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+notificationReceiptSchema.statics.RETENTION_DAYS = RECEIPT_RETENTION_DAYS;
+
+module.exports = mongoose.model('NotificationReceipt', notificationReceiptSchema);
\ No newline at end of file
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const {
+  STATUS_CATEGORIES,
+  STATUS_KEY_PATTERN,
+  DEFAULT_WORKFLOW,
+  validateWorkflow
+} = require('../utils/workflow');
+
+// Roles ordered from least to most privileged
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user ID is required']
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: 'viewer'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workflowStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Status key is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Status key cannot exceed 30 characters'],
+    match: [STATUS_KEY_PATTERN, 'Status key may only contain lowercase letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Status name is required'],
+    trim: true,
+    maxlength: [50, 'Status name cannot exceed 50 characters']
+  },
+  category: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    required: [true, 'Status category is required']
+  }
+}, { _id: false });
+
+const transitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// See utils/workflow for how statuses, categories and transitions are used
+const workflowSchema = new mongoose.Schema({
+  statuses: [workflowStatusSchema],
+  transitions: [transitionSchema]
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    minlength: [1, 'Project name cannot be empty'],
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  members: [memberSchema],
+  workflow: {
+    type: workflowSchema,
+    default: () => DEFAULT_WORKFLOW
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+projectSchema.index({ 'members.userId': 1 });
+
+// Every project needs at least one owner
+projectSchema.pre('validate', function(next) {
+  if (!this.members.some(member => member.role === 'owner')) {
+    this.invalidate('members', 'Project must have at least one owner');
+  }
+
+  const workflowErrors = validateWorkflow(this.workflow);
+  if (workflowErrors.length > 0) {
+    this.invalidate('workflow', workflowErrors.join('; '));
+  }
+  next();
+});
+
+// Method to get a user's role in the project
+projectSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.userId.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Method to check that a user has at least the given role
+projectSchema.methods.hasRole = function(userId, role) {
+  const memberRole = this.getMemberRole(userId);
+  return memberRole !== null && PROJECT_ROLES.indexOf(memberRole) >= PROJECT_ROLES.indexOf(role);
+};
+
+// Static method to get the projects a user belongs to
+projectSchema.statics.getUserProjects = function(userId) {
+  return this.find({ 'members.userId': userId, isArchived: false }).sort({ name: 1 });
+};
+
+// Static method to get the project IDs a user can read and write tasks in
+projectSchema.statics.getTaskAccess = async function(userId) {
+  const projects = await this.find({ 'members.userId': userId, isArchived: false })
+    .select('members');
+
+  const readable = [];
+  const writable = [];
+
+  projects.forEach(project => {
+    readable.push(project._id);
+    if (project.hasRole(userId, 'editor')) {
+      writable.push(project._id);
+    }
+  });
+
+  return { readable, writable };
+};
+
+// Static method to get the workflow of a project, or the default workflow for
+// personal tasks
+projectSchema.statics.getWorkflow = async function(projectId) {
+  if (!projectId) {
+    return DEFAULT_WORKFLOW;
+  }
+  const project = await this.findById(projectId).select('workflow');
+  return project ? project.workflow : DEFAULT_WORKFLOW;
+};
+
+projectSchema.statics.ROLES = PROJECT_ROLES;
+
+module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
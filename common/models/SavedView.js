@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { STATUS_KEY_PATTERN } = require('../utils/workflow');
+
+// Task fields a view can group by
+const GROUP_FIELDS = {
+  status: 'status',
+  priority: 'priority',
+  category: 'category',
+  project: 'projectId',
+  dueDate: 'dueDate'
+};
+
+// Filters mirror the GET /api/tasks query parameters
+const filtersSchema = new mongoose.Schema({
+  q: {
+    type: String,
+    maxlength: [500, 'Query cannot exceed 500 characters']
+  },
+  search: {
+    type: String,
+    maxlength: [200, 'Search cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    match: [STATUS_KEY_PATTERN, 'Status may only contain lowercase letters, digits and dashes']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  category: String,
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  overdue: Boolean,
+  dueSoon: Boolean,
+  assignedToMe: Boolean,
+  createdByMe: Boolean
+}, { _id: false });
+
+// A named, reusable combination of task filters, sort and grouping. Views
+// without a project are personal; project views are shared with its members.
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+  sort: {
+    by: {
+      type: String,
+      enum: ['createdAt', 'dueDate', 'priority', 'title'],
+      default: 'createdAt'
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  groupBy: {
+    type: String,
+    enum: [...Object.keys(GROUP_FIELDS), null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+savedViewSchema.index({ userId: 1, name: 1 });
+savedViewSchema.index({ projectId: 1, name: 1 });
+
+// Method to check whether a user may change the view: its creator, or for a
+// project view any editor of the project
+savedViewSchema.methods.canEdit = function(userId, writableProjectIds = []) {
+  if (this.userId.toString() === userId.toString()) {
+    return true;
+  }
+  return Boolean(this.projectId) &&
+    writableProjectIds.some(projectId => projectId.toString() === this.projectId.toString());
+};
+
+// Method to express the view as GET /api/tasks query parameters
+savedViewSchema.methods.toTaskQuery = function() {
+  const filters = this.filters ? this.filters.toObject() : {};
+  const query = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    query[key] = Array.isArray(value) ? value.join(',') : String(value);
+  });
+
+  if (this.projectId) {
+    query.projectId = this.projectId.toString();
+  }
+
+  query.sortBy = this.sort.by;
+  query.sortOrder = this.sort.order;
+
+  return query;
+};
+
+// Static method to build a query filter for the views a user can see
+savedViewSchema.statics.accessFilter = function(userId, projectIds = []) {
+  return {
+    $or: [
+      { userId, projectId: null },
+      { projectId: { $in: projectIds } }
+    ]
+  };
+};
+
+savedViewSchema.statics.GROUP_FIELDS = GROUP_FIELDS;
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
\ No newline at end of file
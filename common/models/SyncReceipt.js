@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// How long a replayed change is recognised by its idempotency key
+const RECEIPT_RETENTION_DAYS = parseInt(process.env.SYNC_RECEIPT_RETENTION_DAYS) || 7;
+
+// Remembers the outcome of an offline change by its idempotency key, so a
+// change retried after a network drop is answered instead of applied again
+const syncReceiptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  // Task the change targets; for creates a new ID is reserved before the insert
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: () => new mongoose.Types.ObjectId()
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied'],
+    default: 'pending'
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance; receipts expire after the retention window
+syncReceiptSchema.index({ userId: 1, key: 1 }, { unique: true });
+syncReceiptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RECEIPT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to claim an idempotency key. Returns { receipt, claimed }:
+// claimed is false when the key was used before, and receipt is the earlier one.
+syncReceiptSchema.statics.claim = async function(userId, key, taskId) {
+  try {
+    const receipt = await this.create({ userId, key, ...(taskId && { taskId }) });
+    return { receipt, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const receipt = await this.findOne({ userId, key });
+    return { receipt, claimed: false };
+  }
+};
+
+// Method to store the outcome of the change
+syncReceiptSchema.methods.complete = function(result) {
+  this.status = 'applied';
+  this.result = result;
+  return this.save();
+};
+
+module.exports = mongoose.model('SyncReceipt', syncReceiptSchema);
\ No newline at end of file
@@ -1,4 +1,85 @@
 const mongoose = require('mongoose');
+const { getNextOccurrence } = require('../utils/recurrence');
+const { afterPosition } = require('../utils/syncCursor');
+const {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getInitialStatus,
+  getStatusesIn,
+  canTransition,
+  mapStatus
+} = require('../utils/workflow');
+const { customFieldValues } = require('../utils/validation');
+
+// Fields a recurring series carries from one occurrence to the next
+const SERIES_FIELDS = ['title', 'description', 'priority', 'category', 'tags', 'estimatedDuration', 'dueDate'];
+
+// Most matches a search ranks; beyond that the query has to be narrowed
+const SEARCH_MAX_RESULTS = 200;
+
+// Weight of the best matching comment relative to the task's own fields
+const COMMENT_SEARCH_WEIGHT = 1;
+
+// Delivery states of a reminder: skipped reminders were scheduled for a time
+// that had already passed; snoozed ones are delivered again at snoozedUntil
+const REMINDER_STATUSES = ['pending', 'sent', 'failed', 'skipped', 'snoozed', 'acknowledged'];
+
+// Most reminders a task can have
+const MAX_REMINDERS = 10;
+
+// Deliveries of a reminder tried before it is given up as failed
+const REMINDER_MAX_ATTEMPTS = 3;
+
+// Fields offline clients cannot change through sync. Status timestamps follow
+// from status changes and ranks from board moves, and flow reports trust both.
+const SYNC_PROTECTED_FIELDS = [
+  '_id', '__v', 'userId', 'createdBy', 'assignees', 'createdAt', 'updatedAt',
+  'lastModified', 'syncVersion', 'seriesId', 'occurrence', 'seriesOverrides',
+  'statusCategory', 'startedAt', 'completedAt', 'rank', 'actualDuration'
+];
+
+// Work out when a reminder is due. A new reminder, or one whose time changed,
+// is pending again, or skipped if that time has already passed; any other
+// keeps the delivery state of the stored reminder it continues.
+const scheduleReminder = (reminder, dueDate, previous) => {
+  const isRelative = reminder.offsetMinutes !== null && reminder.offsetMinutes !== undefined;
+  let remindAt = reminder.remindAt ? new Date(reminder.remindAt) : null;
+
+  if (isRelative) {
+    remindAt = dueDate ? new Date(new Date(dueDate).getTime() - reminder.offsetMinutes * 60000) : null;
+  }
+
+  const scheduled = {
+    offsetMinutes: isRelative ? reminder.offsetMinutes : null,
+    remindAt
+  };
+
+  const unchanged = previous && String(previous.remindAt || '') === String(remindAt || '');
+  if (unchanged) {
+    return {
+      ...scheduled,
+      _id: previous._id,
+      status: previous.status,
+      sentAt: previous.sentAt,
+      attempts: previous.attempts,
+      lastError: previous.lastError,
+      snoozedUntil: previous.snoozedUntil,
+      acknowledgedAt: previous.acknowledgedAt
+    };
+  }
+
+  return {
+    ...scheduled,
+    ...(previous && { _id: previous._id }),
+    status: remindAt && remindAt <= new Date() ? 'skipped' : 'pending',
+    sentAt: null,
+    attempts: 0,
+    lastError: null,
+    snoozedUntil: null,
+    acknowledgedAt: null
+  };
+};
 
 const attachmentSchema = new mongoose.Schema({
   filename: {
@@ -27,6 +108,68 @@ const attachmentSchema = new mongoose.Schema({
   }
 });
 
+// A reminder at a fixed time, or a number of minutes before the due date
+const reminderSchema = new mongoose.Schema({
+  // Minutes before the due date; null for reminders at a fixed time
+  offsetMinutes: {
+    type: Number,
+    min: [0, 'Reminder offset cannot be negative'],
+    default: null
+  },
+  // When the reminder is due; relative reminders follow the due date and have
+  // none while the task has no due date
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: REMINDER_STATUSES,
+    default: 'pending'
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  snoozedUntil: {
+    type: Date,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Subtask title is required'],
+    trim: true,
+    minlength: [1, 'Subtask title cannot be empty'],
+    maxlength: [200, 'Subtask title cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
 const taskSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,6 +177,21 @@ const taskSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
   title: {
     type: String,
     required: [true, 'Task title is required'],
@@ -47,12 +205,19 @@ const taskSchema = new mongoose.Schema({
     maxlength: [2000, 'Description cannot exceed 2000 characters'],
     default: ''
   },
+  // A status of the project's workflow (see utils/workflow); new tasks start
+  // in its first todo status
   status: {
     type: String,
-    enum: ['pending', 'in-progress', 'completed', 'cancelled'],
-    default: 'pending',
+    trim: true,
     index: true
   },
+  // Category of the status in the workflow, kept in sync with it
+  statusCategory: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    default: 'todo'
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -63,6 +228,11 @@ const taskSchema = new mongoose.Schema({
     default: null,
     index: true
   },
+  // When the task first moved to a doing status; the start of its cycle time
+  startedAt: {
+    type: Date,
+    default: null
+  },
   completedAt: {
     type: Date,
     default: null
@@ -78,24 +248,15 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  subtasks: [subtaskSchema],
   tags: [{
     type: String,
     trim: true,
     lowercase: true
   }],
-  reminder: {
-    enabled: {
-      type: Boolean,
-      default: false
-    },
-    reminderDate: {
-      type: Date,
-      default: null
-    },
-    notified: {
-      type: Boolean,
-      default: false
-    }
+  reminders: {
+    type: [reminderSchema],
+    validate: [reminders => reminders.length <= MAX_REMINDERS, `A task can have at most ${MAX_REMINDERS} reminders`]
   },
   category: {
     type: String,
@@ -107,14 +268,78 @@ const taskSchema = new mongoose.Schema({
     type: Number, // in minutes
     default: null
   },
+  // Total of the task's finished time entries
   actualDuration: {
     type: Number, // in minutes
     default: null
   },
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Values of the custom fields of the task's project, or of its owner for
+  // personal tasks, keyed by field key (see CustomField)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1'],
+      default: 1
+    },
+    byWeekday: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31
+    },
+    bySetPos: {
+      type: Number,
+      enum: [1, 2, 3, 4, 5, -1]
+    },
+    until: {
+      type: Date,
+      default: null
+    },
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1'],
+      default: null
+    }
+  },
+  // Recurring series bookkeeping
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  // Series values this occurrence overrides, keyed by field
+  seriesOverrides: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   isArchived: {
     type: Boolean,
     default: false
   },
+  // Manual position on boards (see utils/rank); unranked tasks sort last
+  rank: {
+    type: String,
+    default: null
+  },
   // For offline sync
   lastModified: {
     type: Date,
@@ -133,14 +358,31 @@ const taskSchema = new mongoose.Schema({
 // Indexes for performance
 taskSchema.index({ userId: 1, status: 1 });
 taskSchema.index({ userId: 1, dueDate: 1 });
+taskSchema.index({ dueDate: 1, statusCategory: 1 });
 taskSchema.index({ userId: 1, createdAt: -1 });
 taskSchema.index({ userId: 1, priority: 1 });
-taskSchema.index({ 'reminder.reminderDate': 1, 'reminder.enabled': 1 });
+taskSchema.index({ 'reminders.status': 1, 'reminders.remindAt': 1 });
 taskSchema.index({ lastModified: -1 });
+taskSchema.index({ lastModified: 1, _id: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ assignees: 1, status: 1 });
+taskSchema.index({ createdBy: 1 });
+taskSchema.index({ seriesId: 1, occurrence: 1 });
+taskSchema.index({ projectId: 1, status: 1, rank: 1 });
+taskSchema.index({
+  title: 'text',
+  description: 'text',
+  tags: 'text',
+  category: 'text',
+  'attachments.originalName': 'text'
+}, {
+  name: 'task_text_search',
+  weights: { title: 10, tags: 5, category: 3, description: 2, 'attachments.originalName': 1 }
+});
 
 // Virtual for overdue tasks
 taskSchema.virtual('isOverdue').get(function() {
-  if (!this.dueDate || this.status === 'completed' || this.status === 'cancelled') {
+  if (!this.dueDate || this.statusCategory === 'done') {
     return false;
   }
   return new Date() > this.dueDate;
@@ -148,22 +390,106 @@ taskSchema.virtual('isOverdue').get(function() {
 
 // Virtual for days remaining
 taskSchema.virtual('daysRemaining').get(function() {
-  if (!this.dueDate || this.status === 'completed') return null;
+  if (!this.dueDate || this.statusCategory === 'done') return null;
   const now = new Date();
   const diffTime = this.dueDate - now;
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Virtual for progress derived from subtasks
+taskSchema.virtual('progress').get(function() {
+  const total = this.subtasks ? this.subtasks.length : 0;
+  const completed = total > 0
+    ? this.subtasks.filter(subtask => subtask.status === 'completed').length
+    : 0;
+
+  let percentage;
+  if (total > 0) {
+    percentage = Math.round((completed / total) * 100);
+  } else {
+    percentage = this.statusCategory === 'done' ? 100 : 0;
+  }
+
+  return { total, completed, percentage };
+});
+
+// Check the status against the workflow of the task's project and keep its
+// category in sync. A task moved to another project without a new status
+// takes the closest status of that project's workflow.
+taskSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('status') && !this.isModified('projectId')) {
+    return;
+  }
+
+  const workflow = await mongoose.model('Project').getWorkflow(this.projectId);
+
+  if (!this.status) {
+    this.status = getInitialStatus(workflow);
+  } else if (!this.isModified('status')) {
+    this.status = mapStatus(workflow, this.status, this.statusCategory);
+  }
+
+  const status = findStatus(workflow, this.status);
+  if (!status) {
+    this.invalidate('status', `"${this.status}" is not a status of this workflow`);
+    return;
+  }
+
+  this.statusCategory = status.category;
+});
+
+// Schedule the reminders of new tasks and whenever the reminders or the due
+// date change, so relative reminders follow the due date
+taskSchema.pre('validate', function(next) {
+  if (!this.isNew && !this.isModified('reminders') && !this.isModified('dueDate')) {
+    return next();
+  }
+
+  this.reminders.forEach(reminder => {
+    const stored = !reminder.isNew && !reminder.isModified('remindAt') && !reminder.isModified('offsetMinutes');
+    reminder.set(scheduleReminder(reminder, this.dueDate, stored ? reminder : null));
+  });
+
+  this.reminders.forEach(reminder => {
+    if (reminder.offsetMinutes === null && !reminder.remindAt) {
+      this.invalidate('reminders', 'Reminders need either a time or an offset before the due date');
+    }
+  });
+  next();
+});
+
 // Update lastModified on save
 taskSchema.pre('save', function(next) {
   this.lastModified = new Date();
   this.syncVersion += 1;
   
-  // Set completedAt when status changes to completed
-  if (this.isModified('status')) {
-    if (this.status === 'completed' && !this.completedAt) {
+  // Tasks created before assignment support were created by their owner
+  if (!this.createdBy) {
+    this.createdBy = this.userId;
+  }
+  
+  // Anchor recurring series and monthly rules to the first occurrence
+  if (this.recurrence && this.recurrence.frequency) {
+    if (!this.seriesId) {
+      this.seriesId = this._id;
+    }
+
+    if (this.recurrence.frequency === 'monthly' && !this.recurrence.byMonthDay &&
+        !this.recurrence.bySetPos && this.dueDate) {
+      this.recurrence.byMonthDay = this.dueDate.getDate();
+    }
+  }
+  
+  // Set startedAt when work first starts and completedAt when the status moves
+  // into the done category
+  if (this.isModified('statusCategory') || this.isNew) {
+    if (this.statusCategory === 'doing' && !this.startedAt) {
+      this.startedAt = new Date();
+    }
+
+    if (this.statusCategory === 'done' && !this.completedAt) {
       this.completedAt = new Date();
-    } else if (this.status !== 'completed') {
+    } else if (this.statusCategory !== 'done') {
       this.completedAt = null;
     }
   }
@@ -171,29 +497,845 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
-// Method to mark task as completed
-taskSchema.methods.markCompleted = function() {
-  this.status = 'completed';
+// Updates that bypass save() must still advance the sync bookkeeping. System
+// writes (the systemWrite query option) only touch fields offline clients
+// cannot edit, so they are synced down without bumping syncVersion, which
+// would make the clients' pending edits look conflicting.
+taskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) {
+    return next();
+  }
+
+  delete update.syncVersion;
+  if (update.$set) {
+    delete update.$set.syncVersion;
+  }
+
+  if (!this.getOptions().systemWrite) {
+    update.$inc = { ...update.$inc, syncVersion: 1 };
+  }
+  update.$set = { ...update.$set, lastModified: new Date() };
+  next();
+});
+
+// Method to mark task as completed, with the first done status of its workflow
+taskSchema.methods.markCompleted = async function() {
+  const workflow = await mongoose.model('Project').getWorkflow(this.projectId);
+  this.status = getStatusesIn(workflow, 'done')[0];
   this.completedAt = new Date();
-  return this.save();
+  await this.save();
+  await this.createNextOccurrence();
+  return this;
 };
 
-// Method to set reminder
+// Method to generate the next occurrence of a recurring task
+taskSchema.methods.createNextOccurrence = async function() {
+  const rule = this.recurrence;
+  if (!rule || !rule.frequency) {
+    return null;
+  }
+
+  const Task = this.constructor;
+  const seriesId = this.seriesId || this._id;
+  const occurrence = (this.occurrence || 1) + 1;
+
+  if (rule.count && occurrence > rule.count) {
+    return null;
+  }
+
+  // Series values this occurrence overrode still drive the next one
+  const overrides = this.seriesOverrides || {};
+  const scheduledDate = overrides.dueDate || this.dueDate || this.completedAt || new Date();
+  const dueDate = getNextOccurrence(rule, new Date(scheduledDate));
+
+  if (!dueDate || (rule.until && dueDate > rule.until)) {
+    return null;
+  }
+
+  // Completing the same occurrence twice must not fork the series
+  const existing = await Task.findOne({ seriesId, occurrence });
+  if (existing) {
+    return existing;
+  }
+
+  if (!this.seriesId) {
+    await Task.updateOne({ _id: this._id }, { $set: { seriesId } }, { systemWrite: true });
+    this.seriesId = seriesId;
+  }
+
+  const carried = SERIES_FIELDS.reduce((acc, field) => {
+    acc[field] = field in overrides ? overrides[field] : this[field];
+    return acc;
+  }, {});
+
+  const nextData = {
+    ...carried,
+    userId: this.userId,
+    createdBy: this.createdBy,
+    assignees: this.assignees,
+    projectId: this.projectId,
+    dueDate,
+    subtasks: this.subtasks.map(subtask => ({ title: subtask.title })),
+    recurrence: rule.toObject ? rule.toObject() : rule,
+    seriesId,
+    occurrence
+  };
+
+  // Relative reminders follow the new due date; reminders at a fixed time keep
+  // the same distance from it
+  nextData.reminders = (this.reminders || [])
+    .filter(reminder => reminder.offsetMinutes !== null || reminder.remindAt)
+    .map(reminder => (reminder.offsetMinutes !== null
+      ? { offsetMinutes: reminder.offsetMinutes }
+      : { remindAt: new Date(dueDate.getTime() - (new Date(scheduledDate) - reminder.remindAt)) }));
+
+  const next = new Task(nextData);
+  await next.save();
+  return next;
+};
+
+// Method to add a reminder at a fixed time
 taskSchema.methods.setReminder = function(reminderDate) {
-  this.reminder.enabled = true;
-  this.reminder.reminderDate = reminderDate;
-  this.reminder.notified = false;
+  this.reminders.push({ remindAt: reminderDate });
+  return this.save();
+};
+
+// Method to add a subtask at the end of the checklist
+taskSchema.methods.addSubtask = function(title) {
+  this.subtasks.push({ title });
+  return this.save();
+};
+
+// Method to toggle a subtask between pending and completed
+taskSchema.methods.toggleSubtask = function(subtaskId) {
+  const subtask = this.subtasks.id(subtaskId);
+
+  if (subtask.status === 'completed') {
+    subtask.status = 'pending';
+    subtask.completedAt = null;
+  } else {
+    subtask.status = 'completed';
+    subtask.completedAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Method to check that a list of IDs is a permutation of the current subtasks
+taskSchema.methods.isSubtaskOrder = function(orderedIds) {
+  const ids = orderedIds.map(id => id.toString());
+  const currentIds = this.subtasks.map(subtask => subtask._id.toString());
+
+  return ids.length === currentIds.length &&
+    new Set(ids).size === ids.length &&
+    ids.every(id => currentIds.includes(id));
+};
+
+// Method to reorder subtasks
+taskSchema.methods.reorderSubtasks = function(orderedIds) {
+  this.subtasks = orderedIds.map(id => this.subtasks.id(id));
   return this.save();
 };
 
-// Static method to get user's tasks with filters
-taskSchema.statics.getUserTasks = function(userId, filters = {}) {
-  const query = { userId, isArchived: false };
+// Method to remove a subtask
+taskSchema.methods.removeSubtask = function(subtaskId) {
+  this.subtasks.id(subtaskId).deleteOne();
+  return this.save();
+};
+
+// Method to check whether a user is assigned to the task
+taskSchema.methods.isAssignedTo = function(userId) {
+  return this.assignees.some(id => id.toString() === userId.toString());
+};
+
+// Method to assign users, returning the IDs that were newly assigned
+taskSchema.methods.assign = function(userIds) {
+  const added = [];
+
+  userIds.forEach(userId => {
+    if (!this.isAssignedTo(userId) && !added.some(id => id.toString() === userId.toString())) {
+      added.push(userId);
+    }
+  });
+
+  this.assignees.push(...added);
+  return added;
+};
+
+// Method to unassign a user, returning whether they were assigned
+taskSchema.methods.unassign = function(userId) {
+  if (!this.isAssignedTo(userId)) {
+    return false;
+  }
+
+  this.assignees = this.assignees.filter(id => id.toString() !== userId.toString());
+  return true;
+};
+
+// Clean up after deleted tasks: remove them from the blockedBy lists of their
+// dependents, delete their comments and time entries and leave tombstones for
+// offline clients
+const cleanUpDeletedTasks = async (Task, tasks) => {
+  if (tasks.length === 0) {
+    return;
+  }
+
+  const taskIds = tasks.map(task => task._id);
+
+  await Task.updateMany(
+    { blockedBy: { $in: taskIds } },
+    { $pull: { blockedBy: { $in: taskIds } } },
+    { systemWrite: true }
+  );
+  await mongoose.model('Comment').deleteMany({ taskId: { $in: taskIds } });
+  await mongoose.model('TimeEntry').deleteMany({ taskId: { $in: taskIds } });
+  await mongoose.model('Tombstone').recordDeletions(tasks);
+};
+
+taskSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await cleanUpDeletedTasks(this.model, [doc]);
+  }
+});
+
+taskSchema.pre('deleteMany', async function() {
+  this._deletedTasks = await this.model.find(this.getFilter())
+    .select('userId projectId assignees');
+});
+
+taskSchema.post('deleteMany', async function() {
+  await cleanUpDeletedTasks(this.model, this._deletedTasks || []);
+});
+
+// Static method to get the blockers of a task that are still open
+taskSchema.statics.findOpenBlockers = function(blockedByIds) {
+  return this.find({
+    _id: { $in: blockedByIds || [] },
+    statusCategory: { $ne: 'done' }
+  }).select('title status');
+};
+
+// Static method to check a status or project change to an existing task
+// against the workflow it ends up in, adding the fields derived from the status
+// to the updates. Returns validation errors.
+taskSchema.statics.resolveStatusUpdate = async function(task, updates) {
+  const targetProjectId = updates.projectId !== undefined ? updates.projectId : task.projectId;
+  const movesProject = String(targetProjectId || '') !== String(task.projectId || '');
+
+  if (updates.status === undefined && !movesProject) {
+    return [];
+  }
+
+  const workflow = await mongoose.model('Project').getWorkflow(targetProjectId);
+  const key = updates.status !== undefined
+    ? updates.status
+    : mapStatus(workflow, task.status, task.statusCategory);
+
+  const status = findStatus(workflow, key);
+  if (!status) {
+    return [{ field: 'status', message: `"${key}" is not a status of this workflow` }];
+  }
+
+  if (!movesProject && !canTransition(workflow, task.status, key)) {
+    return [{ field: 'status', message: `Cannot change status from "${task.status}" to "${key}"` }];
+  }
+
+  updates.status = key;
+  updates.statusCategory = status.category;
+  if (status.category !== task.statusCategory) {
+    updates.completedAt = status.category === 'done' ? new Date() : null;
+  }
+  if (status.category === 'doing' && !task.startedAt) {
+    updates.startedAt = new Date();
+  }
+
+  return [];
+};
+
+// Static method to check the custom field values given for a new task (task is
+// null) or an existing one against the fields that apply to it, and merge them
+// into the stored values. Stored values of a task moving to another project
+// are kept only where that project's fields accept them. Returns validation errors.
+taskSchema.statics.resolveCustomFields = async function(task, updates) {
+  const projectId = updates.projectId !== undefined ? updates.projectId : task && task.projectId;
+  const movesProject = Boolean(task) && String(projectId || '') !== String(task.projectId || '');
+
+  if (task && updates.customFields === undefined && !movesProject) {
+    return [];
+  }
+
+  const fields = await mongoose.model('CustomField').getDefinitions(task ? task.userId : updates.userId, projectId);
+  const schema = customFieldValues(fields);
+
+  const { error, value } = schema.validate(updates.customFields || {}, { abortEarly: false });
+  if (error) {
+    return error.details.map(detail => ({
+      field: ['customFields', ...detail.path].join('.'),
+      message: detail.message
+    }));
+  }
+
+  const values = {};
+  Object.entries((task && task.customFields) || {}).forEach(([key, stored]) => {
+    if (!schema.validate({ [key]: stored }).error) {
+      values[key] = stored;
+    }
+  });
+  Object.entries(value).forEach(([key, given]) => {
+    if (given === null) {
+      delete values[key];
+    } else {
+      values[key] = given;
+    }
+  });
+
+  const missing = fields.filter(field => field.required && values[field.key] === undefined);
+  if (missing.length > 0) {
+    return missing.map(field => ({ field: `customFields.${field.key}`, message: `${field.name} is required` }));
+  }
+
+  updates.customFields = values;
+  return [];
+};
+
+// Static method to schedule the reminders given for an existing task, or
+// reschedule its stored ones when only the due date changes. Given reminders
+// that carry the _id of a stored one continue it. Returns validation errors.
+taskSchema.statics.resolveReminders = function(task, updates) {
+  if (updates.reminders === undefined && updates.dueDate === undefined) {
+    return [];
+  }
+
+  const stored = task.reminders || [];
+  const given = updates.reminders !== undefined ? updates.reminders || [] : stored;
+  const dueDate = updates.dueDate !== undefined ? updates.dueDate : task.dueDate;
+
+  if (given.length > MAX_REMINDERS) {
+    return [{ field: 'reminders', message: `A task can have at most ${MAX_REMINDERS} reminders` }];
+  }
+
+  const isRelative = reminder => reminder.offsetMinutes !== null && reminder.offsetMinutes !== undefined;
+  const invalid = updates.reminders ? given.findIndex(reminder => isRelative(reminder) === Boolean(reminder.remindAt)) : -1;
+  if (invalid !== -1) {
+    return [{ field: `reminders.${invalid}`, message: 'Reminders need either a time or an offset before the due date' }];
+  }
+
+  updates.reminders = given.map(reminder => {
+    const previous = reminder._id && stored.find(item => item._id.toString() === reminder._id.toString());
+    return scheduleReminder(reminder, dueDate, previous);
+  });
+  return [];
+};
+
+// Static method to find open tasks with reminders to deliver by a time: pending
+// ones that are due and snoozed ones whose snooze has run out
+taskSchema.statics.findDueReminders = function(until) {
+  return this.find({
+    $or: [
+      { reminders: { $elemMatch: { status: 'pending', remindAt: { $lte: until } } } },
+      { reminders: { $elemMatch: { status: 'snoozed', snoozedUntil: { $lte: until } } } }
+    ],
+    statusCategory: { $ne: 'done' },
+    isArchived: false
+  });
+};
+
+// Method to list the reminders findDueReminders matched the task for
+taskSchema.methods.getDueReminders = function(until) {
+  return this.reminders.filter(reminder =>
+    (reminder.status === 'pending' && reminder.remindAt && reminder.remindAt <= until) ||
+    (reminder.status === 'snoozed' && reminder.snoozedUntil && reminder.snoozedUntil <= until));
+};
+
+// Static method to record a delivery attempt of a reminder. A failed reminder
+// stays due until it has used up its attempts. The reminder is only updated
+// if it was not rescheduled, snoozed or acknowledged in the meantime.
+taskSchema.statics.recordReminderDelivery = function(task, reminder, error = null) {
+  const attempts = (reminder.attempts || 0) + 1;
+  const set = {
+    'reminders.$[reminder].attempts': attempts,
+    'reminders.$[reminder].lastError': error ? error.message : null
+  };
+
+  if (!error) {
+    set['reminders.$[reminder].status'] = 'sent';
+    set['reminders.$[reminder].sentAt'] = new Date();
+    set['reminders.$[reminder].snoozedUntil'] = null;
+  } else if (attempts >= REMINDER_MAX_ATTEMPTS) {
+    set['reminders.$[reminder].status'] = 'failed';
+  }
+
+  return this.updateOne(
+    { _id: task._id },
+    { $set: set },
+    {
+      arrayFilters: [{
+        'reminder._id': reminder._id,
+        'reminder.status': reminder.status,
+        'reminder.remindAt': reminder.remindAt,
+        'reminder.snoozedUntil': reminder.snoozedUntil
+      }],
+      systemWrite: true
+    }
+  );
+};
+
+// Static method to snooze a reminder of a task matching a filter until a
+// later time, whether or not it was delivered yet. Returns the updated task,
+// or null if there is no such task or reminder.
+taskSchema.statics.snoozeReminder = function(filter, reminderId, until) {
+  return this.findOneAndUpdate(
+    { ...filter, 'reminders._id': reminderId },
+    {
+      $set: {
+        'reminders.$.status': 'snoozed',
+        'reminders.$.snoozedUntil': until,
+        'reminders.$.attempts': 0,
+        'reminders.$.lastError': null,
+        'reminders.$.acknowledgedAt': null
+      }
+    },
+    { new: true, systemWrite: true }
+  );
+};
+
+// Static method to acknowledge a reminder of a task matching a filter, so it
+// is not delivered (again). Returns the updated task, or null if there is no
+// such task or reminder.
+taskSchema.statics.acknowledgeReminder = function(filter, reminderId) {
+  return this.findOneAndUpdate(
+    { ...filter, 'reminders._id': reminderId },
+    {
+      $set: {
+        'reminders.$.status': 'acknowledged',
+        'reminders.$.acknowledgedAt': new Date(),
+        'reminders.$.snoozedUntil': null
+      }
+    },
+    { new: true, systemWrite: true }
+  );
+};
+
+// Static method to move the single reminder of tasks saved before tasks could
+// have several into the reminders list
+taskSchema.statics.backfillReminders = async function() {
+  const legacy = { reminder: { $exists: true } };
+  const tasks = await this.collection.find(legacy, { projection: { reminder: 1 } }).toArray();
+
+  await Promise.all(tasks.map(({ _id, reminder }) => {
+    const reminders = reminder.enabled && reminder.reminderDate
+      ? [{
+        _id: new mongoose.Types.ObjectId(),
+        offsetMinutes: null,
+        remindAt: reminder.reminderDate,
+        status: reminder.notified ? 'sent' : 'pending',
+        sentAt: null,
+        attempts: reminder.notified ? 1 : 0,
+        lastError: null,
+        snoozedUntil: null,
+        acknowledgedAt: null
+      }]
+      : [];
+
+    return this.collection.updateOne(
+      { _id },
+      { $set: { reminders }, $unset: { reminder: 1 } }
+    );
+  }));
+};
+
+// Static method to set statusCategory on tasks saved before workflows existed,
+// which all use the default workflow
+taskSchema.statics.backfillStatusCategories = async function() {
+  const missing = { statusCategory: { $exists: false } };
+
+  await Promise.all(STATUS_CATEGORIES.map(category => this.collection.updateMany(
+    { ...missing, status: { $in: getStatusesIn(DEFAULT_WORKFLOW, category) } },
+    { $set: { statusCategory: category } }
+  )));
+};
+
+// Static method to check a proposed blockedBy list within an access scope;
+// returns validation errors
+taskSchema.statics.validateDependencies = async function(access, taskId, blockedByIds) {
+  const ids = [...new Set((blockedByIds || []).map(id => id.toString()))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  if (taskId && ids.includes(taskId.toString())) {
+    return [{ field: 'blockedBy', message: 'A task cannot be blocked by itself' }];
+  }
+
+  const blockers = await this.aggregate([
+    { $match: { _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) }, ...access } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream',
+        restrictSearchWithMatch: access
+      }
+    },
+    { $project: { upstream: '$upstream._id' } }
+  ]);
+
+  if (blockers.length !== ids.length) {
+    return [{ field: 'blockedBy', message: 'One or more blocking tasks were not found' }];
+  }
+
+  if (taskId) {
+    const target = taskId.toString();
+    const createsCycle = blockers.some(blocker =>
+      blocker.upstream.some(id => id.toString() === target)
+    );
+
+    if (createsCycle) {
+      return [{ field: 'blockedBy', message: 'Dependency would create a cycle' }];
+    }
+  }
+
+  return [];
+};
+
+// Static method to get the upstream and downstream dependency chains of a task
+taskSchema.statics.getDependencyGraph = async function(taskId, access) {
+  const nodeFields = { _id: 1, title: 1, status: 1, statusCategory: 1, dueDate: 1, blockedBy: 1, depth: 1 };
+
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(taskId.toString()), ...access } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream',
+        depthField: 'depth',
+        restrictSearchWithMatch: access
+      }
+    },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'blockedBy',
+        as: 'downstream',
+        depthField: 'depth',
+        restrictSearchWithMatch: access
+      }
+    },
+    {
+      $project: {
+        title: 1,
+        status: 1,
+        statusCategory: 1,
+        dueDate: 1,
+        blockedBy: 1,
+        upstream: nodeFields,
+        downstream: nodeFields
+      }
+    }
+  ]);
+
+  if (!result) {
+    return null;
+  }
+
+  const byDepth = (a, b) => a.depth - b.depth;
+  result.upstream.sort(byDepth);
+  result.downstream.sort(byDepth);
+
+  // Longest chain of still-open blockers ending at this task
+  const nodes = new Map(result.upstream.map(node => [node._id.toString(), node]));
+  const isOpen = node => node.statusCategory !== 'done';
+  const memo = new Map();
+
+  const longestChain = (node, visiting) => {
+    const key = node._id.toString();
+    if (memo.has(key)) return memo.get(key);
+    if (visiting.has(key)) return [];
+    visiting.add(key);
+
+    let best = [];
+    for (const blockerId of node.blockedBy || []) {
+      const blocker = nodes.get(blockerId.toString());
+      if (blocker && isOpen(blocker)) {
+        const chain = longestChain(blocker, visiting);
+        if (chain.length > best.length) best = chain;
+      }
+    }
+
+    visiting.delete(key);
+    const chain = [...best, node._id];
+    memo.set(key, chain);
+    return chain;
+  };
+
+  return {
+    task: {
+      _id: result._id,
+      title: result.title,
+      status: result.status,
+      statusCategory: result.statusCategory,
+      dueDate: result.dueDate,
+      blockedBy: result.blockedBy
+    },
+    upstream: result.upstream,
+    downstream: result.downstream,
+    criticalPath: longestChain(result, new Set())
+  };
+};
+
+// Static method to update a task; for recurring tasks scope is 'this' (only
+// this occurrence) or 'future' (this and all later occurrences of the series)
+taskSchema.statics.updateOccurrence = async function(filter, updates, scope = 'this') {
+  const task = await this.findOne(filter);
+  if (!task) {
+    return null;
+  }
+
+  const set = { ...updates };
+  const unset = {};
+
+  if (task.seriesId || (task.recurrence && task.recurrence.frequency)) {
+    const overrides = { ...(task.seriesOverrides || {}) };
+    const editedFields = SERIES_FIELDS.filter(field => updates[field] !== undefined);
+
+    if (scope === 'future') {
+      editedFields.forEach(field => delete overrides[field]);
+    } else {
+      editedFields.forEach(field => {
+        if (!(field in overrides)) {
+          const value = task[field];
+          overrides[field] = value && value.toObject ? value.toObject() : value;
+        }
+      });
+    }
+
+    if (Object.keys(overrides).length > 0) {
+      set.seriesOverrides = overrides;
+    } else {
+      unset.seriesOverrides = 1;
+    }
+
+    // Later occurrences that already exist follow future edits and rule changes
+    const futureUpdates = {};
+    if (scope === 'future') {
+      editedFields
+        .filter(field => field !== 'dueDate')
+        .forEach(field => { futureUpdates[field] = updates[field]; });
+    }
+    if (updates.recurrence !== undefined) {
+      futureUpdates.recurrence = updates.recurrence;
+    }
+
+    if (task.seriesId && Object.keys(futureUpdates).length > 0) {
+      await this.updateMany(
+        {
+          seriesId: task.seriesId,
+          occurrence: { $gt: task.occurrence },
+          statusCategory: { $ne: 'done' }
+        },
+        { $set: futureUpdates },
+        { runValidators: true }
+      );
+    }
+  }
+
+  const update = { $set: set };
+  if (Object.keys(unset).length > 0) {
+    update.$unset = unset;
+  }
+
+  return this.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+};
+
+// Static method to drop the fields offline clients cannot set through sync
+taskSchema.statics.pickSyncFields = function(values = {}) {
+  return Object.keys(values)
+    .filter(field => !SYNC_PROTECTED_FIELDS.includes(field))
+    .reduce((acc, field) => {
+      acc[field] = values[field];
+      return acc;
+    }, {});
+};
+
+// Static method to merge an offline change into the current server version of
+// a task. The client sends the syncVersion its edit was based on and, ideally,
+// the base values of the fields it changed; each field is then merged
+// three-way. Fields changed on both sides to different values are conflicts.
+taskSchema.statics.mergeSyncChange = function(task, change) {
+  const local = this.castObject(this.pickSyncFields(change.data));
+  const base = this.castObject(this.pickSyncFields(change.base));
+  const server = task.toObject({ depopulate: true, virtuals: false });
+  const serverChanged = task.syncVersion !== change.baseVersion;
+
+  const normalize = value => JSON.stringify(value === undefined ? null : value);
+  const same = (a, b) => normalize(a) === normalize(b);
+
+  const updates = {};
+  const conflicts = [];
+
+  Object.keys(local).forEach(field => {
+    const localValue = local[field];
+    const serverValue = server[field];
+
+    if (same(localValue, serverValue)) {
+      return;
+    }
+
+    // Nothing changed on the server since the client's base, or only the client changed this field
+    if (!serverChanged || (field in base && same(base[field], serverValue))) {
+      updates[field] = localValue;
+      return;
+    }
+
+    // Only the server changed this field
+    if (field in base && same(base[field], localValue)) {
+      return;
+    }
+
+    conflicts.push({
+      field,
+      base: field in base ? base[field] : null,
+      local: localValue,
+      server: serverValue === undefined ? null : serverValue
+    });
+  });
+
+  return { updates, conflicts };
+};
+
+// Static method to get tasks changed after a sync cursor position, oldest first
+taskSchema.statics.getChangesAfter = function(access, position, limit) {
+  return this.find({ $and: [access, afterPosition('lastModified', position)] })
+    .sort({ lastModified: 1, _id: 1 })
+    .limit(limit);
+};
+
+// Static method to build the filter for tasks a user can access: their own
+// personal tasks, every task in the given projects and, unless includeAssigned
+// is false, tasks assigned to them. Being assigned grants read access only, so
+// write filters leave it out.
+taskSchema.statics.accessFilter = function(userId, projectIds = [], { includeAssigned = true } = {}) {
+  return {
+    $or: [
+      { userId, projectId: null },
+      ...(includeAssigned ? [{ assignees: userId }] : []),
+      { projectId: { $in: projectIds } }
+    ]
+  };
+};
+
+// Static method to unassign a user from every task of a project, e.g. when
+// they leave it
+taskSchema.statics.unassignFromProject = function(projectId, userId) {
+  return this.updateMany(
+    { projectId, assignees: userId },
+    { $pull: { assignees: userId } },
+    { systemWrite: true }
+  );
+};
+
+// Static method to check in memory whether a task matches accessFilter;
+// references may be populated
+taskSchema.statics.isAccessibleBy = function(task, userId, projectIds = []) {
+  const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+  const id = userId.toString();
+
+  if (!task.projectId && task.userId && toId(task.userId) === id) {
+    return true;
+  }
+
+  if ((task.assignees || []).some(assignee => toId(assignee) === id)) {
+    return true;
+  }
+
+  return Boolean(task.projectId) &&
+    projectIds.some(projectId => projectId.toString() === toId(task.projectId));
+};
+
+// Static method to rank accessible tasks matching a text search, by their own
+// fields and their comments. Returns up to SEARCH_MAX_RESULTS of
+// { _id, score, comment }, where comment is the best matching comment if any.
+taskSchema.statics.search = async function(access, text, { projectId, status, includeArchived = false } = {}) {
+  const match = this.find({
+    ...access,
+    ...(!includeArchived && { isArchived: false }),
+    ...(projectId && { projectId }),
+    ...(status && { status })
+  }).cast(this);
+
+  const [taskMatches, commentMatches] = await Promise.all([
+    this.find({ ...match, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_MAX_RESULTS)
+      .lean(),
+    mongoose.model('Comment').aggregate([
+      { $match: { $text: { $search: text }, isDeleted: false } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1 } },
+      { $group: { _id: '$taskId', score: { $first: '$score' }, commentId: { $first: '$_id' }, body: { $first: '$body' } } },
+      { $lookup: {
+        from: this.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $match: match }, { $project: { _id: 1 } }],
+        as: 'task'
+      } },
+      { $match: { 'task.0': { $exists: true } } },
+      { $sort: { score: -1 } },
+      { $limit: SEARCH_MAX_RESULTS }
+    ])
+  ]);
+
+  const results = new Map();
+
+  taskMatches.forEach(task => {
+    results.set(task._id.toString(), { _id: task._id, score: task.score, comment: null });
+  });
+
+  commentMatches.forEach(({ _id, score, commentId, body }) => {
+    const result = results.get(_id.toString()) || { _id, score: 0, comment: null };
+    result.score += score * COMMENT_SEARCH_WEIGHT;
+    result.comment = { _id: commentId, body };
+    results.set(_id.toString(), result);
+  });
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score || b._id.toString().localeCompare(a._id.toString()))
+    .slice(0, SEARCH_MAX_RESULTS);
+};
+
+// Static method to get accessible tasks with filters
+taskSchema.statics.getUserTasks = function(access, filters = {}) {
+  const query = { ...access };
+
+  if (!filters.includeArchived) {
+    query.isArchived = false;
+  }
+  
+  if (filters.projectId) {
+    query.projectId = filters.projectId;
+  }
   
   if (filters.status) {
     query.status = filters.status;
   }
   
+  if (filters.assignedTo) {
+    query.assignees = filters.assignedTo;
+  }
+  
+  if (filters.createdBy) {
+    query.createdBy = filters.createdBy;
+  }
+  
   if (filters.category) {
     query.category = filters.category;
   }
@@ -210,15 +1352,35 @@ taskSchema.statics.getUserTasks = function(userId, filters = {}) {
     query.dueDate = { ...query.dueDate, $gte: new Date(filters.dueAfter) };
   }
   
-  return this.find(query).sort({ createdAt: -1 });
+  if (filters.tags && filters.tags.length > 0) {
+    query.tags = { $in: filters.tags };
+  }
+  
+  if (filters.overdue) {
+    query.dueDate = { ...query.dueDate, $lt: new Date() };
+    query.statusCategory = { $ne: 'done' };
+  }
+  
+  if (filters.dueSoon) {
+    const threeDaysFromNow = new Date();
+    threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
+    query.dueDate = { ...query.dueDate, $gte: new Date(), $lte: threeDaysFromNow };
+  }
+
+  // Filter parsed from the task query language
+  if (filters.query) {
+    query.$and = [filters.query];
+  }
+  
+  return this.find(query).sort(filters.sort || { createdAt: -1 });
 };
 
 // Static method to get overdue tasks
-taskSchema.statics.getOverdueTasks = function(userId) {
+taskSchema.statics.getOverdueTasks = function(access) {
   return this.find({
-    userId,
+    ...access,
     dueDate: { $lt: new Date() },
-    status: { $in: ['pending', 'in-progress'] },
+    statusCategory: { $ne: 'done' },
     isArchived: false
   });
 };
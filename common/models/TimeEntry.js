@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const TIMESHEET_GROUPS = ['day', 'week', 'tag', 'category'];
+
+// Time a user spent on a task. Entries without an end are running timers;
+// a user has at most one running timer.
+const timeEntrySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  duration: {
+    type: Number, // in minutes, set when the entry ends
+    default: null
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+timeEntrySchema.index({ userId: 1, startedAt: -1 });
+// The guard against two running timers for the same user, even when two
+// start requests race
+timeEntrySchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+// Finished entries get their duration from their start and end
+timeEntrySchema.pre('validate', function(next) {
+  this.isRunning = !this.endedAt;
+
+  if (this.endedAt) {
+    if (this.endedAt <= this.startedAt) {
+      this.invalidate('endedAt', 'End time must be after the start time');
+    }
+    this.duration = Math.round((this.endedAt - this.startedAt) / 60000);
+  } else {
+    this.duration = null;
+  }
+  next();
+});
+
+// Method to stop a running timer
+timeEntrySchema.methods.stop = function(endedAt = new Date()) {
+  this.endedAt = endedAt;
+  return this.save();
+};
+
+// Static method to set a task's actualDuration to the total of its finished entries
+timeEntrySchema.statics.updateTaskDuration = async function(taskId) {
+  const [total] = await this.aggregate([
+    { $match: { taskId: new mongoose.Types.ObjectId(taskId), isRunning: false } },
+    { $group: { _id: null, minutes: { $sum: '$duration' } } }
+  ]);
+
+  await mongoose.model('Task').updateOne(
+    { _id: taskId },
+    { $set: { actualDuration: total ? total.minutes : null } },
+    { systemWrite: true }
+  );
+};
+
+// Static method to total a user's finished entries that started in a period,
+// grouped by day or ISO week (in the given timezone), or by task tag or category.
+// Entries on tasks with several tags count toward each tag, so tag groups can
+// add up to more than the total. A projectId limits the sheet to the
+// project's tasks.
+timeEntrySchema.statics.getTimesheet = async function(userId, { from, to, groupBy, timezone = 'UTC', projectId }) {
+  const groupKeys = {
+    day: { $dateToString: { date: '$startedAt', format: '%Y-%m-%d', timezone } },
+    week: { $dateToString: { date: '$startedAt', format: '%G-W%V', timezone } },
+    tag: '$task.tags',
+    category: '$task.category'
+  };
+
+  const [result] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), isRunning: false, startedAt: { $gte: from, $lt: to } } },
+    { $lookup: { from: 'tasks', localField: 'taskId', foreignField: '_id', as: 'task' } },
+    { $unwind: '$task' },
+    { $match: projectId ? { 'task.projectId': new mongoose.Types.ObjectId(projectId) } : {} },
+    {
+      $facet: {
+        total: [
+          { $group: { _id: null, minutes: { $sum: '$duration' }, entries: { $sum: 1 } } }
+        ],
+        groups: [
+          ...groupBy === 'tag'
+            ? [{ $unwind: { path: '$task.tags', preserveNullAndEmptyArrays: true } }]
+            : [],
+          {
+            $group: {
+              _id: groupKeys[groupBy],
+              minutes: { $sum: '$duration' },
+              entries: { $sum: 1 },
+              taskIds: { $addToSet: '$taskId' }
+            }
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, key: { $ifNull: ['$_id', null] }, minutes: 1, entries: 1, tasks: { $size: '$taskIds' } } }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total[0] || { minutes: 0, entries: 0 };
+  return { totalMinutes: total.minutes, entries: total.entries, groups: result.groups };
+};
+
+timeEntrySchema.statics.TIMESHEET_GROUPS = TIMESHEET_GROUPS;
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
\ No newline at end of file
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { afterPosition } = require('../utils/syncCursor');
+
+// How long deletions are remembered for offline clients
+const RETENTION_DAYS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS) || 30;
+
+// Records a deleted task so that clients syncing later learn about the
+// deletion. Keeps the task's access fields so Task.accessFilter applies as is.
+// Users who lost access to a task that still exists are told it was deleted too.
+const tombstoneSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Task ID is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who can no longer access the task, though it was not deleted
+  revokedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance; MongoDB removes tombstones once the retention window has passed
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+tombstoneSchema.index({ userId: 1, deletedAt: 1, _id: 1 });
+tombstoneSchema.index({ projectId: 1, deletedAt: 1, _id: 1 });
+tombstoneSchema.index({ revokedFrom: 1, deletedAt: 1, _id: 1 });
+
+// Static method to record the deletion of tasks
+tombstoneSchema.statics.recordDeletions = function(tasks) {
+  if (tasks.length === 0) {
+    return Promise.resolve();
+  }
+
+  const deletedAt = new Date();
+
+  return this.bulkWrite(tasks.map(task => ({
+    updateOne: {
+      filter: { taskId: task._id },
+      update: {
+        $set: {
+          userId: task.userId,
+          projectId: task.projectId || null,
+          assignees: task.assignees || [],
+          deletedAt
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+// Static method to record that users lost access to tasks that still exist.
+// New tombstones keep the project the tasks left, which no one can read any
+// more, so only the listed users see them.
+tombstoneSchema.statics.recordAccessLoss = function(losses) {
+  losses = losses.filter(({ userIds }) => userIds.length > 0);
+  if (losses.length === 0) {
+    return Promise.resolve();
+  }
+
+  const deletedAt = new Date();
+
+  return this.bulkWrite(losses.map(({ task, userIds }) => ({
+    updateOne: {
+      filter: { taskId: task._id },
+      update: {
+        $setOnInsert: {
+          userId: task.userId,
+          projectId: task.projectId || null,
+          assignees: []
+        },
+        $addToSet: { revokedFrom: { $each: userIds } },
+        $set: { deletedAt }
+      },
+      upsert: true
+    }
+  })));
+};
+
+// Static method to get the deletions a user can see after a sync cursor
+// position, including tasks the user lost access to
+tombstoneSchema.statics.getDeletionsAfter = function(userId, access, position, limit) {
+  return this.find({ $and: [{ $or: [access, { revokedFrom: userId }] }, afterPosition('deletedAt', position)] })
+    .select('taskId deletedAt')
+    .sort({ deletedAt: 1, _id: 1 })
+    .limit(limit);
+};
+
+// Static method to check whether deletions since a point in time may already
+// have been garbage-collected, in which case the client must resync fully
+tombstoneSchema.statics.isBeyondRetention = function(since) {
+  return since < new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+tombstoneSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
\ No newline at end of file
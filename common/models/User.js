@@ -1,5 +1,37 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { TIME_OF_DAY_PATTERN, isTimezone, getDailyWindowEnd } = require('../utils/timezone');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  CHAT_FORMATS,
+  DEFAULT_NOTIFICATION_CHANNELS
+} = require('../utils/notificationChannels');
+
+// Most browsers or devices a user can receive Web Push notifications on
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+
+// Web Push subscription of a browser, as returned by PushManager.subscribe()
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: {
+    type: String,
+    required: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -57,6 +89,85 @@ const userSchema = new mongoose.Schema({
       reminderMinutes: {
         type: Number,
         default: 15
+      },
+      // Daily local window, in the user's timezone, in which reminders are held
+      // back and other notifications skip push and chat
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        start: {
+          type: String,
+          match: [TIME_OF_DAY_PATTERN, 'Quiet hours must be given as HH:mm'],
+          default: '22:00'
+        },
+        end: {
+          type: String,
+          match: [TIME_OF_DAY_PATTERN, 'Quiet hours must be given as HH:mm'],
+          default: '07:00'
+        }
+      },
+      // Quiet hours apply until this time
+      doNotDisturbUntil: {
+        type: Date,
+        default: null
+      },
+      // Channels each notification type is delivered over
+      channels: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, {
+        type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+        default: () => [...DEFAULT_NOTIFICATION_CHANNELS]
+      }]))
+    },
+    // IANA timezone name; digests and "today" follow the user's local day
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isTimezone,
+        message: props => `${props.value} is not a known timezone`
+      }
+    },
+    // Local hour (0-23) the daily digest is sent at
+    digestHour: {
+      type: Number,
+      min: [0, 'Digest hour must be between 0 and 23'],
+      max: [23, 'Digest hour must be between 0 and 23'],
+      default: 8
+    }
+  },
+  // Local date (YYYY-MM-DD) of the last daily digest sent to the user
+  lastDigestDate: {
+    type: String,
+    default: null
+  },
+  // Where the push, webhook and chat channels deliver to
+  channelSettings: {
+    pushSubscriptions: {
+      type: [pushSubscriptionSchema],
+      default: []
+    },
+    // Receives notifications as JSON, signed with the secret
+    webhook: {
+      url: {
+        type: String,
+        default: null
+      },
+      secret: {
+        type: String,
+        default: null
+      }
+    },
+    // Slack or Microsoft Teams incoming webhook
+    chat: {
+      url: {
+        type: String,
+        default: null
+      },
+      format: {
+        type: String,
+        enum: CHAT_FORMATS,
+        default: 'slack'
       }
     }
   }
@@ -65,6 +176,11 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.channelSettings) {
+        delete ret.channelSettings.webhook?.secret;
+        ret.channelSettings.pushSubscriptions = (ret.channelSettings.pushSubscriptions || [])
+          .map(({ endpoint, createdAt }) => ({ endpoint, createdAt }));
+      }
       return ret;
     }
   }
@@ -91,6 +207,63 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get when the quiet hours or do-not-disturb window an instant falls
+// in ends, following on through windows that overlap; null outside them
+userSchema.methods.getQuietHoursEnd = function(at = new Date()) {
+  const notifications = this.preferences?.notifications || {};
+  const quietHours = notifications.quietHours;
+  const timezone = this.preferences?.timezone || 'UTC';
+
+  let end = at;
+  // Do-not-disturb may end inside quiet hours and quiet hours inside do-not-disturb
+  for (let i = 0; i < 3; i++) {
+    const ends = [
+      notifications.doNotDisturbUntil > end ? notifications.doNotDisturbUntil : null,
+      quietHours?.enabled ? getDailyWindowEnd(end, timezone, quietHours.start, quietHours.end) : null
+    ].filter(Boolean);
+
+    if (ends.length === 0) {
+      break;
+    }
+    end = new Date(Math.max(...ends));
+  }
+
+  return end > at ? end : null;
+};
+
+// Static method to add a browser's Web Push subscription to a user, replacing
+// the keys of an endpoint already subscribed; the oldest ones beyond the limit
+// are dropped
+userSchema.statics.savePushSubscription = async function(userId, { endpoint, keys }) {
+  const updated = await this.updateOne(
+    { _id: userId, 'channelSettings.pushSubscriptions.endpoint': endpoint },
+    { $set: { 'channelSettings.pushSubscriptions.$.keys': keys } }
+  );
+  if (updated.matchedCount > 0) {
+    return updated;
+  }
+
+  return this.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        'channelSettings.pushSubscriptions': {
+          $each: [{ endpoint, keys, createdAt: new Date() }],
+          $slice: -MAX_PUSH_SUBSCRIPTIONS
+        }
+      }
+    }
+  );
+};
+
+// Static method to remove Web Push subscriptions from a user by endpoint
+userSchema.statics.removePushSubscriptions = function(userId, endpoints) {
+  return this.updateOne(
+    { _id: userId },
+    { $pull: { 'channelSettings.pushSubscriptions': { endpoint: { $in: endpoints } } } }
+  );
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tombstone = require('../models/Tombstone');
+const { taskAccessMiddleware } = require('../middleware/projectAccess');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Task.accessFilter', () => {
+  const userId = id();
+  const projectIds = [id(), id()];
+
+  it('matches personal tasks, assigned tasks and tasks of the given projects', () => {
+    expect(Task.accessFilter(userId, projectIds)).toEqual({
+      $or: [
+        { userId, projectId: null },
+        { assignees: userId },
+        { projectId: { $in: projectIds } }
+      ]
+    });
+  });
+
+  it('leaves out assigned tasks for write access', () => {
+    expect(Task.accessFilter(userId, projectIds, { includeAssigned: false })).toEqual({
+      $or: [
+        { userId, projectId: null },
+        { projectId: { $in: projectIds } }
+      ]
+    });
+  });
+
+  it('matches no project tasks without projects', () => {
+    expect(Task.accessFilter(userId).$or).toContainEqual({ projectId: { $in: [] } });
+  });
+});
+
+describe('Task.isAccessibleBy', () => {
+  const userId = id();
+  const projectId = id();
+
+  it('grants the creator access to a personal task only', () => {
+    expect(Task.isAccessibleBy({ userId, projectId: null }, userId)).toBe(true);
+    expect(Task.isAccessibleBy({ userId, projectId }, userId)).toBe(false);
+  });
+
+  it('grants access to assignees and to members of the task project', () => {
+    expect(Task.isAccessibleBy({ userId: id(), projectId, assignees: [userId] }, userId)).toBe(true);
+    expect(Task.isAccessibleBy({ userId: id(), projectId }, userId, [projectId])).toBe(true);
+    expect(Task.isAccessibleBy({ userId: id(), projectId }, userId, [id()])).toBe(false);
+  });
+
+  it('accepts populated references', () => {
+    expect(Task.isAccessibleBy({ userId: { _id: userId, name: 'Ada' }, projectId: null }, userId)).toBe(true);
+    expect(Task.isAccessibleBy({ userId: id(), projectId, assignees: [{ _id: userId }] }, userId)).toBe(true);
+  });
+});
+
+describe('taskAccessMiddleware', () => {
+  const userId = id();
+  const viewerOf = new Project({ name: 'Read only', createdBy: id(), members: [{ userId, role: 'viewer' }] });
+  const editorOf = new Project({ name: 'Shared', createdBy: userId, members: [{ userId, role: 'editor' }] });
+
+  beforeEach(() => {
+    jest.spyOn(Project, 'find').mockReturnValue({ select: () => Promise.resolve([viewerOf, editorOf]) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads every project the user belongs to and writes only those they edit', async () => {
+    const req = { user: { _id: userId } };
+    const next = jest.fn();
+
+    await taskAccessMiddleware(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.taskAccess.read).toEqual(Task.accessFilter(userId, [viewerOf._id, editorOf._id]));
+    expect(req.taskAccess.write).toEqual(Task.accessFilter(userId, [editorOf._id], { includeAssigned: false }));
+    expect(req.taskAccess.canWriteProject(null)).toBe(true);
+    expect(req.taskAccess.canWriteProject(editorOf._id.toString())).toBe(true);
+    expect(req.taskAccess.canWriteProject(viewerOf._id)).toBe(false);
+  });
+
+  it('only looks at projects that are not archived', async () => {
+    await taskAccessMiddleware({ user: { _id: userId } }, {}, jest.fn());
+
+    expect(Project.find).toHaveBeenCalledWith({ 'members.userId': userId, isArchived: false });
+  });
+});
+
+describe('Tombstone.getDeletionsAfter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('includes tasks the user lost access to', () => {
+    const userId = id();
+    const access = Task.accessFilter(userId, []);
+    const query = { select: () => query, sort: () => query, limit: () => query };
+    jest.spyOn(Tombstone, 'find').mockReturnValue(query);
+
+    Tombstone.getDeletionsAfter(userId, access, { t: new Date(0), id: null }, 10);
+
+    expect(Tombstone.find.mock.calls[0][0].$and[0]).toEqual({ $or: [access, { revokedFrom: userId }] });
+  });
+});
\ No newline at end of file
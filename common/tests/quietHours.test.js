@@ -0,0 +1,55 @@
+const User = require('../models/User');
+
+const user = (notifications = {}, timezone = 'UTC') => new User({
+  name: 'Ada',
+  email: 'ada@example.com',
+  password: 'secret123',
+  preferences: { timezone, notifications }
+});
+
+const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+describe('User#getQuietHoursEnd', () => {
+  it('returns null when quiet hours are off and there is no do-not-disturb', () => {
+    expect(user().getQuietHoursEnd(new Date('2024-06-03T23:00:00Z'))).toBeNull();
+    expect(user({ quietHours: { ...quietHours, enabled: false } })
+      .getQuietHoursEnd(new Date('2024-06-03T23:00:00Z'))).toBeNull();
+  });
+
+  it('ends quiet hours entered in the evening the next morning', () => {
+    expect(user({ quietHours }).getQuietHoursEnd(new Date('2024-06-03T23:30:00Z')))
+      .toEqual(new Date('2024-06-04T07:00:00Z'));
+  });
+
+  it('ends quiet hours entered after midnight the same morning', () => {
+    expect(user({ quietHours }).getQuietHoursEnd(new Date('2024-06-04T03:00:00Z')))
+      .toEqual(new Date('2024-06-04T07:00:00Z'));
+  });
+
+  it('returns null outside quiet hours and at their end', () => {
+    expect(user({ quietHours }).getQuietHoursEnd(new Date('2024-06-04T12:00:00Z'))).toBeNull();
+    expect(user({ quietHours }).getQuietHoursEnd(new Date('2024-06-04T07:00:00Z'))).toBeNull();
+  });
+
+  it("follows the user's timezone", () => {
+    // 22:30 in Berlin (UTC+2 in summer)
+    expect(user({ quietHours }, 'Europe/Berlin').getQuietHoursEnd(new Date('2024-06-03T20:30:00Z')))
+      .toEqual(new Date('2024-06-04T05:00:00Z'));
+    expect(user({ quietHours }, 'Europe/Berlin').getQuietHoursEnd(new Date('2024-06-03T19:30:00Z'))).toBeNull();
+  });
+
+  it('holds back until do-not-disturb ends', () => {
+    const doNotDisturbUntil = new Date('2024-06-04T15:00:00Z');
+
+    expect(user({ doNotDisturbUntil }).getQuietHoursEnd(new Date('2024-06-04T12:00:00Z'))).toEqual(doNotDisturbUntil);
+    expect(user({ doNotDisturbUntil }).getQuietHoursEnd(new Date('2024-06-04T16:00:00Z'))).toBeNull();
+  });
+
+  it('follows do-not-disturb and quiet hours that overlap', () => {
+    // Do-not-disturb ends inside quiet hours, which then run until morning
+    const doNotDisturbUntil = new Date('2024-06-03T23:00:00Z');
+
+    expect(user({ quietHours, doNotDisturbUntil }).getQuietHoursEnd(new Date('2024-06-03T18:00:00Z')))
+      .toEqual(new Date('2024-06-04T07:00:00Z'));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { rankBetween, spreadRanks } = require('../utils/rank');
+
+describe('rankBetween', () => {
+  it('generates a rank strictly between two ranks', () => {
+    const rank = rankBetween('a', 'c');
+
+    expect(rank > 'a' && rank < 'c').toBe(true);
+  });
+
+  it('generates ranks at the start and end of a list', () => {
+    expect(rankBetween(null, 'b') < 'b').toBe(true);
+    expect(rankBetween('y', null) > 'y').toBe(true);
+    expect(rankBetween(null, null)).toBe('i');
+  });
+
+  it('finds room between adjacent ranks by adding digits', () => {
+    const rank = rankBetween('a', 'b');
+
+    expect(rank > 'a' && rank < 'b').toBe(true);
+    expect(rank.length).toBe(2);
+  });
+
+  it('never ends a rank in "0", so there is always room after it', () => {
+    let before = 'a';
+    for (let i = 0; i < 50; i++) {
+      const rank = rankBetween(before, 'a1');
+      expect(rank > before && rank < 'a1').toBe(true);
+      expect(rank.endsWith('0')).toBe(false);
+      before = rank;
+    }
+  });
+
+  it('keeps order through repeated inserts at the same position', () => {
+    let after = 'b';
+    for (let i = 0; i < 50; i++) {
+      const rank = rankBetween('a', after);
+      expect(rank > 'a' && rank < after).toBe(true);
+      after = rank;
+    }
+  });
+
+  it('rejects bounds out of order', () => {
+    expect(() => rankBetween('c', 'a')).toThrow('must sort before');
+    expect(() => rankBetween('a', 'a')).toThrow('must sort before');
+  });
+});
+
+describe('spreadRanks', () => {
+  it('generates distinct ascending ranks', () => {
+    [1, 2, 10, 36, 1000].forEach(count => {
+      const ranks = spreadRanks(count);
+
+      expect(ranks).toHaveLength(count);
+      ranks.slice(1).forEach((rank, i) => expect(rank > ranks[i]).toBe(true));
+      ranks.forEach(rank => expect(rank.endsWith('0')).toBe(false));
+    });
+  });
+
+  it('leaves room to insert before, between and after the ranks', () => {
+    const ranks = spreadRanks(3);
+
+    expect(() => rankBetween(null, ranks[0])).not.toThrow();
+    expect(() => rankBetween(ranks[0], ranks[1])).not.toThrow();
+    expect(() => rankBetween(ranks[2], null)).not.toThrow();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { getNextOccurrence, nthWeekdayOfMonth } = require('../utils/recurrence');
+const Task = require('../models/Task');
+
+// Dates are built in local time, as the rules are evaluated in it
+const day = (year, month, date) => new Date(year, month - 1, date, 9, 0);
+
+describe('getNextOccurrence', () => {
+  it('steps daily rules by their interval', () => {
+    expect(getNextOccurrence({ frequency: 'daily' }, day(2024, 1, 31))).toEqual(day(2024, 2, 1));
+    expect(getNextOccurrence({ frequency: 'daily', interval: 3 }, day(2024, 2, 28))).toEqual(day(2024, 3, 2));
+  });
+
+  it('moves weekly rules to the next listed weekday, then to the next scheduled week', () => {
+    // Monday and Wednesday, every other week
+    const rule = { frequency: 'weekly', interval: 2, byWeekday: [3, 1] };
+
+    expect(getNextOccurrence(rule, day(2024, 6, 3))).toEqual(day(2024, 6, 5));
+    expect(getNextOccurrence(rule, day(2024, 6, 5))).toEqual(day(2024, 6, 17));
+  });
+
+  it('repeats weekly rules without weekdays a whole number of weeks later', () => {
+    expect(getNextOccurrence({ frequency: 'weekly', interval: 2 }, day(2024, 6, 5))).toEqual(day(2024, 6, 19));
+  });
+
+  it('clamps monthly rules to the last day of shorter months', () => {
+    const rule = { frequency: 'monthly', byMonthDay: 31 };
+
+    expect(getNextOccurrence(rule, day(2024, 1, 31))).toEqual(day(2024, 2, 29));
+    expect(getNextOccurrence(rule, day(2024, 2, 29))).toEqual(day(2024, 3, 31));
+  });
+
+  it('places monthly rules on the nth or last weekday', () => {
+    expect(getNextOccurrence({ frequency: 'monthly', byWeekday: [2], bySetPos: 2 }, day(2024, 1, 9)))
+      .toEqual(day(2024, 2, 13));
+    expect(getNextOccurrence({ frequency: 'monthly', byWeekday: [5], bySetPos: -1 }, day(2024, 1, 26)))
+      .toEqual(day(2024, 2, 23));
+  });
+
+  it('skips months without a fifth weekday', () => {
+    // February 2024 has no fifth Friday; March does
+    expect(getNextOccurrence({ frequency: 'monthly', byWeekday: [5], bySetPos: 5 }, day(2024, 1, 26)))
+      .toEqual(day(2024, 3, 29));
+  });
+
+  it('returns null without a rule or start date', () => {
+    expect(getNextOccurrence(null, day(2024, 1, 1))).toBeNull();
+    expect(getNextOccurrence({ frequency: 'yearly' }, day(2024, 1, 1))).toBeNull();
+    expect(getNextOccurrence({ frequency: 'daily' }, null)).toBeNull();
+  });
+});
+
+describe('nthWeekdayOfMonth', () => {
+  it('finds the nth and last weekday of a month', () => {
+    expect(nthWeekdayOfMonth(2024, 0, 1, 1)).toBe(1);
+    expect(nthWeekdayOfMonth(2024, 0, 3, -1)).toBe(31);
+    expect(nthWeekdayOfMonth(2024, 1, 5, 5)).toBeNull();
+  });
+});
+
+describe('Task#createNextOccurrence', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(Task, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Task, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const recurringTask = (recurrence, fields = {}) => new Task({
+    userId,
+    title: 'Water the plants',
+    dueDate: day(2024, 6, 3),
+    recurrence,
+    ...fields
+  });
+
+  it('creates the next occurrence of the series on the following date', async () => {
+    const task = recurringTask({ frequency: 'weekly', byWeekday: [1, 4] }, {
+      subtasks: [{ title: 'Fern', status: 'completed' }],
+      reminders: [{ offsetMinutes: 30 }]
+    });
+
+    const next = await task.createNextOccurrence();
+
+    expect(next.dueDate).toEqual(day(2024, 6, 6));
+    expect(next.seriesId).toEqual(task._id);
+    expect(next.occurrence).toBe(2);
+    expect(next.subtasks.map(subtask => [subtask.title, subtask.status])).toEqual([['Fern', 'pending']]);
+    expect(next.reminders.map(reminder => reminder.offsetMinutes)).toEqual([30]);
+    expect(Task.updateOne).toHaveBeenCalledWith({ _id: task._id }, { $set: { seriesId: task._id } }, { systemWrite: true });
+  });
+
+  it('carries values an occurrence overrode into the next one', async () => {
+    const task = recurringTask({ frequency: 'daily' }, {
+      title: 'Water the plants twice',
+      seriesId: new mongoose.Types.ObjectId(),
+      occurrence: 3,
+      seriesOverrides: { title: 'Water the plants', dueDate: day(2024, 6, 3) }
+    });
+    task.dueDate = day(2024, 6, 10);
+
+    const next = await task.createNextOccurrence();
+
+    expect(next.title).toBe('Water the plants');
+    expect(next.dueDate).toEqual(day(2024, 6, 4));
+    expect(next.occurrence).toBe(4);
+  });
+
+  it('ends the series after count occurrences or past until', async () => {
+    const counted = recurringTask({ frequency: 'daily', count: 2 }, { occurrence: 2 });
+    const bounded = recurringTask({ frequency: 'daily', until: day(2024, 6, 3) });
+
+    expect(await counted.createNextOccurrence()).toBeNull();
+    expect(await bounded.createNextOccurrence()).toBeNull();
+    expect(Task.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('returns the existing occurrence when it was already created', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId() };
+    Task.findOne.mockResolvedValue(existing);
+
+    const next = await recurringTask({ frequency: 'daily' }).createNextOccurrence();
+
+    expect(next).toBe(existing);
+    expect(Task.prototype.save).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
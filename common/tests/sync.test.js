@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const SyncReceipt = require('../models/SyncReceipt');
+
+describe('Task.pickSyncFields', () => {
+  it('drops fields offline clients cannot set', () => {
+    const picked = Task.pickSyncFields({
+      title: 'Offline edit',
+      priority: 'high',
+      userId: new mongoose.Types.ObjectId(),
+      assignees: [],
+      syncVersion: 9,
+      statusCategory: 'done',
+      completedAt: new Date(),
+      rank: 'a'
+    });
+
+    expect(picked).toEqual({ title: 'Offline edit', priority: 'high' });
+  });
+
+  it('accepts missing values', () => {
+    expect(Task.pickSyncFields()).toEqual({});
+  });
+});
+
+describe('Task.mergeSyncChange', () => {
+  const serverTask = (fields = {}) => new Task({
+    userId: new mongoose.Types.ObjectId(),
+    title: 'Server title',
+    priority: 'medium',
+    description: 'Server description',
+    syncVersion: 3,
+    ...fields
+  });
+
+  it('applies every changed field when the server has not changed since the base', () => {
+    const { updates, conflicts } = Task.mergeSyncChange(serverTask(), {
+      baseVersion: 3,
+      data: { title: 'Local title', priority: 'medium' }
+    });
+
+    expect(updates).toEqual({ title: 'Local title' });
+    expect(conflicts).toEqual([]);
+  });
+
+  it('merges fields changed on one side only', () => {
+    const { updates, conflicts } = Task.mergeSyncChange(serverTask({ priority: 'high' }), {
+      baseVersion: 2,
+      base: { title: 'Server title', priority: 'medium' },
+      data: { title: 'Local title', priority: 'medium' }
+    });
+
+    expect(updates).toEqual({ title: 'Local title' });
+    expect(conflicts).toEqual([]);
+  });
+
+  it('reports fields changed on both sides to different values', () => {
+    const { updates, conflicts } = Task.mergeSyncChange(serverTask({ title: 'Server rename' }), {
+      baseVersion: 2,
+      base: { title: 'Server title' },
+      data: { title: 'Local rename' }
+    });
+
+    expect(updates).toEqual({});
+    expect(conflicts).toEqual([{ field: 'title', base: 'Server title', local: 'Local rename', server: 'Server rename' }]);
+  });
+
+  it('treats fields without a base as conflicts once the server has changed', () => {
+    const { conflicts } = Task.mergeSyncChange(serverTask(), {
+      baseVersion: 2,
+      data: { description: 'Local description' }
+    });
+
+    expect(conflicts.map(conflict => conflict.field)).toEqual(['description']);
+  });
+
+  it('ignores protected fields in the change', () => {
+    const { updates } = Task.mergeSyncChange(serverTask(), {
+      baseVersion: 3,
+      data: { userId: new mongoose.Types.ObjectId(), rank: 'a', completedAt: new Date() }
+    });
+
+    expect(updates).toEqual({});
+  });
+});
+
+describe('SyncReceipt.claim', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims an unused idempotency key', async () => {
+    jest.spyOn(SyncReceipt, 'create').mockImplementation(async (fields) => new SyncReceipt(fields));
+
+    const { receipt, claimed } = await SyncReceipt.claim(userId, 'change-1');
+
+    expect(claimed).toBe(true);
+    expect(receipt.key).toBe('change-1');
+    expect(receipt.status).toBe('pending');
+  });
+
+  it('returns the earlier receipt for a replayed key', async () => {
+    const earlier = new SyncReceipt({ userId, key: 'change-1', status: 'applied', result: { type: 'updated' } });
+    jest.spyOn(SyncReceipt, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(SyncReceipt, 'findOne').mockResolvedValue(earlier);
+
+    const { receipt, claimed } = await SyncReceipt.claim(userId, 'change-1');
+
+    expect(claimed).toBe(false);
+    expect(receipt).toBe(earlier);
+    expect(SyncReceipt.findOne).toHaveBeenCalledWith({ userId, key: 'change-1' });
+  });
+
+  it('reserves the task ID given for a create', async () => {
+    const taskId = new mongoose.Types.ObjectId();
+    jest.spyOn(SyncReceipt, 'create').mockImplementation(async (fields) => new SyncReceipt(fields));
+
+    const { receipt } = await SyncReceipt.claim(userId, 'create-1', taskId);
+
+    expect(receipt.taskId).toEqual(taskId);
+  });
+
+  it('rethrows other errors', async () => {
+    jest.spyOn(SyncReceipt, 'create').mockRejectedValue(new Error('connection lost'));
+
+    await expect(SyncReceipt.claim(userId, 'change-1')).rejects.toThrow('connection lost');
+  });
+});
\ No newline at end of file
@@ -137,6 +137,26 @@ const generateVerificationToken = (userId, email) => {
   return generateAccessToken(payload, '24h'); // 24 hours for email verification
 };
 
+/**
+ * Create token for the one-click actions in a reminder email. It names the
+ * recipient as recipientId rather than userId, so it cannot authenticate
+ * other requests.
+ * @param {string} taskId - Task ID
+ * @param {string} reminderId - Reminder ID
+ * @param {string} recipientId - ID of the user the reminder was sent to
+ * @returns {string} Reminder action token
+ */
+const generateReminderActionToken = (taskId, reminderId, recipientId) => {
+  const payload = {
+    taskId,
+    reminderId,
+    recipientId,
+    type: 'reminder_action'
+  };
+  
+  return generateAccessToken(payload, '7d'); // 7 days to act on the email
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
@@ -147,5 +167,6 @@ module.exports = {
   isTokenExpired,
   getTokenExpiration,
   generateResetToken,
-  generateVerificationToken
+  generateVerificationToken,
+  generateReminderActionToken
 };
\ No newline at end of file
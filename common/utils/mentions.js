@@ -0,0 +1,71 @@
+/**
+ * @mention parsing for comments
+ *
+ * A handle like @janedoe, @jane.doe or @jane matches a user whose name is
+ * "Jane Doe", and @jdoe matches jdoe@example.com. First-name handles only
+ * resolve when exactly one candidate has that first name.
+ */
+
+const MENTION_PATTERN = /(^|[^\w@])@([a-z0-9][\w.-]*)/gi;
+
+/**
+ * Extract the unique, lowercased handles mentioned in a text
+ * @param {string} text - Comment body
+ * @returns {Array} Handles without the leading @
+ */
+const extractMentionHandles = (text = '') => {
+  const handles = new Set();
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // Trailing punctuation ends a sentence, not a handle
+    handles.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+  }
+
+  return [...handles];
+};
+
+const handlesForUser = (user) => {
+  const words = (user.name || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const handles = [words.join(''), words.join('.')];
+
+  if (user.email) {
+    handles.push(user.email.split('@')[0].toLowerCase());
+  }
+
+  return handles;
+};
+
+/**
+ * Resolve the handles in a text against candidate users
+ * @param {string} text - Comment body
+ * @param {Array} users - Users that may be mentioned ({ _id, name, email })
+ * @returns {Array} IDs of the mentioned users
+ */
+const resolveMentions = (text, users) => {
+  const handles = extractMentionHandles(text);
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const firstNames = new Map();
+  users.forEach(user => {
+    const firstName = (user.name || '').trim().split(/\s+/)[0].toLowerCase();
+    firstNames.set(firstName, firstNames.has(firstName) ? null : user);
+  });
+
+  const mentioned = new Map();
+
+  handles.forEach(handle => {
+    const exact = users.filter(user => handlesForUser(user).includes(handle));
+    const matches = exact.length > 0 ? exact : [firstNames.get(handle)].filter(Boolean);
+
+    matches.forEach(user => mentioned.set(user._id.toString(), user._id));
+  });
+
+  return [...mentioned.values()];
+};
+
+module.exports = {
+  extractMentionHandles,
+  resolveMentions
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Notification types and the channels users can route them to
+ *
+ * Each type goes to the channels the user picked for it in
+ * preferences.notifications.channels, email if they never picked any; an
+ * empty list mutes the type. The email and push switches in
+ * preferences.notifications turn a channel off for every type.
+ */
+
+const NOTIFICATION_TYPES = ['reminder', 'overdue', 'digest', 'mention', 'assignment'];
+
+// email, Web Push, signed outbound webhook, and Slack/Teams-compatible incoming webhook
+const NOTIFICATION_CHANNELS = ['email', 'push', 'webhook', 'chat'];
+
+// Message formats of chat incoming webhooks
+const CHAT_FORMATS = ['slack', 'teams'];
+
+const DEFAULT_NOTIFICATION_CHANNELS = ['email'];
+
+/**
+ * Get the channels a user routes a notification type to
+ * @param {Object} user - User, document or plain object
+ * @param {string} type - Notification type
+ * @returns {Array} Channel names
+ */
+const getNotificationChannels = (user, type) => {
+  const notifications = user?.preferences?.notifications || {};
+  const routed = notifications.channels?.[type];
+  const channels = Array.isArray(routed) ? routed : DEFAULT_NOTIFICATION_CHANNELS;
+
+  return [...new Set(channels)].filter(channel =>
+    !(channel === 'email' && notifications.email === false) &&
+    !(channel === 'push' && notifications.push === false));
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  CHAT_FORMATS,
+  DEFAULT_NOTIFICATION_CHANNELS,
+  getNotificationChannels
+};
\ No newline at end of file
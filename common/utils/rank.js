@@ -0,0 +1,59 @@
+/**
+ * Fractional ranks for manual ordering
+ *
+ * Ranks are base-36 strings compared lexicographically. A rank can always be
+ * generated between two others, so moving a task only rewrites that task's
+ * rank. Ranks never end in "0"; otherwise nothing would fit between "a" and "a0".
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+/**
+ * Generate a rank strictly between two ranks
+ * @param {string|null} before - Rank to sort after, or null for the start
+ * @param {string|null} after - Rank to sort before, or null for the end
+ * @returns {string} New rank
+ */
+const rankBetween = (before, after) => {
+  if (before && after && before >= after) {
+    throw new Error(`Rank "${before}" must sort before "${after}"`);
+  }
+
+  let rank = '';
+  let upper = after;
+
+  for (let index = 0; ; index++) {
+    const low = before && index < before.length ? DIGITS.indexOf(before[index]) : 0;
+    const high = upper && index < upper.length ? DIGITS.indexOf(upper[index]) : BASE;
+
+    if (high - low > 1) {
+      return rank + DIGITS[Math.floor((low + high) / 2)];
+    }
+
+    // Once below the upper bound's digit, later digits are no longer bounded by it
+    if (high > low) {
+      upper = null;
+    }
+    rank += DIGITS[low];
+  }
+};
+
+/**
+ * Generate evenly spaced ranks, for ordering tasks that have none yet
+ * @param {number} count - Number of ranks
+ * @returns {Array} Ascending ranks
+ */
+const spreadRanks = (count) => {
+  const width = Math.max(2, Math.ceil(Math.log(count + 1) / Math.log(BASE)) + 1);
+  const step = Math.floor(BASE ** width / (count + 1));
+
+  return Array.from({ length: count }, (value, index) =>
+    ((index + 1) * step).toString(BASE).padStart(width, '0').replace(/0+$/, '')
+  );
+};
+
+module.exports = {
+  rankBetween,
+  spreadRanks
+};
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Recurrence rule utilities (a small subset of iCalendar RRULE)
+ *
+ * A rule looks like:
+ *   { frequency: 'daily' | 'weekly' | 'monthly', interval: 1,
+ *     byWeekday: [1, 3], byMonthDay: 15, bySetPos: -1, until: Date, count: 10 }
+ *
+ * Weekdays are numbered like Date#getDay (0 = Sunday). Monthly rules repeat on
+ * byMonthDay, or on the bySetPos-th byWeekday of the month (-1 = last), or on
+ * the same day of the month as the previous occurrence.
+ */
+
+const MAX_MONTH_LOOKAHEAD = 48;
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Get the date of the nth weekday of a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Weekday (0-6)
+ * @param {number} position - 1-5, or -1 for the last one
+ * @returns {number|null} Day of month or null if the month has no such weekday
+ */
+const nthWeekdayOfMonth = (year, month, weekday, position) => {
+  const lastDay = daysInMonth(year, month);
+
+  if (position === -1) {
+    const lastWeekday = new Date(year, month, lastDay).getDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = new Date(year, month, 1).getDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (position - 1) * 7;
+  return day <= lastDay ? day : null;
+};
+
+const withDay = (from, year, month, day) => {
+  const date = new Date(from);
+  date.setFullYear(year, month, day);
+  return date;
+};
+
+const nextDaily = (rule, from) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + rule.interval);
+  return date;
+};
+
+const nextWeekly = (rule, from) => {
+  const weekdays = [...new Set(rule.byWeekday || [])].sort((a, b) => a - b);
+
+  if (weekdays.length === 0) {
+    const date = new Date(from);
+    date.setDate(date.getDate() + 7 * rule.interval);
+    return date;
+  }
+
+  const currentWeekday = from.getDay();
+  const laterThisWeek = weekdays.find(day => day > currentWeekday);
+  const date = new Date(from);
+
+  if (laterThisWeek !== undefined) {
+    date.setDate(date.getDate() + (laterThisWeek - currentWeekday));
+  } else {
+    // Jump to the start of the next scheduled week, then to its first weekday
+    date.setDate(date.getDate() - currentWeekday + 7 * rule.interval + weekdays[0]);
+  }
+
+  return date;
+};
+
+const nextMonthly = (rule, from) => {
+  for (let step = 1; step <= MAX_MONTH_LOOKAHEAD; step++) {
+    const target = new Date(from.getFullYear(), from.getMonth() + step * rule.interval, 1);
+    const year = target.getFullYear();
+    const month = target.getMonth();
+    let day;
+
+    if (rule.bySetPos) {
+      const weekday = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday[0] : from.getDay();
+      day = nthWeekdayOfMonth(year, month, weekday, rule.bySetPos);
+    } else {
+      day = Math.min(rule.byMonthDay || from.getDate(), daysInMonth(year, month));
+    }
+
+    if (day) {
+      return withDay(from, year, month, day);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Compute the occurrence that follows a given date
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} from - Date of the current occurrence
+ * @returns {Date|null} Next occurrence date or null if the rule has none
+ */
+const getNextOccurrence = (rule, from) => {
+  if (!rule || !rule.frequency || !from) {
+    return null;
+  }
+
+  const normalized = { ...rule, interval: rule.interval || 1 };
+  const date = new Date(from);
+
+  switch (normalized.frequency) {
+    case 'daily':
+      return nextDaily(normalized, date);
+    case 'weekly':
+      return nextWeekly(normalized, date);
+    case 'monthly':
+      return nextMonthly(normalized, date);
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  getNextOccurrence,
+  nthWeekdayOfMonth
+};
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Helpers for full-text task search
+ *
+ * MongoDB ranks text matches but does not say where in a field they are, so
+ * snippets are highlighted here by matching the same search terms again.
+ */
+
+// Characters of context shown around the first match in long fields
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Rough English stemming, so "running" also highlights "runs" and "runner"
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s|ly)$/, '') : word);
+
+/**
+ * Split a search string into the terms MongoDB matches: quoted phrases and
+ * single words. Negated terms (-word) and single letters are dropped since
+ * they never match.
+ * @param {string} text - Search string
+ * @returns {Array} Terms as { phrase, words }
+ */
+const getSearchTerms = (text) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const negated = match[1] || match[3];
+    const value = (match[2] || match[4]).toLowerCase();
+    const words = value.split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > (match[2] ? 0 : 1));
+
+    if (!negated && words.length > 0) {
+      terms.push({ phrase: Boolean(match[2]), words });
+    }
+  }
+
+  return terms;
+};
+
+const buildPattern = (terms) => {
+  const alternatives = terms.flatMap(term => {
+    if (term.phrase) {
+      return [term.words.map(escapeRegExp).join('[^\\p{L}\\p{N}]+')];
+    }
+    // Short words only match whole words, longer ones also match word forms
+    return term.words.map(word => (word.length < 3
+      ? `${escapeRegExp(word)}(?![\\p{L}\\p{N}])`
+      : `${escapeRegExp(stem(word))}[\\p{L}\\p{N}]*`));
+  });
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+};
+
+/**
+ * Highlight search terms in a piece of text. Long text is cut down to a
+ * snippet around the first match. The result is HTML-escaped, with matches
+ * wrapped in <mark> tags.
+ * @param {string} text - Field value
+ * @param {Array} terms - Terms from getSearchTerms
+ * @param {number} [maxLength] - Longest snippet, excluding ellipses
+ * @returns {string|null} Highlighted snippet, or null if nothing matches
+ */
+const highlight = (text, terms, maxLength = SNIPPET_LENGTH) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = buildPattern(terms);
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > maxLength) {
+    start = Math.max(0, first.index - Math.floor((maxLength - first[0].length) / 2));
+    end = Math.min(text.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+
+    // Avoid cutting words in half at either end
+    if (start > 0) {
+      const space = text.slice(start, first.index).search(/\s/);
+      start = space === -1 ? start : start + space + 1;
+    }
+    if (end < text.length) {
+      const space = text.slice(first.index + first[0].length, end).search(/\s\S*$/);
+      end = space === -1 ? end : first.index + first[0].length + space;
+    }
+  }
+
+  const excerpt = text.slice(start, end);
+  let html = '';
+  let last = 0;
+
+  for (const match of excerpt.matchAll(buildPattern(terms))) {
+    html += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Build highlighted snippets for the fields of a task that match a search
+ * @param {Object} task - Matching task
+ * @param {Array} terms - Terms from getSearchTerms
+ * @param {Object} [comment] - Best matching comment, as { _id, body }
+ * @returns {Array} Highlights as { field, snippet }, plus commentId for comments
+ */
+const highlightTask = (task, terms, comment = null) => {
+  const fields = [
+    ['title', task.title],
+    ['description', task.description],
+    ...(task.tags || []).map(tag => ['tags', tag]),
+    ['category', task.category],
+    ...(task.attachments || []).map(attachment => ['attachments', attachment.originalName])
+  ];
+
+  const highlights = fields
+    .map(([field, value]) => ({ field, snippet: highlight(value, terms) }))
+    .filter(({ snippet }) => snippet !== null);
+
+  const snippet = comment ? highlight(comment.body, terms) : null;
+  if (snippet !== null) {
+    highlights.push({ field: 'comment', commentId: comment._id, snippet });
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegExp,
+  getSearchTerms,
+  highlight,
+  highlightTask
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Opaque cursors for incremental sync
+ *
+ * A cursor remembers how far a client has read two ordered streams: changed
+ * tasks (by lastModified, then _id) and deletion tombstones (by deletedAt,
+ * then _id). Clients must treat it as an opaque string.
+ */
+
+const CURSOR_VERSION = 1;
+
+const emptyPosition = (since = new Date(0)) => ({ t: since, id: null });
+
+/**
+ * Build the starting position for clients that have never synced, or that
+ * still send a wall-clock lastSyncTime
+ * @param {string|Date} [lastSyncTime]
+ * @returns {Object} Cursor position
+ */
+const initialCursor = (lastSyncTime) => {
+  const since = lastSyncTime ? new Date(lastSyncTime) : new Date(0);
+  return { tasks: emptyPosition(since), deletions: emptyPosition(since) };
+};
+
+const encodePosition = (position) => [position.t.getTime(), position.id ? position.id.toString() : null];
+
+const decodePosition = (value) => {
+  if (!Array.isArray(value) || !Number.isFinite(value[0])) {
+    throw new Error('Invalid position');
+  }
+  if (value[1] !== null && !/^[0-9a-f]{24}$/i.test(value[1])) {
+    throw new Error('Invalid position');
+  }
+  return { t: new Date(value[0]), id: value[1] };
+};
+
+/**
+ * Encode a cursor position as an opaque string
+ * @param {Object} cursor - { tasks: { t, id }, deletions: { t, id } }
+ * @returns {string}
+ */
+const encodeCursor = (cursor) => {
+  const payload = JSON.stringify({
+    v: CURSOR_VERSION,
+    tasks: encodePosition(cursor.tasks),
+    deletions: encodePosition(cursor.deletions)
+  });
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode an opaque cursor
+ * @param {string} value - Cursor returned by a previous sync
+ * @returns {Object|null} Cursor position, or null if the cursor is malformed
+ */
+const decodeCursor = (value) => {
+  try {
+    const payload = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (payload.v !== CURSOR_VERSION) {
+      return null;
+    }
+    return {
+      tasks: decodePosition(payload.tasks),
+      deletions: decodePosition(payload.deletions)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a filter for documents after a position in a (timestamp, _id) ordered stream
+ * @param {string} field - Timestamp field
+ * @param {Object} position - { t, id }
+ * @returns {Object} Mongo filter
+ */
+const afterPosition = (field, position) => {
+  if (!position.id) {
+    return { [field]: { $gt: position.t } };
+  }
+  return {
+    $or: [
+      { [field]: { $gt: position.t } },
+      { [field]: position.t, _id: { $gt: position.id } }
+    ]
+  };
+};
+
+module.exports = {
+  initialCursor,
+  encodeCursor,
+  decodeCursor,
+  afterPosition
+};
\ No newline at end of file
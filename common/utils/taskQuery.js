@@ -0,0 +1,498 @@
+/**
+ * Task query language
+ *
+ * Parses a filter such as
+ *   status:pending priority:>=high tag:billing due:<7d -category:personal
+ * into a MongoDB filter on tasks.
+ *
+ * - Terms are ANDed; combine them with OR, group them with parentheses and
+ *   negate them with a leading - or NOT.
+ * - A term is field:value, where value may be "quoted", may list alternatives
+ *   separated by commas (status:pending,in-progress) and, for ordered fields,
+ *   may start with <, <=, > or >=.
+ * - Words without a field match the title or description.
+ * - Dates are YYYY-MM-DD, an ISO timestamp, today, tomorrow, yesterday, or an
+ *   offset from now such as 7d, -2w or 3m. Days are UTC.
+ * - Custom fields are cf.<key>; values are read according to the field's type.
+ */
+
+const { escapeRegExp } = require('./search');
+const { STATUS_KEY_PATTERN } = require('./workflow');
+
+// Values mirror the Task schema; priorities are listed from lowest to highest
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const COMPARISONS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFSET_UNITS = { d: 1, w: 7, m: 30 };
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const OPERATORS = ['>=', '<=', '>', '<', '='];
+
+// A syntax error stops parsing; value errors are collected and parsing goes on
+class QuerySyntaxError extends Error {}
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Split the input into parentheses, keywords, negations and terms
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index += 1;
+    } else if (char === '-' && index + 1 < input.length && !/[\s)]/.test(input[index + 1])) {
+      tokens.push({ type: 'NOT', position: index });
+      index += 1;
+    } else {
+      const position = index;
+      let text = '';
+      let quoted = false;
+
+      while (index < input.length && (quoted || !/[\s()]/.test(input[index]))) {
+        if (input[index] === '"') {
+          quoted = !quoted;
+        }
+        text += input[index];
+        index += 1;
+      }
+
+      if (quoted) {
+        throw new QuerySyntaxError(`Unterminated quote at position ${position + 1}`);
+      }
+
+      tokens.push(KEYWORDS.includes(text)
+        ? { type: text, position }
+        : { type: 'TERM', text, position });
+    }
+  }
+
+  return tokens;
+};
+
+const unquote = (value) => value.replace(/"/g, '');
+
+/**
+ * Split a term into field, comparison and values
+ */
+const parseTerm = (text) => {
+  const separator = text.indexOf(':');
+  if (separator <= 0 || text.slice(0, separator).includes('"')) {
+    return { field: null, operator: '=', values: [unquote(text)] };
+  }
+
+  let rest = text.slice(separator + 1);
+  const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+  rest = rest.slice(operator ? operator.length : 0);
+
+  const values = [];
+  let current = '';
+  let quoted = false;
+  for (const char of rest) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+
+  return { field: text.slice(0, separator).toLowerCase(), operator: operator || '=', values };
+};
+
+/**
+ * Parse a date value into the instant or the day it stands for
+ * @returns {Object|null} { start, end } with end exclusive (equal for an instant)
+ */
+const parseDate = (value, now) => {
+  const today = startOfDay(now);
+  const days = { yesterday: -1, today: 0, tomorrow: 1 };
+
+  if (value in days) {
+    const start = new Date(today.getTime() + days[value] * DAY_MS);
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  const offset = /^([+-]?\d{1,4})([dwm])$/.exec(value);
+  if (offset) {
+    const instant = new Date(now.getTime() + parseInt(offset[1]) * OFFSET_UNITS[offset[2]] * DAY_MS);
+    return { start: instant, end: instant, relative: true };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = new Date(`${value}T00:00:00.000Z`);
+    return isNaN(start) ? null : { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const instant = new Date(value);
+    return isNaN(instant) ? null : { start: instant, end: instant };
+  }
+
+  return null;
+};
+
+const compareDate = (path, operator, { start, end, relative }) => {
+  // An offset compared for equality means the whole day it falls on
+  if (operator === '=' && relative) {
+    const day = startOfDay(start);
+    return { [path]: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) } };
+  }
+
+  const instant = start.getTime() === end.getTime();
+  switch (operator) {
+    case '>': return { [path]: instant ? { $gt: start } : { $gte: end } };
+    case '>=': return { [path]: { $gte: start } };
+    case '<': return { [path]: { $lt: start } };
+    case '<=': return { [path]: instant ? { $lte: start } : { $lt: end } };
+    default: return { [path]: instant ? start : { $gte: start, $lt: end } };
+  }
+};
+
+const anyOf = (filters) => (filters.length === 1 ? filters[0] : { $or: filters });
+
+// IDs are left as strings; Mongoose casts them when the filter is queried
+const objectId = (value) => (/^[0-9a-f]{24}$/i.test(value) ? value : null);
+
+const userReference = (value, context) => (value === 'me' ? context.userId : objectId(value));
+
+const dateField = (path, { allowNone = false } = {}) => (operator, values, context) => {
+  if (values.length > 1) {
+    throw new Error('takes a single date');
+  }
+  if (allowNone && values[0] === 'none') {
+    if (operator !== '=') {
+      throw new Error('"none" cannot be compared');
+    }
+    return { [path]: null };
+  }
+
+  const date = parseDate(values[0], context.now);
+  if (!date) {
+    throw new Error(`"${values[0]}" is not a date; use YYYY-MM-DD, today, tomorrow, yesterday or an offset such as 7d`);
+  }
+  return compareDate(path, operator, date);
+};
+
+const equalityOnly = (handler) => (operator, values, context) => {
+  if (operator !== '=') {
+    throw new Error(`does not support ${operator}`);
+  }
+  return anyOf(values.map(value => handler(value, context)));
+};
+
+const FIELDS = {
+  // Statuses depend on each project's workflow, so only their form is checked
+  status: equalityOnly((value) => {
+    const status = value.toLowerCase();
+    if (!STATUS_KEY_PATTERN.test(status)) {
+      throw new Error(`"${value}" is not a status`);
+    }
+    return { status };
+  }),
+
+  priority: (operator, values) => {
+    values.forEach(value => {
+      if (!PRIORITIES.includes(value)) {
+        throw new Error(`must be one of ${PRIORITIES.join(', ')}`);
+      }
+    });
+    if (operator === '=') {
+      return { priority: values.length === 1 ? values[0] : { $in: values } };
+    }
+    if (values.length > 1) {
+      throw new Error('takes a single priority when compared');
+    }
+
+    const level = PRIORITIES.indexOf(values[0]);
+    const matches = PRIORITIES.filter((priority, index) => ({
+      '>': index > level,
+      '>=': index >= level,
+      '<': index < level,
+      '<=': index <= level
+    })[operator]);
+    return { priority: { $in: matches } };
+  },
+
+  tag: equalityOnly((value) => ({ tags: value.toLowerCase() })),
+
+  category: equalityOnly((value) => ({ category: new RegExp(`^${escapeRegExp(value)}$`, 'i') })),
+
+  title: equalityOnly((value) => ({ title: new RegExp(escapeRegExp(value), 'i') })),
+
+  project: equalityOnly((value) => {
+    if (value === 'none') {
+      return { projectId: null };
+    }
+    const projectId = objectId(value);
+    if (!projectId) {
+      throw new Error(`"${value}" is not a project ID`);
+    }
+    return { projectId };
+  }),
+
+  assignee: equalityOnly((value, context) => {
+    if (value === 'none') {
+      return { assignees: { $size: 0 } };
+    }
+    const userId = userReference(value, context);
+    if (!userId) {
+      throw new Error(`"${value}" is not a user ID or "me"`);
+    }
+    return { assignees: userId };
+  }),
+
+  creator: equalityOnly((value, context) => {
+    const userId = userReference(value, context);
+    if (!userId) {
+      throw new Error(`"${value}" is not a user ID or "me"`);
+    }
+    return { createdBy: userId };
+  }),
+
+  due: dateField('dueDate', { allowNone: true }),
+  created: dateField('createdAt'),
+  updated: dateField('updatedAt'),
+
+  is: equalityOnly((value, context) => {
+    switch (value) {
+      case 'overdue':
+        return { dueDate: { $lt: context.now }, statusCategory: { $ne: 'done' } };
+      case 'open':
+        return { statusCategory: { $ne: 'done' } };
+      case 'done':
+        return { statusCategory: 'done' };
+      case 'archived':
+        context.includeArchived = true;
+        return { isArchived: true };
+      case 'blocked':
+        return { 'blockedBy.0': { $exists: true } };
+      case 'recurring':
+        return { 'recurrence.frequency': { $ne: null } };
+      default:
+        throw new Error('must be one of overdue, open, done, archived, blocked, recurring');
+    }
+  }),
+
+  has: equalityOnly((value) => {
+    switch (value) {
+      case 'due':
+        return { dueDate: { $ne: null } };
+      case 'assignee':
+        return { 'assignees.0': { $exists: true } };
+      case 'project':
+        return { projectId: { $ne: null } };
+      case 'subtasks':
+        return { 'subtasks.0': { $exists: true } };
+      case 'attachments':
+        return { 'attachments.0': { $exists: true } };
+      default:
+        throw new Error('must be one of due, assignee, project, subtasks, attachments');
+    }
+  })
+};
+
+/**
+ * Build the handler for a custom field term; the field's type decides how its
+ * values are read. A key defined with different types (in different projects)
+ * cannot be filtered across them.
+ */
+const customField = (key) => (operator, values, context) => {
+  const types = [...new Set(context.customFields
+    .filter(field => field.key === key)
+    .map(field => field.type))];
+
+  if (types.length === 0) {
+    throw new Error('is not a custom field');
+  }
+  if (types.length > 1) {
+    throw new Error('has different types in different projects; filter by project');
+  }
+
+  const path = `customFields.${key}`;
+  if (values.length === 1 && values[0] === 'none') {
+    if (operator !== '=') {
+      throw new Error('"none" cannot be compared');
+    }
+    return { [path]: null };
+  }
+
+  switch (types[0]) {
+    case 'number': {
+      const numbers = values.map(value => {
+        if (!/^-?\d+(\.\d+)?$/.test(value)) {
+          throw new Error(`"${value}" is not a number`);
+        }
+        return parseFloat(value);
+      });
+      if (operator === '=') {
+        return { [path]: numbers.length === 1 ? numbers[0] : { $in: numbers } };
+      }
+      if (numbers.length > 1) {
+        throw new Error('takes a single number when compared');
+      }
+      return { [path]: { [COMPARISONS[operator]]: numbers[0] } };
+    }
+    case 'date':
+      return dateField(path)(operator, values, context);
+    case 'user':
+      return equalityOnly((value) => {
+        const userId = userReference(value, context);
+        if (!userId) {
+          throw new Error(`"${value}" is not a user ID or "me"`);
+        }
+        return { [path]: userId.toString() };
+      })(operator, values, context);
+    case 'text':
+    case 'url':
+      return equalityOnly((value) => ({ [path]: new RegExp(escapeRegExp(value), 'i') }))(operator, values, context);
+    default:
+      return equalityOnly((value) => ({ [path]: new RegExp(`^${escapeRegExp(value)}$`, 'i') }))(operator, values, context);
+  }
+};
+
+const ALIASES = {
+  tags: 'tag',
+  assigned: 'assignee',
+  assignees: 'assignee',
+  createdby: 'creator',
+  author: 'creator',
+  projectid: 'project'
+};
+
+/**
+ * Parse a task query into a MongoDB filter
+ * @param {string} input - Query text
+ * @param {Object} context - { userId, now } used for "me" and relative dates,
+ *   and customFields, the definitions of the custom fields the query may use
+ * @returns {Object} { filter, includeArchived, errors } where errors are
+ *   { field, message } like validateDependencies; includeArchived is true
+ *   when the query asks about archived tasks
+ */
+const parseTaskQuery = (input, { userId, now = new Date(), customFields = [] } = {}) => {
+  const context = { userId, now, customFields, includeArchived: false };
+  const errors = [];
+  let tokens;
+  let index = 0;
+
+  const describe = (token) => (token
+    ? `${token.type === 'TERM' ? `"${token.text}"` : `"${token.type}"`} at position ${token.position + 1}`
+    : 'end of query');
+
+  const termFilter = (token) => {
+    const { field, operator, values } = parseTerm(token.text);
+
+    if (!field) {
+      const pattern = new RegExp(escapeRegExp(values[0]), 'i');
+      return { $or: [{ title: pattern }, { description: pattern }] };
+    }
+
+    const name = ALIASES[field] || field;
+    const handler = name.startsWith('cf.') ? customField(name.slice(3)) : FIELDS[name];
+    if (!handler) {
+      errors.push({ field: 'q', message: `Unknown field "${field}" at position ${token.position + 1}` });
+      return {};
+    }
+    if (values.some(value => value === '')) {
+      errors.push({ field: 'q', message: `Missing value for "${field}" at position ${token.position + 1}` });
+      return {};
+    }
+
+    try {
+      return handler(operator, values, context);
+    } catch (error) {
+      errors.push({ field: 'q', message: `"${field}" ${error.message} (position ${token.position + 1})` });
+      return {};
+    }
+  };
+
+  const combine = (operator, filters) => (filters.length === 1 ? filters[0] : { [operator]: filters });
+
+  let parseOr;
+
+  const parseUnary = () => {
+    const token = tokens[index];
+
+    if (!token) {
+      throw new QuerySyntaxError('Query ends unexpectedly');
+    }
+    if (token.type === 'NOT') {
+      index += 1;
+      return { $nor: [parseUnary()] };
+    }
+    if (token.type === '(') {
+      index += 1;
+      const filter = parseOr();
+      if (!tokens[index] || tokens[index].type !== ')') {
+        throw new QuerySyntaxError(`Missing ")" for "(" at position ${token.position + 1}`);
+      }
+      index += 1;
+      return filter;
+    }
+    if (token.type === 'TERM') {
+      index += 1;
+      return termFilter(token);
+    }
+
+    throw new QuerySyntaxError(`Unexpected ${describe(token)}`);
+  };
+
+  const parseAnd = () => {
+    const filters = [parseUnary()];
+
+    while (index < tokens.length && !['OR', ')'].includes(tokens[index].type)) {
+      if (tokens[index].type === 'AND') {
+        index += 1;
+      }
+      filters.push(parseUnary());
+    }
+
+    return combine('$and', filters);
+  };
+
+  parseOr = () => {
+    const filters = [parseAnd()];
+
+    while (index < tokens.length && tokens[index].type === 'OR') {
+      index += 1;
+      filters.push(parseAnd());
+    }
+
+    return combine('$or', filters);
+  };
+
+  try {
+    tokens = tokenize(input || '');
+    if (tokens.length === 0) {
+      return { filter: {}, includeArchived: false, errors };
+    }
+
+    const filter = parseOr();
+    if (index < tokens.length) {
+      throw new QuerySyntaxError(`Unexpected ${describe(tokens[index])}`);
+    }
+
+    return { filter, includeArchived: context.includeArchived, errors };
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) {
+      throw error;
+    }
+    return { filter: {}, includeArchived: false, errors: [{ field: 'q', message: error.message }] };
+  }
+};
+
+module.exports = {
+  parseTaskQuery
+};
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Wall-clock times in IANA timezones
+ *
+ * Dates are stored in UTC; these helpers find the instant at which a clock in
+ * a given timezone shows a given local time, accounting for daylight saving.
+ */
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Local time of day as HH:mm, 00:00 to 23:59
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check whether a string is an IANA timezone name Intl knows
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if the timezone is known
+ */
+const isTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the local calendar date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} year, month (1-12), day, hour, minute, second and weekday (0 = Sunday)
+ */
+const getLocalParts = (date, timezone) => {
+  const parts = getFormatter(timezone).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Get how far a timezone's clocks are ahead of UTC at an instant, in milliseconds
+ */
+const getOffset = (date, timezone) => {
+  const local = getLocalParts(date, timezone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the instant at which clocks in a timezone show a local date and time.
+ * Times skipped by a daylight saving change move forward by the length of the gap.
+ * @param {Object} local - year, month (1-12), day, hour and minute; days past
+ * the end of the month roll over
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Instant
+ */
+const fromLocalTime = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = asUtc - getOffset(new Date(asUtc), timezone);
+  return new Date(asUtc - getOffset(new Date(guess), timezone));
+};
+
+/**
+ * Format the local calendar date of an instant as YYYY-MM-DD
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Local date
+ */
+const getLocalDate = (date, timezone) => {
+  const { year, month, day } = getLocalParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the instant of a local time of day a number of days after the local
+ * date of an instant, e.g. 9:00 tomorrow in Europe/Berlin
+ * @param {Date} date - Instant whose local date is the starting point
+ * @param {string} timezone - IANA timezone name
+ * @param {Object} time - days to add, hour and minute
+ * @returns {Date} Instant
+ */
+const atLocalTime = (date, timezone, { days = 0, hour = 0, minute = 0 } = {}) => {
+  const local = getLocalParts(date, timezone);
+  return fromLocalTime({ year: local.year, month: local.month, day: local.day + days, hour, minute }, timezone);
+};
+
+/**
+ * Get when a daily local time window an instant falls in ends, e.g. 22:00 to
+ * 07:00 in Europe/Berlin. Windows whose end is before their start run past
+ * midnight; equal times make an empty window.
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @param {string} start - Local start of the window, HH:mm
+ * @param {string} end - Local end of the window (exclusive), HH:mm
+ * @returns {Date|null} End of the window, or null if the instant is outside it
+ */
+const getDailyWindowEnd = (date, timezone, start, end) => {
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+
+  const local = getLocalParts(date, timezone);
+  const minutes = local.hour * 60 + local.minute;
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  const inside = startMinutes <= endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+  if (!inside) {
+    return null;
+  }
+
+  // A window past midnight entered this evening ends tomorrow
+  const days = startMinutes > endMinutes && minutes >= startMinutes ? 1 : 0;
+  return atLocalTime(date, timezone, { days, hour: Math.floor(endMinutes / 60), minute: endMinutes % 60 });
+};
+
+module.exports = {
+  TIME_OF_DAY_PATTERN,
+  isTimezone,
+  getLocalParts,
+  getLocalDate,
+  fromLocalTime,
+  atLocalTime,
+  getDailyWindowEnd
+};
\ No newline at end of file
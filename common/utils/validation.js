@@ -1,4 +1,23 @@
 const Joi = require('joi');
+const { STATUS_CATEGORIES, STATUS_KEY_PATTERN } = require('./workflow');
+const { TIME_OF_DAY_PATTERN, isTimezone } = require('./timezone');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, CHAT_FORMATS } = require('./notificationChannels');
+
+// IANA timezone names such as Europe/Berlin, as understood by Intl
+const timezone = Joi.string().max(100).custom((value, helpers) => {
+  return isTimezone(value) ? value : helpers.message('Unknown timezone');
+});
+
+// Local times of day such as 22:00
+const timeOfDay = Joi.string().pattern(TIME_OF_DAY_PATTERN).messages({
+  'string.pattern.base': '{{#label}} must be a time of day as HH:mm'
+});
+
+// Channels each notification type is delivered over; an empty list mutes the type
+const notificationRouting = Joi.object(Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+  type,
+  Joi.array().items(Joi.string().valid(...NOTIFICATION_CHANNELS)).unique()
+])));
 
 // User validation schemas
 const userValidation = {
@@ -76,8 +95,23 @@ const userValidation = {
       notifications: Joi.object({
         email: Joi.boolean().optional(),
         push: Joi.boolean().optional(),
-        reminderMinutes: Joi.number().min(1).max(1440).optional()
-      }).optional()
+        reminderMinutes: Joi.number().min(1).max(1440).optional(),
+        quietHours: Joi.object({
+          enabled: Joi.boolean().optional(),
+          start: timeOfDay.optional(),
+          end: timeOfDay.optional()
+        }).optional(),
+        doNotDisturbUntil: Joi.date().iso().allow(null).optional(),
+        channels: notificationRouting.optional()
+      }).optional(),
+
+      timezone: timezone.optional(),
+
+      digestHour: Joi.number()
+        .integer()
+        .min(0)
+        .max(23)
+        .optional()
     }).optional()
   }),
 
@@ -100,6 +134,76 @@ const userValidation = {
   })
 };
 
+// Recurrence rule shared by task create and update
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string()
+    .valid('daily', 'weekly', 'monthly')
+    .required()
+    .messages({
+      'any.required': 'Recurrence frequency is required'
+    }),
+  
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .default(1),
+  
+  byWeekday: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .optional(),
+  
+  byMonthDay: Joi.number()
+    .integer()
+    .min(1)
+    .max(31)
+    .optional(),
+  
+  bySetPos: Joi.number()
+    .valid(1, 2, 3, 4, 5, -1)
+    .optional(),
+  
+  until: Joi.date()
+    .iso()
+    .optional()
+    .allow(null),
+  
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .allow(null)
+})
+  .oxor('byMonthDay', 'bySetPos')
+  .oxor('until', 'count');
+
+// Workflow status key; whether the status exists depends on the task's project
+const taskStatus = Joi.string()
+  .trim()
+  .lowercase()
+  .max(30)
+  .pattern(STATUS_KEY_PATTERN)
+  .messages({
+    'string.pattern.base': 'Status may only contain lowercase letters, digits and dashes'
+  });
+
+// Reminders at a fixed time or a number of minutes (up to a year) before the
+// due date; an _id continues a stored reminder
+const remindersSchema = Joi.array()
+  .max(10)
+  .items(Joi.object({
+    _id: Joi.string().hex().length(24).optional(),
+    remindAt: Joi.date().iso(),
+    offsetMinutes: Joi.number().integer().min(0).max(525600)
+  }).xor('remindAt', 'offsetMinutes'));
+
+// Rejects a recurrence or series field in a bulk update
+const bulkSeriesField = Joi.any()
+  .forbidden()
+  .messages({
+    'any.unknown': 'Recurrence and series fields cannot be changed in a bulk update'
+  });
+
 // Task validation schemas
 const taskValidation = {
   create: Joi.object({
@@ -120,9 +224,7 @@ const taskValidation = {
       .allow('')
       .optional(),
     
-    status: Joi.string()
-      .valid('pending', 'in-progress', 'completed', 'cancelled')
-      .default('pending'),
+    status: taskStatus.optional(),
     
     priority: Joi.string()
       .valid('low', 'medium', 'high', 'urgent')
@@ -147,10 +249,31 @@ const taskValidation = {
       .optional()
       .allow(null),
     
-    reminder: Joi.object({
-      enabled: Joi.boolean().default(false),
-      reminderDate: Joi.date().iso().optional().allow(null)
-    }).optional()
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .allow(null),
+    
+    blockedBy: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .optional(),
+    
+    recurrence: recurrenceSchema
+      .optional()
+      .allow(null),
+    
+    subtasks: Joi.array()
+      .items(Joi.object({
+        title: Joi.string().min(1).max(200).trim().required(),
+        status: Joi.string().valid('pending', 'completed').default('pending')
+      }))
+      .optional(),
+    
+    reminders: remindersSchema.optional(),
+    
+    // Checked against the field definitions by Task.resolveCustomFields
+    customFields: Joi.object().optional()
   }),
 
   update: Joi.object({
@@ -166,9 +289,7 @@ const taskValidation = {
       .allow('')
       .optional(),
     
-    status: Joi.string()
-      .valid('pending', 'in-progress', 'completed', 'cancelled')
-      .optional(),
+    status: taskStatus.optional(),
     
     priority: Joi.string()
       .valid('low', 'medium', 'high', 'urgent')
@@ -193,22 +314,144 @@ const taskValidation = {
       .optional()
       .allow(null),
     
-    actualDuration: Joi.number()
-      .min(1)
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .allow(null),
+    
+    blockedBy: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .optional(),
+    
+    recurrence: recurrenceSchema
       .optional()
       .allow(null),
     
-    reminder: Joi.object({
-      enabled: Joi.boolean().optional(),
-      reminderDate: Joi.date().iso().optional().allow(null)
-    }).optional(),
+    reminders: remindersSchema.optional(),
+    
+    customFields: Joi.object().optional(),
     
     isArchived: Joi.boolean().optional()
   }),
 
+  subtask: Joi.object({
+    title: Joi.string()
+      .min(1)
+      .max(200)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Subtask title cannot be empty',
+        'string.max': 'Subtask title cannot exceed 200 characters',
+        'any.required': 'Subtask title is required'
+      })
+  }),
+
+  reorderSubtasks: Joi.object({
+    subtaskIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .required()
+      .messages({
+        'any.required': 'Subtask IDs are required'
+      })
+  }),
+
+  assign: Joi.object({
+    userIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(20)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one user ID is required',
+        'any.required': 'User IDs are required'
+      })
+  }),
+
+  // Fields a bulk update may set; anything else is stripped
+  bulkUpdate: Joi.object({
+    taskIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(500)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one task ID is required',
+        'any.required': 'Task IDs are required'
+      }),
+
+    updates: Joi.object({
+      status: taskStatus.optional(),
+
+      priority: Joi.string()
+        .valid('low', 'medium', 'high', 'urgent')
+        .optional(),
+
+      category: Joi.string()
+        .max(50)
+        .trim()
+        .optional(),
+
+      tags: Joi.array()
+        .items(Joi.string().trim().lowercase())
+        .optional(),
+
+      dueDate: Joi.date()
+        .iso()
+        .optional()
+        .allow(null),
+
+      estimatedDuration: Joi.number()
+        .min(1)
+        .optional()
+        .allow(null),
+
+      projectId: Joi.string()
+        .hex()
+        .length(24)
+        .optional()
+        .allow(null),
+
+      blockedBy: Joi.array()
+        .items(Joi.string().hex().length(24))
+        .optional(),
+
+      reminders: remindersSchema.optional(),
+
+      customFields: Joi.object().optional(),
+
+      isArchived: Joi.boolean().optional(),
+
+      // Series are only changed through a task's own update, which keeps
+      // later occurrences consistent
+      recurrence: bulkSeriesField,
+      seriesId: bulkSeriesField,
+      occurrence: bulkSeriesField,
+      seriesOverrides: bulkSeriesField
+    })
+      .min(1)
+      .required()
+      .messages({
+        'object.min': 'At least one field to update is required',
+        'any.required': 'Updates are required'
+      })
+  }),
+
   query: Joi.object({
-    status: Joi.string()
-      .valid('pending', 'in-progress', 'completed', 'cancelled')
+    status: taskStatus.optional(),
+    
+    assignedToMe: Joi.boolean()
+      .optional(),
+    
+    createdByMe: Joi.boolean()
+      .optional(),
+    
+    projectId: Joi.string()
+      .hex()
+      .length(24)
       .optional(),
     
     priority: Joi.string()
@@ -251,6 +494,580 @@ const taskValidation = {
     search: Joi.string()
       .trim()
       .optional()
+  }),
+
+  // Analytics cover tasks completed from `from` up to `to`, in day, week or
+  // month periods
+  analytics: Joi.object({
+    from: Joi.date()
+      .iso(),
+
+    to: Joi.date()
+      .iso()
+      .when('from', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('from'))
+      }),
+
+    interval: Joi.string()
+      .valid('day', 'week', 'month')
+      .default('week'),
+
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+  }),
+
+  // Cumulative flow and burndown cover the days from `from` up to `to`
+  flow: Joi.object({
+    from: Joi.date()
+      .iso(),
+
+    to: Joi.date()
+      .iso()
+      .when('from', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('from'))
+      }),
+
+    projectId: Joi.string()
+      .hex()
+      .length(24),
+
+    tag: Joi.string()
+      .trim()
+      .lowercase()
+      .max(30)
+  })
+};
+
+// Project workflow; see utils/workflow
+const projectWorkflow = Joi.object({
+  statuses: Joi.array()
+    .items(Joi.object({
+      key: taskStatus.required(),
+      name: Joi.string()
+        .min(1)
+        .max(50)
+        .trim()
+        .required(),
+      category: Joi.string()
+        .valid(...STATUS_CATEGORIES)
+        .required()
+    }))
+    .min(1)
+    .max(30)
+    .unique('key')
+    .required()
+    .messages({
+      'array.unique': 'Status keys must be unique',
+      'any.required': 'Workflow statuses are required'
+    }),
+
+  // Allowed status changes; leave empty to allow any change
+  transitions: Joi.array()
+    .items(Joi.object({
+      from: taskStatus.required(),
+      to: taskStatus.required()
+    }))
+    .max(500)
+    .default([])
+});
+
+// Project validation schemas
+const projectValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Project name cannot be empty',
+        'string.max': 'Project name cannot exceed 100 characters',
+        'any.required': 'Project name is required'
+      }),
+    
+    description: Joi.string()
+      .max(1000)
+      .trim()
+      .allow('')
+      .optional(),
+    
+    workflow: projectWorkflow.optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .optional(),
+    
+    description: Joi.string()
+      .max(1000)
+      .trim()
+      .allow('')
+      .optional(),
+    
+    isArchived: Joi.boolean().optional()
+  }),
+
+  workflow: projectWorkflow,
+
+  addMember: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Member email is required'
+      }),
+    
+    role: Joi.string()
+      .valid('owner', 'editor', 'viewer')
+      .default('viewer')
+  }),
+
+  updateMember: Joi.object({
+    role: Joi.string()
+      .valid('owner', 'editor', 'viewer')
+      .required()
+      .messages({
+        'any.required': 'Role is required'
+      })
+  })
+};
+
+// Comment validation schemas
+const commentValidation = {
+  create: Joi.object({
+    body: Joi.string()
+      .min(1)
+      .max(5000)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Comment cannot be empty',
+        'string.max': 'Comment cannot exceed 5000 characters',
+        'any.required': 'Comment body is required'
+      }),
+    
+    parentId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .allow(null)
+  }),
+
+  update: Joi.object({
+    body: Joi.string()
+      .min(1)
+      .max(5000)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Comment cannot be empty',
+        'string.max': 'Comment cannot exceed 5000 characters',
+        'any.required': 'Comment body is required'
+      })
+  })
+};
+
+// Saved view validation schemas
+const viewFields = {
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'View name cannot be empty',
+      'string.max': 'View name cannot exceed 100 characters'
+    }),
+
+  filters: Joi.object({
+    q: Joi.string().max(500).allow(''),
+    search: Joi.string().trim().max(200).allow(''),
+    status: taskStatus,
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+    category: Joi.string().trim().max(50),
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(20),
+    overdue: Joi.boolean(),
+    dueSoon: Joi.boolean(),
+    assignedToMe: Joi.boolean(),
+    createdByMe: Joi.boolean()
+  }),
+
+  sort: Joi.object({
+    by: Joi.string().valid('createdAt', 'dueDate', 'priority', 'title').default('createdAt'),
+    order: Joi.string().valid('asc', 'desc').default('desc')
+  }),
+
+  groupBy: Joi.string()
+    .valid('status', 'priority', 'category', 'project', 'dueDate')
+    .allow(null)
+};
+
+const viewValidation = {
+  create: Joi.object({
+    ...viewFields,
+    name: viewFields.name.required().messages({
+      'any.required': 'View name is required'
+    }),
+
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .allow(null)
+  }),
+
+  update: Joi.object(viewFields).min(1)
+};
+
+// Board validation schemas
+const boardColumn = Joi.object({
+  _id: Joi.string()
+    .hex()
+    .length(24)
+    .optional(),
+
+  name: Joi.string()
+    .min(1)
+    .max(50)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Column name cannot be empty',
+      'string.max': 'Column name cannot exceed 50 characters',
+      'any.required': 'Column name is required'
+    }),
+
+  statuses: Joi.array()
+    .items(taskStatus)
+    .min(1)
+    .unique()
+    .required(),
+
+  wipLimit: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+});
+
+const boardValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Board name cannot be empty',
+        'string.max': 'Board name cannot exceed 100 characters',
+        'any.required': 'Board name is required'
+      }),
+
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .allow(null),
+
+    columns: Joi.array()
+      .items(boardColumn)
+      .min(1)
+      .max(20)
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim(),
+
+    columns: Joi.array()
+      .items(boardColumn)
+      .min(1)
+      .max(20)
+  }).min(1),
+
+  move: Joi.object({
+    columnId: Joi.string()
+      .hex()
+      .length(24)
+      .required(),
+
+    // Index in the target column, counting the other tasks; defaults to the end
+    position: Joi.number()
+      .integer()
+      .min(0)
+  })
+};
+
+// Custom field validation schemas
+const fieldOptions = Joi.array()
+  .items(Joi.string().trim().min(1).max(100))
+  .min(1)
+  .max(100)
+  .unique();
+
+const customFieldValidation = {
+  create: Joi.object({
+    key: Joi.string()
+      .trim()
+      .max(30)
+      .pattern(/^[a-z][a-z0-9_]*$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Field key must start with a letter and contain only lowercase letters, digits and underscores',
+        'any.required': 'Field key is required'
+      }),
+
+    name: Joi.string()
+      .min(1)
+      .max(50)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Field name cannot be empty',
+        'string.max': 'Field name cannot exceed 50 characters',
+        'any.required': 'Field name is required'
+      }),
+
+    type: Joi.string()
+      .valid('text', 'number', 'date', 'select', 'multiselect', 'user', 'url')
+      .required()
+      .messages({
+        'any.required': 'Field type is required'
+      }),
+
+    options: fieldOptions.when('type', {
+      is: Joi.valid('select', 'multiselect'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+
+    required: Joi.boolean().default(false),
+
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .allow(null)
+  }),
+
+  // The key and type are fixed once tasks may hold values for the field
+  update: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(50)
+      .trim(),
+
+    options: fieldOptions,
+
+    required: Joi.boolean()
+  }).min(1)
+};
+
+/**
+ * Build the schema for one custom field value from the field's definition
+ */
+const customFieldValue = (field) => {
+  switch (field.type) {
+    case 'number':
+      return Joi.number();
+    case 'date':
+      return Joi.date().iso();
+    case 'select':
+      return Joi.string().valid(...field.options);
+    case 'multiselect':
+      return Joi.array().items(Joi.string().valid(...field.options)).unique();
+    case 'user':
+      return Joi.string().hex().length(24);
+    case 'url':
+      return Joi.string().trim().max(2000).uri({ scheme: ['http', 'https'] });
+    default:
+      return Joi.string().trim().min(1).max(1000);
+  }
+};
+
+/**
+ * Build the schema for a task's customFields from the definitions of the fields
+ * that apply to it. Keys without a definition are rejected; null clears a value,
+ * except for required fields.
+ */
+const customFieldValues = (fields) => {
+  return Joi.object(fields.reduce((keys, field) => {
+    const schema = customFieldValue(field);
+    keys[field.key] = field.required
+      ? schema.invalid(null).messages({ 'any.invalid': `${field.name} is required` })
+      : schema.allow(null);
+    return keys;
+  }, {}));
+};
+
+// Time entry validation schemas; durations are in minutes
+const timeEntryValidation = {
+  // Logged after the fact: a start and either an end or a duration
+  create: Joi.object({
+    startedAt: Joi.date()
+      .iso()
+      .required()
+      .messages({
+        'any.required': 'Start time is required'
+      }),
+
+    endedAt: Joi.date()
+      .iso()
+      .greater(Joi.ref('startedAt'))
+      .messages({
+        'date.greater': 'End time must be after the start time'
+      }),
+
+    duration: Joi.number()
+      .integer()
+      .min(1),
+
+    note: Joi.string()
+      .max(500)
+      .trim()
+      .allow('')
+  }).xor('endedAt', 'duration'),
+
+  update: Joi.object({
+    startedAt: Joi.date().iso(),
+
+    endedAt: Joi.date().iso(),
+
+    duration: Joi.number()
+      .integer()
+      .min(1),
+
+    note: Joi.string()
+      .max(500)
+      .trim()
+      .allow('')
+  }).oxor('endedAt', 'duration').min(1),
+
+  start: Joi.object({
+    note: Joi.string()
+      .max(500)
+      .trim()
+      .allow('')
+  }),
+
+  timesheet: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('from'))
+    }),
+    groupBy: Joi.string()
+      .valid('day', 'week', 'tag', 'category')
+      .default('day'),
+    // Defaults to the user's timezone
+    timezone,
+    projectId: Joi.string()
+      .hex()
+      .length(24)
+  })
+};
+
+// Reminder snooze lengths: minutes from now, or 9:00 the next day
+const SNOOZE_PRESETS = ['10m', '1h', 'tomorrow'];
+
+// Reminder action validation schemas
+const reminderValidation = {
+  // A preset or a custom time
+  snooze: Joi.object({
+    preset: Joi.string()
+      .valid(...SNOOZE_PRESETS),
+
+    until: Joi.date()
+      .iso()
+      .greater('now')
+      .messages({
+        'date.greater': 'Snooze time must be in the future'
+      }),
+
+    // Timezone whose morning "tomorrow" means; defaults to the user's
+    timezone: timezone
+  }).xor('preset', 'until'),
+
+  // One-click links in reminder emails; snoozing takes a preset or a custom time
+  action: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Action token is required'
+      }),
+
+    action: Joi.string()
+      .valid('snooze', 'acknowledge')
+      .required(),
+
+    preset: Joi.string()
+      .valid(...SNOOZE_PRESETS)
+      .when('action', { is: 'acknowledge', then: Joi.forbidden() }),
+
+    until: Joi.date()
+      .iso()
+      .greater('now')
+      .when('action', { is: 'acknowledge', then: Joi.forbidden() })
+      .messages({
+        'date.greater': 'Snooze time must be in the future'
+      }),
+
+    timezone
+  })
+    .oxor('preset', 'until')
+    .when(Joi.object({ action: Joi.valid('snooze') }).unknown(), {
+      then: Joi.object().or('preset', 'until')
+    })
+};
+
+// Addresses notifications are delivered to; plain http only outside production
+const channelUrl = Joi.string()
+  .uri({ scheme: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'] })
+  .max(2000);
+
+// Notification channel validation schemas
+const channelValidation = {
+  // Subscription from PushManager.subscribe() in the browser
+  pushSubscription: Joi.object({
+    endpoint: Joi.string()
+      .uri({ scheme: ['https'] })
+      .max(2000)
+      .required(),
+
+    keys: Joi.object({
+      p256dh: Joi.string().max(200).required(),
+      auth: Joi.string().max(100).required()
+    }).required(),
+
+    // Sent by some browsers; not stored
+    expirationTime: Joi.any().strip()
+  }),
+
+  removePushSubscription: Joi.object({
+    endpoint: Joi.string()
+      .required()
+  }),
+
+  webhook: Joi.object({
+    url: channelUrl.required()
+  }),
+
+  // Slack (or Slack-compatible) or Microsoft Teams incoming webhook
+  chat: Joi.object({
+    url: channelUrl.required(),
+
+    format: Joi.string()
+      .valid(...CHAT_FORMATS)
+      .default('slack')
   })
 };
 
@@ -311,6 +1128,15 @@ const validateQuery = (schema) => {
 module.exports = {
   userValidation,
   taskValidation,
+  projectValidation,
+  commentValidation,
+  viewValidation,
+  boardValidation,
+  customFieldValidation,
+  customFieldValues,
+  timeEntryValidation,
+  reminderValidation,
+  channelValidation,
   validate,
   validateQuery
 };
\ No newline at end of file
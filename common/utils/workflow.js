@@ -0,0 +1,124 @@
+/**
+ * Task workflows
+ *
+ * A workflow lists the statuses a task can have, each mapped to a category:
+ * todo (not started), doing (in progress) or done (closed; completedAt is set
+ * and the task is never overdue). Transitions, when listed, are the only
+ * status changes allowed; an empty list allows any change. Projects define
+ * their own workflow; personal tasks use the default one.
+ */
+
+const STATUS_CATEGORIES = ['todo', 'doing', 'done'];
+
+// Status keys are lowercase words joined by dashes, e.g. in-review
+const STATUS_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'pending', name: 'Pending', category: 'todo' },
+    { key: 'in-progress', name: 'In progress', category: 'doing' },
+    { key: 'completed', name: 'Completed', category: 'done' },
+    { key: 'cancelled', name: 'Cancelled', category: 'done' }
+  ],
+  transitions: []
+};
+
+/**
+ * Find a status of a workflow by key
+ * @param {Object} workflow - Workflow
+ * @param {string} key - Status key
+ * @returns {Object|null} Status, or null if the workflow has no such status
+ */
+const findStatus = (workflow, key) => {
+  return workflow.statuses.find(status => status.key === key) || null;
+};
+
+/**
+ * Get the keys of the statuses in a category, in workflow order
+ * @param {Object} workflow - Workflow
+ * @param {string} category - Status category
+ * @returns {Array} Status keys
+ */
+const getStatusesIn = (workflow, category) => {
+  return workflow.statuses
+    .filter(status => status.category === category)
+    .map(status => status.key);
+};
+
+/**
+ * Get the status new tasks start in: the first todo status
+ * @param {Object} workflow - Workflow
+ * @returns {string} Status key
+ */
+const getInitialStatus = (workflow) => {
+  return getStatusesIn(workflow, 'todo')[0];
+};
+
+/**
+ * Check whether a workflow allows changing a task from one status to another
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status key
+ * @param {string} to - New status key
+ * @returns {boolean} Whether the change is allowed
+ */
+const canTransition = (workflow, from, to) => {
+  if (from === to || !workflow.transitions || workflow.transitions.length === 0) {
+    return true;
+  }
+  return workflow.transitions.some(transition => transition.from === from && transition.to === to);
+};
+
+/**
+ * Find the status a task keeps when it moves to another workflow: the same
+ * key if the workflow has it, else the first status of the same category
+ * @param {Object} workflow - Workflow the task moves to
+ * @param {string} key - Current status key
+ * @param {string} category - Current status category
+ * @returns {string} Status key
+ */
+const mapStatus = (workflow, key, category) => {
+  if (findStatus(workflow, key)) {
+    return key;
+  }
+  return getStatusesIn(workflow, category)[0] || getInitialStatus(workflow);
+};
+
+/**
+ * Check a workflow definition
+ * @param {Object} workflow - Workflow
+ * @returns {Array} Error messages; empty if the workflow is valid
+ */
+const validateWorkflow = (workflow) => {
+  const errors = [];
+  const keys = workflow.statuses.map(status => status.key);
+
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Status keys must be unique');
+  }
+  if (getStatusesIn(workflow, 'todo').length === 0) {
+    errors.push('Workflow needs a todo status for new tasks');
+  }
+  if (getStatusesIn(workflow, 'done').length === 0) {
+    errors.push('Workflow needs a done status to complete tasks');
+  }
+
+  (workflow.transitions || []).forEach(transition => {
+    [transition.from, transition.to]
+      .filter(key => !keys.includes(key))
+      .forEach(key => errors.push(`Transition refers to unknown status "${key}"`));
+  });
+
+  return [...new Set(errors)];
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  STATUS_KEY_PATTERN,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getStatusesIn,
+  getInitialStatus,
+  canTransition,
+  mapStatus,
+  validateWorkflow
+};
\ No newline at end of file
@@ -114,8 +114,10 @@ if (process.env.NODE_ENV !== 'test') {
     }
   });
 
-  // Daily summary email at 8 AM
-  cron.schedule('0 8 * * *', async () => {
+  // Daily summary emails go out at each user's digest hour in their own
+  // timezone; checked every 15 minutes since some timezones are offset by 30
+  // or 45 minutes
+  cron.schedule('*/15 * * * *', async () => {
     try {
       console.log('Sending daily summaries...');
       await reminderService.sendDailySummaries();
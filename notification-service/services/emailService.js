@@ -64,6 +64,7 @@ class EmailService {
       const templateFiles = [
         'welcome.html',
         'task-reminder.html',
+        'task-reminders.html',
         'password-reset.html',
         'daily-summary.html',
         'task-overdue.html'
@@ -118,6 +119,41 @@ class EmailService {
               {{#if description}}<p><strong>Description:</strong> {{description}}</p>{{/if}}
             </div>
             <p>Don't forget to complete your task on time!</p>
+            {{#if actionLinks}}
+            <p>
+              Remind me again:
+              <a href="{{actionLinks.snooze10m}}">in 10 minutes</a> ·
+              <a href="{{actionLinks.snooze1h}}">in 1 hour</a> ·
+              <a href="{{actionLinks.snoozeTomorrow}}">tomorrow morning</a>
+              <br>
+              <a href="{{actionLinks.acknowledge}}">Got it, don't remind me again</a>
+            </p>
+            {{/if}}
+            <p>Best regards,<br>TaskTrackr</p>
+          </div>
+        `;
+        break;
+      
+      case 'task-reminders':
+        template = `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h1 style="color: #333;">Task Reminders</h1>
+            <p>Hi {{userName}},</p>
+            <p>Here are reminders about {{tasks.length}} of your tasks:</p>
+            {{#each tasks}}
+            <div style="background: #f5f5f5; padding: 15px; margin: 15px 0; border-radius: 5px;">
+              <h3 style="margin-top: 0;">{{title}}</h3>
+              <p><strong>Due Date:</strong> {{dueDate}}</p>
+              <p><strong>Priority:</strong> {{priority}}</p>
+              <p>
+                Remind me again:
+                <a href="{{actionLinks.snooze10m}}">in 10 minutes</a> ·
+                <a href="{{actionLinks.snooze1h}}">in 1 hour</a> ·
+                <a href="{{actionLinks.snoozeTomorrow}}">tomorrow morning</a> ·
+                <a href="{{actionLinks.acknowledge}}">Got it</a>
+              </p>
+            </div>
+            {{/each}}
             <p>Best regards,<br>TaskTrackr</p>
           </div>
         `;
@@ -149,6 +185,7 @@ class EmailService {
               <p><strong>Completed:</strong> {{completedTasks}}</p>
               <p><strong>Pending:</strong> {{pendingTasks}}</p>
               <p><strong>Overdue:</strong> {{overdueTasks}}</p>
+              <p><strong>Due Today:</strong> {{todayTasks}}</p>
             </div>
             {{#if upcomingTasks}}
             <h3>Upcoming Tasks:</h3>
@@ -199,7 +236,7 @@ class EmailService {
    * Create all fallback templates
    */
   createAllFallbackTemplates() {
-    const templateNames = ['welcome', 'task-reminder', 'password-reset', 'daily-summary', 'task-overdue'];
+    const templateNames = ['welcome', 'task-reminder', 'task-reminders', 'password-reset', 'daily-summary', 'task-overdue'];
     templateNames.forEach(name => this.createFallbackTemplate(name));
   }
 
@@ -269,13 +306,14 @@ class EmailService {
   /**
    * Send task reminder email
    */
-  async sendTaskReminder(user, task) {
+  async sendTaskReminder(user, task, actionLinks = null) {
     const data = {
       userName: user.name,
       taskTitle: task.title,
       description: task.description,
-      dueDate: new Date(task.dueDate).toLocaleDateString(),
-      priority: task.priority.toUpperCase()
+      dueDate: new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: user.preferences?.timezone || 'UTC' }),
+      priority: task.priority.toUpperCase(),
+      actionLinks
     };
 
     return await this.sendEmail(
@@ -286,6 +324,33 @@ class EmailService {
     );
   }
 
+  /**
+   * Send one email reminding a user of several tasks
+   * @param {Object} user - Recipient
+   * @param {Array} reminders - { task, actionLinks } pairs
+   */
+  async sendTaskReminders(user, reminders) {
+    const timezone = user.preferences?.timezone || 'UTC';
+    const data = {
+      userName: user.name,
+      tasks: reminders.map(({ task, actionLinks }) => ({
+        title: task.title,
+        dueDate: task.dueDate
+          ? new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: timezone })
+          : 'No due date',
+        priority: task.priority.toUpperCase(),
+        actionLinks
+      }))
+    };
+
+    return await this.sendEmail(
+      user.email,
+      `Task Reminders: ${reminders.length} tasks`,
+      'task-reminders',
+      data
+    );
+  }
+
   /**
    * Send password reset email
    */
@@ -315,9 +380,10 @@ class EmailService {
       completedTasks: summary.completedTasks,
       pendingTasks: summary.pendingTasks,
       overdueTasks: summary.overdueTasks,
+      todayTasks: summary.todayTasks,
       upcomingTasks: summary.upcomingTasks?.map(task => ({
         title: task.title,
-        dueDate: new Date(task.dueDate).toLocaleDateString()
+        dueDate: new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: summary.timezone || 'UTC' })
       }))
     };
 
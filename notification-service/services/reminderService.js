@@ -1,50 +1,87 @@
-const { Task, User } = require('@tasktrackr/common');
+const { Task, User, atLocalTime, getLocalDate, getNotificationChannels } = require('@tasktrackr/common');
 const emailService = require('./emailService');
+const { getReminderActionLinks } = require('../src/services/reminderActionService');
+const { findReminderBatches } = require('../src/services/reminderBatchService');
+const { notify } = require('../src/services/notificationService');
+
+/**
+ * Deliver the email channel of a notification through one of this service's
+ * template emails in place of the shared email channel
+ * @param {Function} sendEmail - Sends the email and resolves to its result
+ * @returns {Object} Channel overrides for notify()
+ */
+const templateEmail = (sendEmail) => ({
+  email: {
+    send: async () => {
+      const result = await sendEmail();
+      if (!result.success) {
+        throw new Error(result.error || result.message);
+      }
+    }
+  }
+});
 
 class ReminderService {
   /**
-   * Check for due reminders and send notifications
+   * Check for due reminders and send notifications. Each user's due reminders
+   * go out in one email, held back during their quiet hours; every reminder
+   * in it is recorded on its own.
    */
   async checkAndSendReminders() {
     try {
       console.log('Checking for due reminders...');
       
       const now = new Date();
-      const reminderWindow = new Date(now.getTime() + 5 * 60 * 1000); // 5 minutes ahead
-
-      // Find tasks with due reminders that haven't been sent
-      const tasksWithReminders = await Task.find({
-        'reminder.enabled': true,
-        'reminder.notified': false,
-        'reminder.reminderDate': {
-          $lte: reminderWindow
-        },
-        status: { $in: ['pending', 'in-progress'] },
-        isArchived: false
-      }).populate('userId', 'name email preferences');
 
-      console.log(`Found ${tasksWithReminders.length} tasks with due reminders`);
+      // Group due reminders by user, snoozed ones included; none is sent early
+      const { ready, deferred } = await findReminderBatches(now);
+
+      console.log(`Found ${ready.length} reminder batches to send, ${deferred.length} deferred by quiet hours`);
 
-      const reminderPromises = tasksWithReminders.map(async (task) => {
+      const batchPromises = ready.map(async ({ user, reminders }) => {
+        let error = null;
         try {
-          const user = task.userId;
-          
-          // Check if user wants email notifications
-          if (user.preferences?.notifications?.email !== false) {
-            await emailService.sendTaskReminder(user, task);
-          }
+          const items = reminders.map(({ task, reminder }) => ({
+            task,
+            actionLinks: getReminderActionLinks(task, reminder)
+          }));
+
+          // Deliver over the channels the user routes reminders to
+          const result = await notify(user, {
+            type: 'reminder',
+            title: items.length === 1 ? `Task Reminder: ${items[0].task.title}` : `${items.length} Task Reminders`,
+            message: items.length === 1
+              ? `${items[0].task.priority} priority task${items[0].task.dueDate ? `, due ${new Date(items[0].task.dueDate)
+                .toLocaleDateString('en-US', { timeZone: user.preferences?.timezone || 'UTC' })}` : ''}`
+              : `Reminders about ${items.length} of your tasks`,
+            url: items.length === 1
+              ? `${process.env.FRONTEND_URL}/tasks/${items[0].task._id}`
+              : `${process.env.FRONTEND_URL}/dashboard`,
+            items: items.length === 1 ? [] : items.map(({ task }) => ({
+              title: task.title,
+              url: `${process.env.FRONTEND_URL}/tasks/${task._id}`
+            }))
+          }, templateEmail(() => (items.length === 1
+            ? emailService.sendTaskReminder(user, items[0].task, items[0].actionLinks)
+            : emailService.sendTaskReminders(user, items))));
 
-          // Mark reminder as sent
-          task.reminder.notified = true;
-          await task.save();
+          if (result.error) {
+            throw result.error;
+          }
           
-          console.log(`Reminder sent for task: ${task.title} to ${user.email}`);
-        } catch (error) {
-          console.error(`Failed to send reminder for task ${task._id}:`, error);
+          console.log(`Sent ${reminders.length} reminders to user ${user._id} by ${result.delivered.join(', ') || 'no channel'}`);
+        } catch (sendError) {
+          console.error(`Failed to send ${reminders.length} reminders to user ${user?._id}:`, sendError);
+          error = sendError;
         }
+
+        await Promise.all(reminders.map(({ task, reminder }) =>
+          Task.recordReminderDelivery(task, reminder, error).catch(recordError => {
+            console.error(`Failed to record reminder ${reminder._id} for task ${task._id}:`, recordError);
+          })));
       });
 
-      await Promise.allSettled(reminderPromises);
+      await Promise.allSettled(batchPromises);
       
       console.log('Reminder check completed');
     } catch (error) {
@@ -53,30 +90,76 @@ class ReminderService {
   }
 
   /**
-   * Send daily summary emails to users
+   * Send daily summaries, over the channels each user routes digests to, to
+   * the users whose digest hour has come in their own timezone and who have
+   * not had one yet on their local day. Each user's
+   * day is claimed before sending so overlapping runs do not send it twice;
+   * the claim is released if sending fails so the next run retries.
    */
   async sendDailySummaries() {
     try {
       console.log('Sending daily summaries...');
 
-      // Get users who want daily summaries
+      const now = new Date();
+      const timezone = { $ifNull: ['$preferences.timezone', 'UTC'] };
+
+      // Get users who are due a daily summary
       const users = await User.find({
-        'preferences.notifications.email': { $ne: false }
+        $expr: {
+          $and: [
+            { $gte: [{ $hour: { date: now, timezone } }, { $ifNull: ['$preferences.digestHour', 8] }] },
+            { $ne: ['$lastDigestDate', { $dateToString: { date: now, format: '%Y-%m-%d', timezone } }] }
+          ]
+        }
       });
 
       console.log(`Sending daily summaries to ${users.length} users`);
 
       const summaryPromises = users.map(async (user) => {
+        // Skip users who muted digests
+        if (getNotificationChannels(user, 'digest').length === 0) {
+          return;
+        }
+
+        const userTimezone = user.preferences?.timezone || 'UTC';
+        const today = getLocalDate(now, userTimezone);
+
+        const claimed = await User.updateOne(
+          { _id: user._id, lastDigestDate: user.lastDigestDate },
+          { $set: { lastDigestDate: today } }
+        );
+        if (claimed.modifiedCount === 0) {
+          return;
+        }
+
         try {
-          const summary = await this.generateUserSummary(user._id);
+          const summary = await this.generateUserSummary(user._id, userTimezone);
           
           // Only send if user has tasks
           if (summary.totalTasks > 0) {
-            await emailService.sendDailySummary(user, summary);
-            console.log(`Daily summary sent to ${user.email}`);
+            const result = await notify(user, {
+              type: 'digest',
+              title: 'Daily Task Summary',
+              message: `${summary.overdueTasks} overdue, ${summary.todayTasks} due today, ${summary.pendingTasks} pending`,
+              url: `${process.env.FRONTEND_URL}/dashboard`,
+              items: summary.upcomingTasks.map(task => ({
+                title: task.title,
+                message: `Due ${new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: userTimezone })}`,
+                url: `${process.env.FRONTEND_URL}/tasks/${task._id}`
+              }))
+            }, templateEmail(() => emailService.sendDailySummary(user, summary)));
+
+            if (result.error) {
+              throw result.error;
+            }
+            console.log(`Daily summary sent to ${user.email} by ${result.delivered.join(', ') || 'no channel'}`);
           }
         } catch (error) {
           console.error(`Failed to send daily summary to ${user.email}:`, error);
+          await User.updateOne(
+            { _id: user._id, lastDigestDate: today },
+            { $set: { lastDigestDate: user.lastDigestDate } }
+          );
         }
       });
 
@@ -89,15 +172,15 @@ class ReminderService {
   }
 
   /**
-   * Generate task summary for a user
+   * Generate task summary for a user; today, tomorrow and the week ahead are
+   * local days in the user's timezone
    */
-  async generateUserSummary(userId) {
+  async generateUserSummary(userId, timezone = 'UTC') {
     try {
-      const today = new Date();
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const nextWeek = new Date(today);
-      nextWeek.setDate(nextWeek.getDate() + 7);
+      const now = new Date();
+      const startOfToday = atLocalTime(now, timezone, { days: 0 });
+      const startOfTomorrow = atLocalTime(now, timezone, { days: 1 });
+      const endOfNextWeek = atLocalTime(now, timezone, { days: 8 });
 
       const [
         totalTasks,
@@ -117,29 +200,29 @@ class ReminderService {
         // Completed tasks
         Task.countDocuments({
           userId,
-          status: 'completed',
+          statusCategory: 'done',
           isArchived: false
         }),
         
         // Pending tasks
         Task.countDocuments({
           userId,
-          status: 'pending',
+          statusCategory: 'todo',
           isArchived: false
         }),
         
         // In progress tasks
         Task.countDocuments({
           userId,
-          status: 'in-progress',
+          statusCategory: 'doing',
           isArchived: false
         }),
         
-        // Overdue tasks
+        // Overdue tasks (due before today)
         Task.countDocuments({
           userId,
-          dueDate: { $lt: today },
-          status: { $in: ['pending', 'in-progress'] },
+          dueDate: { $lt: startOfToday },
+          statusCategory: { $ne: 'done' },
           isArchived: false
         }),
         
@@ -147,21 +230,21 @@ class ReminderService {
         Task.countDocuments({
           userId,
           dueDate: {
-            $gte: new Date(today.setHours(0, 0, 0, 0)),
-            $lt: new Date(today.setHours(23, 59, 59, 999))
+            $gte: startOfToday,
+            $lt: startOfTomorrow
           },
-          status: { $in: ['pending', 'in-progress'] },
+          statusCategory: { $ne: 'done' },
           isArchived: false
         }),
         
-        // Upcoming tasks (next 7 days)
+        // Upcoming tasks (the next 7 days)
         Task.find({
           userId,
           dueDate: {
-            $gte: tomorrow,
-            $lte: nextWeek
+            $gte: startOfTomorrow,
+            $lt: endOfNextWeek
           },
-          status: { $in: ['pending', 'in-progress'] },
+          statusCategory: { $ne: 'done' },
           isArchived: false
         })
         .select('title dueDate priority')
@@ -176,7 +259,8 @@ class ReminderService {
         overdueTasks,
         todayTasks,
         upcomingTasks: upcomingTasks || [],
-        completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0
+        completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
+        timezone
       };
     } catch (error) {
       console.error('Error generating user summary:', error);
@@ -187,13 +271,14 @@ class ReminderService {
         overdueTasks: 0,
         todayTasks: 0,
         upcomingTasks: [],
-        completionRate: 0
+        completionRate: 0,
+        timezone
       };
     }
   }
 
   /**
-   * Send overdue task alerts
+   * Send overdue task alerts over the channels each user routes them to
    */
   async sendOverdueAlerts() {
     try {
@@ -203,7 +288,7 @@ class ReminderService {
         {
           $match: {
             dueDate: { $lt: new Date() },
-            status: { $in: ['pending', 'in-progress'] },
+            statusCategory: { $ne: 'done' },
             isArchived: false
           }
         },
@@ -223,11 +308,6 @@ class ReminderService {
         },
         {
           $unwind: '$user'
-        },
-        {
-          $match: {
-            'user.preferences.notifications.email': { $ne: false }
-          }
         }
       ]);
 
@@ -238,8 +318,26 @@ class ReminderService {
           const user = userGroup.user;
           const overdueTasks = userGroup.tasks;
 
-          await emailService.sendOverdueAlert(user, overdueTasks);
-          console.log(`Overdue alert sent to ${user.email} for ${overdueTasks.length} tasks`);
+          if (getNotificationChannels(user, 'overdue').length === 0) {
+            return;
+          }
+
+          const result = await notify(user, {
+            type: 'overdue',
+            title: 'Overdue Tasks Alert',
+            message: `You have ${overdueTasks.length} overdue tasks that need attention`,
+            url: `${process.env.FRONTEND_URL}/dashboard`,
+            items: overdueTasks.map(task => ({
+              title: task.title,
+              message: `Due ${new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: user.preferences?.timezone || 'UTC' })}`,
+              url: `${process.env.FRONTEND_URL}/tasks/${task._id}`
+            }))
+          }, templateEmail(() => emailService.sendOverdueAlert(user, overdueTasks)));
+
+          if (result.error) {
+            throw result.error;
+          }
+          console.log(`Overdue alert sent to ${user.email} for ${overdueTasks.length} tasks by ${result.delivered.join(', ') || 'no channel'}`);
         } catch (error) {
           console.error(`Failed to send overdue alert to user ${userGroup._id}:`, error);
         }
@@ -254,7 +352,7 @@ class ReminderService {
   }
 
   /**
-   * Schedule a reminder for a task
+   * Add a reminder at a fixed time to a task
    */
   async scheduleReminder(taskId, reminderDate) {
     try {
@@ -263,17 +361,15 @@ class ReminderService {
         throw new Error('Task not found');
       }
 
-      task.reminder.enabled = true;
-      task.reminder.reminderDate = reminderDate;
-      task.reminder.notified = false;
-
-      await task.save();
+      await task.setReminder(reminderDate);
+      const reminder = task.reminders[task.reminders.length - 1];
       
       console.log(`Reminder scheduled for task ${task.title} at ${reminderDate}`);
       
       return {
         success: true,
         message: 'Reminder scheduled successfully',
+        reminderId: reminder._id,
         reminderDate
       };
     } catch (error) {
@@ -287,18 +383,24 @@ class ReminderService {
   }
 
   /**
-   * Cancel a reminder for a task
+   * Cancel one reminder of a task, or all of them when no reminder ID is given
    */
-  async cancelReminder(taskId) {
+  async cancelReminder(taskId, reminderId = null) {
     try {
       const task = await Task.findById(taskId);
       if (!task) {
         throw new Error('Task not found');
       }
 
-      task.reminder.enabled = false;
-      task.reminder.notified = false;
-      task.reminder.reminderDate = null;
+      if (reminderId) {
+        const reminder = task.reminders.id(reminderId);
+        if (!reminder) {
+          throw new Error('Reminder not found');
+        }
+        reminder.deleteOne();
+      } else {
+        task.reminders = [];
+      }
 
       await task.save();
       
@@ -319,36 +421,48 @@ class ReminderService {
   }
 
   /**
-   * Get reminder statistics
+   * Get reminder statistics, counting each reminder of a task
    */
   async getReminderStats() {
     try {
-      const [
-        totalReminders,
-        activeReminders,
-        sentReminders,
-        overdueReminders
-      ] = await Promise.all([
-        Task.countDocuments({ 'reminder.enabled': true }),
-        Task.countDocuments({ 
-          'reminder.enabled': true,
-          'reminder.notified': false 
-        }),
-        Task.countDocuments({ 
-          'reminder.enabled': true,
-          'reminder.notified': true 
-        }),
-        Task.countDocuments({
-          'reminder.enabled': true,
-          'reminder.reminderDate': { $lt: new Date() },
-          'reminder.notified': false
-        })
+      const counts = await Task.aggregate([
+        { $unwind: '$reminders' },
+        {
+          $group: {
+            _id: null,
+            totalReminders: { $sum: 1 },
+            activeReminders: { $sum: { $cond: [{ $in: ['$reminders.status', ['pending', 'snoozed']] }, 1, 0] } },
+            sentReminders: { $sum: { $cond: [{ $eq: ['$reminders.status', 'sent'] }, 1, 0] } },
+            failedReminders: { $sum: { $cond: [{ $eq: ['$reminders.status', 'failed'] }, 1, 0] } },
+            overdueReminders: {
+              $sum: {
+                $cond: [{
+                  $and: [
+                    { $eq: ['$reminders.status', 'pending'] },
+                    { $lt: ['$reminders.remindAt', new Date()] },
+                    // Relative reminders without a due date have no time yet
+                    { $ne: ['$reminders.remindAt', null] }
+                  ]
+                }, 1, 0]
+              }
+            }
+          }
+        }
       ]);
 
+      const {
+        totalReminders = 0,
+        activeReminders = 0,
+        sentReminders = 0,
+        failedReminders = 0,
+        overdueReminders = 0
+      } = counts[0] || {};
+
       return {
         totalReminders,
         activeReminders,
         sentReminders,
+        failedReminders,
         overdueReminders,
         reminderEfficiency: totalReminders > 0 
           ? Math.round((sentReminders / totalReminders) * 100) 
@@ -360,6 +474,7 @@ class ReminderService {
         totalReminders: 0,
         activeReminders: 0,
         sentReminders: 0,
+        failedReminders: 0,
         overdueReminders: 0,
         reminderEfficiency: 0
       };
@@ -0,0 +1,70 @@
+const { postToPublicUrl } = require('./outboundUrl');
+
+const CHAT_TIMEOUT_MS = 5000;
+
+/**
+ * Escape the characters Slack treats as markup in message text
+ */
+const escapeSlack = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Build a Slack incoming webhook message; Slack-compatible services such as
+ * Mattermost accept it as well
+ */
+const toSlackMessage = (notification) => {
+  const link = (text, url) => (url ? `<${url}|${escapeSlack(text)}>` : escapeSlack(text));
+  const lines = [
+    `*${link(notification.title, notification.url)}*`,
+    escapeSlack(notification.message),
+    ...(notification.items || []).map(item => `• ${link(item.title, item.url)}${item.message ? ` - ${escapeSlack(item.message)}` : ''}`)
+  ].filter(Boolean);
+
+  return { text: lines.join('\n') };
+};
+
+/**
+ * Build a Microsoft Teams incoming webhook message card
+ */
+const toTeamsMessage = (notification) => {
+  const items = (notification.items || []).map(item =>
+    `- ${item.url ? `[${item.title}](${item.url})` : item.title}${item.message ? ` - ${item.message}` : ''}`);
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: notification.title,
+    themeColor: '2563EB',
+    title: notification.title,
+    text: [notification.message, items.join('\n')].filter(Boolean).join('\n\n'),
+    potentialAction: notification.url ? [{
+      '@type': 'OpenUri',
+      name: 'Open in TaskTrackr',
+      targets: [{ os: 'default', uri: notification.url }]
+    }] : []
+  };
+};
+
+/**
+ * Whether the user has set up a chat webhook
+ */
+const isAvailable = (user) => Boolean(user.channelSettings?.chat?.url);
+
+/**
+ * Post a notification to the user's Slack or Teams incoming webhook
+ */
+const send = async (user, notification) => {
+  const { url, format } = user.channelSettings.chat;
+  const message = format === 'teams' ? toTeamsMessage(notification) : toSlackMessage(notification);
+
+  await postToPublicUrl(url, message, { timeout: CHAT_TIMEOUT_MS });
+};
+
+module.exports = {
+  name: 'chat',
+  interrupts: true,
+  isAvailable,
+  send
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { sendEmail } = require('../services/emailService');
+
+/**
+ * Whether the user has an address to email
+ */
+const isAvailable = (user) => Boolean(user.email);
+
+/**
+ * Email a notification: its email template and data, or a ready subject and html
+ */
+const send = async (user, notification) => {
+  await sendEmail({ to: user.email, ...notification.email });
+};
+
+module.exports = {
+  name: 'email',
+  isAvailable,
+  send
+};
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Notification channels by name
+ *
+ * A channel has a name, isAvailable(user), which tells whether the user has
+ * set up somewhere for it to deliver to, and send(user, notification), which
+ * delivers or throws. Channels that interrupt the user (interrupts: true)
+ * are skipped during their quiet hours and do-not-disturb.
+ */
+
+const emailChannel = require('./emailChannel');
+const pushChannel = require('./pushChannel');
+const webhookChannel = require('./webhookChannel');
+const chatChannel = require('./chatChannel');
+
+module.exports = {
+  email: emailChannel,
+  push: pushChannel,
+  webhook: webhookChannel,
+  chat: chatChannel
+};
\ No newline at end of file
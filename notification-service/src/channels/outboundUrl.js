@@ -0,0 +1,108 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Addresses user-supplied webhooks may not reach: this host, private
+// networks, link-local (cloud metadata) and other non-public ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, length]) => blockedAddresses.addSubnet(prefix, length, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, length]) => blockedAddresses.addSubnet(prefix, length, 'ipv6'));
+
+// Thrown when a URL points at an address notifications may not be sent to
+class BlockedUrlError extends Error {}
+
+/**
+ * Whether an IP address is in a blocked range, IPv4-mapped IPv6 included
+ */
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup that fails for blocked addresses. Sockets connect through it, so
+ * a host cannot pass the check and then resolve somewhere internal.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new BlockedUrlError(`${hostname} resolves to a blocked address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const agentOptions = { lookup: publicLookup };
+
+/**
+ * Check that a URL's host resolves only to public addresses
+ * @param {string} url - http(s) URL
+ * @throws {BlockedUrlError} if the URL is invalid or any address is blocked
+ */
+const assertPublicUrl = async (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    throw new BlockedUrlError('Invalid URL');
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new BlockedUrlError(`${hostname} could not be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw new BlockedUrlError(`${hostname} resolves to a blocked address`);
+  }
+};
+
+/**
+ * POST to a user-supplied URL, refusing internal addresses both up front and
+ * when the connection is made. Redirects are not followed.
+ */
+const postToPublicUrl = async (url, body, options = {}) => {
+  await assertPublicUrl(url);
+
+  try {
+    return await axios.post(url, body, {
+      ...options,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: new http.Agent(agentOptions),
+      httpsAgent: new https.Agent(agentOptions)
+    });
+  } catch (error) {
+    throw error.cause instanceof BlockedUrlError ? error.cause : error;
+  }
+};
+
+module.exports = {
+  BlockedUrlError,
+  isBlockedAddress,
+  assertPublicUrl,
+  postToPublicUrl
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+const webpush = require('web-push');
+const { User } = require('@tasktrackr/common');
+
+// How long a push service keeps trying to reach an offline browser, in seconds
+const PUSH_TTL = 24 * 60 * 60;
+
+let configured = null;
+
+/**
+ * Whether VAPID keys are set; they are applied to web-push on first use
+ */
+const isConfigured = () => {
+  if (configured === null) {
+    configured = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+    if (configured) {
+      webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:noreply@tasktrackr.com',
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+      );
+    }
+  }
+  return configured;
+};
+
+/**
+ * Whether push is configured and the user has subscribed a browser
+ */
+const isAvailable = (user) => isConfigured() && (user.channelSettings?.pushSubscriptions || []).length > 0;
+
+/**
+ * Push a notification to every browser the user subscribed. Subscriptions the
+ * push service reports gone are removed; the send fails only if no browser
+ * was reached.
+ */
+const send = async (user, notification) => {
+  const subscriptions = user.channelSettings.pushSubscriptions;
+  const payload = JSON.stringify({
+    type: notification.type,
+    title: notification.title,
+    body: notification.message,
+    url: notification.url
+  });
+
+  const results = await Promise.allSettled(subscriptions.map(({ endpoint, keys }) =>
+    webpush.sendNotification({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }, payload, { TTL: PUSH_TTL })));
+
+  const expired = subscriptions
+    .filter((subscription, index) => [404, 410].includes(results[index].reason?.statusCode))
+    .map(subscription => subscription.endpoint);
+  if (expired.length > 0) {
+    await User.removePushSubscriptions(user._id, expired);
+  }
+
+  if (!results.some(result => result.status === 'fulfilled')) {
+    throw results[0].reason;
+  }
+};
+
+module.exports = {
+  name: 'push',
+  interrupts: true,
+  isConfigured,
+  isAvailable,
+  send
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { postToPublicUrl } = require('./outboundUrl');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Sign a webhook body the way receivers verify it: HMAC-SHA256 of the
+ * timestamp and the raw body joined by a dot, keyed with the user's secret
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Whether the user has set up a webhook
+ */
+const isAvailable = (user) => Boolean(user.channelSettings?.webhook?.url && user.channelSettings.webhook.secret);
+
+/**
+ * POST a notification as JSON to the user's webhook. Redirects are not
+ * followed, internal addresses are refused and any response other than 2xx
+ * fails the delivery.
+ */
+const send = async (user, notification) => {
+  const { url, secret } = user.channelSettings.webhook;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: crypto.randomUUID(),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    url: notification.url,
+    items: notification.items || [],
+    sentAt: new Date(timestamp * 1000).toISOString()
+  });
+
+  await postToPublicUrl(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TaskTrackr-Webhooks/1.0',
+      'X-TaskTrackr-Event': notification.type,
+      'X-TaskTrackr-Timestamp': String(timestamp),
+      'X-TaskTrackr-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+    },
+    timeout: WEBHOOK_TIMEOUT_MS
+  });
+};
+
+module.exports = {
+  name: 'webhook',
+  signPayload,
+  isAvailable,
+  send
+};
\ No newline at end of file
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const express = require('express');
+const {
+  User,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  getNotificationChannels,
+  authMiddleware,
+  validate,
+  channelValidation,
+  successResponse,
+  errorResponse,
+  notFoundResponse
+} = require('@tasktrackr/common');
+const channels = require('../channels');
+const { BlockedUrlError, assertPublicUrl } = require('../channels/outboundUrl');
+const { sendTestNotification } = require('../services/notificationService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * Describe the user's channels: which are set up and where each notification
+ * type is routed. Webhook secrets and push subscription keys are not returned.
+ */
+const describeChannels = (user) => {
+  const settings = user.channelSettings || {};
+
+  return {
+    routing: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, getNotificationChannels(user, type)])),
+    available: Object.fromEntries(NOTIFICATION_CHANNELS.map(name => [name, channels[name].isAvailable(user)])),
+    push: {
+      configured: channels.push.isConfigured(),
+      vapidPublicKey: process.env.VAPID_PUBLIC_KEY || null,
+      subscriptions: (settings.pushSubscriptions || []).map(({ endpoint, createdAt }) => ({ endpoint, createdAt }))
+    },
+    webhook: { url: settings.webhook?.url || null },
+    chat: { url: settings.chat?.url || null, format: settings.chat?.format || 'slack' }
+  };
+};
+
+/**
+ * Get the authenticated user's notification channels
+ */
+router.get('/', (req, res) => {
+  successResponse(res, describeChannels(req.user), 'Notification channels retrieved successfully');
+});
+
+/**
+ * Subscribe a browser to Web Push notifications
+ */
+router.post('/push/subscriptions', validate(channelValidation.pushSubscription), async (req, res) => {
+  try {
+    if (!channels.push.isConfigured()) {
+      return errorResponse(res, 'Push notifications are not configured on this server', 503);
+    }
+
+    await User.savePushSubscription(req.user._id, req.body);
+
+    successResponse(res, { endpoint: req.body.endpoint }, 'Push subscription saved successfully', 201);
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    errorResponse(res, 'Failed to save push subscription', 500);
+  }
+});
+
+/**
+ * Unsubscribe a browser from Web Push notifications
+ */
+router.delete('/push/subscriptions', validate(channelValidation.removePushSubscription), async (req, res) => {
+  try {
+    const result = await User.removePushSubscriptions(req.user._id, [req.body.endpoint]);
+    if (result.modifiedCount === 0) {
+      return notFoundResponse(res, 'Push subscription');
+    }
+
+    successResponse(res, null, 'Push subscription removed successfully');
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    errorResponse(res, 'Failed to remove push subscription', 500);
+  }
+});
+
+/**
+ * Set the webhook notifications are posted to; its host must resolve to a
+ * public address. A new signing secret is generated each time and only
+ * returned in this response.
+ */
+router.put('/webhook', validate(channelValidation.webhook), async (req, res) => {
+  try {
+    await assertPublicUrl(req.body.url);
+
+    const webhook = { url: req.body.url, secret: crypto.randomBytes(32).toString('hex') };
+
+    await User.updateOne({ _id: req.user._id }, { $set: { 'channelSettings.webhook': webhook } });
+
+    successResponse(res, webhook, 'Webhook saved successfully; store the secret now, it is not shown again');
+  } catch (error) {
+    if (error instanceof BlockedUrlError) {
+      return errorResponse(res, error.message, 400);
+    }
+    console.error('Save webhook error:', error);
+    errorResponse(res, 'Failed to save webhook', 500);
+  }
+});
+
+/**
+ * Remove the webhook
+ */
+router.delete('/webhook', async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $set: { 'channelSettings.webhook': { url: null, secret: null } } });
+
+    successResponse(res, null, 'Webhook removed successfully');
+  } catch (error) {
+    console.error('Remove webhook error:', error);
+    errorResponse(res, 'Failed to remove webhook', 500);
+  }
+});
+
+/**
+ * Set the Slack or Microsoft Teams incoming webhook notifications are posted
+ * to. Like the webhook, it must resolve to a public address.
+ */
+router.put('/chat', validate(channelValidation.chat), async (req, res) => {
+  try {
+    await assertPublicUrl(req.body.url);
+
+    await User.updateOne({ _id: req.user._id }, { $set: { 'channelSettings.chat': req.body } });
+
+    successResponse(res, req.body, 'Chat webhook saved successfully');
+  } catch (error) {
+    if (error instanceof BlockedUrlError) {
+      return errorResponse(res, error.message, 400);
+    }
+    console.error('Save chat webhook error:', error);
+    errorResponse(res, 'Failed to save chat webhook', 500);
+  }
+});
+
+/**
+ * Remove the chat webhook
+ */
+router.delete('/chat', async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $set: { 'channelSettings.chat.url': null } });
+
+    successResponse(res, null, 'Chat webhook removed successfully');
+  } catch (error) {
+    console.error('Remove chat webhook error:', error);
+    errorResponse(res, 'Failed to remove chat webhook', 500);
+  }
+});
+
+/**
+ * Send a test notification over one of the user's channels
+ */
+router.post('/:channel/test', async (req, res) => {
+  try {
+    const { channel } = req.params;
+
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return notFoundResponse(res, 'Channel');
+    }
+
+    const sent = await sendTestNotification(req.user, channel);
+    if (!sent) {
+      return errorResponse(res, `The ${channel} channel is not set up`, 400);
+    }
+
+    successResponse(res, null, 'Test notification sent successfully');
+  } catch (error) {
+    if (error instanceof BlockedUrlError) {
+      return errorResponse(res, error.message, 400);
+    }
+    console.error('Test notification error:', error);
+    errorResponse(res, 'Failed to send test notification', 502);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
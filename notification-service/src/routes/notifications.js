@@ -1,7 +1,8 @@
 const express = require('express');
 const { authMiddleware } = require('@tasktrackr/common');
 const { sendDailyDigest, sendWeeklyummary } = require('../services/reminderService');
-const { successResponse, errorResponse } = require('@tasktrackr/common');
+const { sendTaskAssignedNotifications, sendMentionNotifications } = require('../services/taskNotificationService');
+const { successResponse, errorResponse, validationErrorResponse } = require('@tasktrackr/common');
 
 const router = express.Router();
 
@@ -36,6 +37,61 @@ router.post('/weekly-summary', async (req, res) => {
   }
 });
 
+/**
+ * Notify users that the authenticated user assigned them to a task, given the
+ * activity entry of the assignment (called by task-service with the assigning
+ * user's token); repeated calls for the same entry notify no one
+ */
+router.post('/task-assigned', async (req, res) => {
+  try {
+    const { activityId } = req.body;
+
+    if (!activityId) {
+      return validationErrorResponse(res, [
+        { field: 'activityId', message: 'Activity ID of the assignment is required' }
+      ]);
+    }
+
+    const sent = await sendTaskAssignedNotifications(req.user, activityId);
+    successResponse(res, { sent }, 'Assignment notifications sent successfully');
+  } catch (error) {
+    console.error('Send assignment notification error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid activity ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to send assignment notifications', 500);
+  }
+});
+
+/**
+ * Notify users mentioned in a comment by the authenticated user
+ * (called by task-service with the comment author's token)
+ */
+router.post('/mention', async (req, res) => {
+  try {
+    const { commentId, mentionedUserIds } = req.body;
+
+    if (!commentId || !Array.isArray(mentionedUserIds) || mentionedUserIds.length === 0) {
+      return validationErrorResponse(res, [
+        { field: 'mentionedUserIds', message: 'Comment ID and array of mentioned user IDs are required' }
+      ]);
+    }
+
+    const sent = await sendMentionNotifications(req.user, commentId, mentionedUserIds);
+    successResponse(res, { sent }, 'Mention notifications sent successfully');
+  } catch (error) {
+    console.error('Send mention notification error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid comment or user ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to send mention notifications', 500);
+  }
+});
+
 /**
  * Test notification endpoint
  */
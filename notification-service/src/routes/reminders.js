@@ -0,0 +1,182 @@
+const express = require('express');
+const {
+  User,
+  authMiddleware,
+  validate,
+  validateQuery,
+  reminderValidation,
+  successResponse,
+  errorResponse,
+  notFoundResponse
+} = require('@tasktrackr/common');
+const { verifyReminderActionToken, applyReminderAction } = require('../services/reminderActionService');
+const { escapeHtml } = require('../services/emailService');
+
+const router = express.Router();
+
+/**
+ * Render the page a one-click link from a reminder email opens. Content is
+ * trusted HTML to show below the message.
+ */
+const renderActionPage = (res, statusCode, heading, message, taskUrl = null, content = '') => {
+  res.status(statusCode).send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(heading)} - TaskTrackr</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px;">
+    <h1 style="color: #2563eb;">${escapeHtml(heading)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${content}
+    ${taskUrl ? `<p><a href="${escapeHtml(taskUrl)}" style="color: #2563eb;">View task</a></p>` : ''}
+  </body>
+</html>`);
+};
+
+/**
+ * Describe a snoozed or acknowledged reminder for the action page
+ */
+const describeAction = (reminder, timezone) => {
+  if (reminder.status === 'acknowledged') {
+    return 'Reminder acknowledged. You will not be reminded again.';
+  }
+
+  const until = reminder.snoozedUntil.toLocaleString('en-US', {
+    timeZone: timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+  return `Reminder snoozed until ${until} (${timezone}).`;
+};
+
+const SNOOZE_PRESET_LABELS = {
+  '10m': 'for 10 minutes',
+  '1h': 'for 1 hour',
+  tomorrow: 'until tomorrow morning'
+};
+
+/**
+ * Describe the action a link asks for, for the confirmation page
+ */
+const describeRequestedAction = ({ action, preset, until }) => {
+  if (action === 'acknowledge') {
+    return 'Acknowledge this reminder so you are not reminded again?';
+  }
+  return `Snooze this reminder ${until ? `until ${until.toISOString()}` : SNOOZE_PRESET_LABELS[preset]}?`;
+};
+
+/**
+ * Build the form that confirms a link's action, posting its fields back
+ */
+const renderConfirmForm = (fields) => {
+  const inputs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => {
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(text)}">`;
+    });
+
+  return `<form method="post" action="action">
+      ${inputs.join('\n      ')}
+      <button type="submit" style="background: #2563eb; color: #fff; border: 0; border-radius: 4px; padding: 10px 20px; font-size: 16px; cursor: pointer;">Confirm</button>
+    </form>`;
+};
+
+/**
+ * Confirm the action of a one-click link from a reminder email. Opening the
+ * link changes nothing, since mail scanners prefetch links; the page posts the
+ * action back to apply it.
+ */
+router.get('/action', validateQuery(reminderValidation.action), (req, res) => {
+  const payload = verifyReminderActionToken(req.query.token);
+  if (!payload) {
+    return renderActionPage(res, 401, 'Link expired', 'This link is invalid or has expired. Open the task in TaskTrackr instead.');
+  }
+
+  renderActionPage(res, 200, 'Confirm reminder action', describeRequestedAction(req.query),
+    `${process.env.CLIENT_URL}/tasks/${payload.taskId}`, renderConfirmForm(req.query));
+});
+
+/**
+ * Snooze or acknowledge a reminder, as confirmed on the page a one-click link
+ * opens. The signed token names the task, reminder and recipient in place of
+ * a login.
+ */
+router.post('/action', validate(reminderValidation.action), async (req, res) => {
+  try {
+    const { token, ...options } = req.body;
+
+    const payload = verifyReminderActionToken(token);
+    if (!payload) {
+      return renderActionPage(res, 401, 'Link expired', 'This link is invalid or has expired. Open the task in TaskTrackr instead.');
+    }
+
+    const recipient = await User.findById(payload.recipientId).select('preferences.timezone');
+    const timezone = options.timezone || recipient?.preferences?.timezone || 'UTC';
+
+    const reminder = await applyReminderAction(payload.recipientId, payload.taskId, payload.reminderId, { ...options, timezone });
+    if (!reminder) {
+      return renderActionPage(res, 404, 'Reminder not found', 'This reminder was removed or the task no longer exists.');
+    }
+
+    renderActionPage(res, 200, 'Done', describeAction(reminder, timezone),
+      `${process.env.CLIENT_URL}/tasks/${payload.taskId}`);
+  } catch (error) {
+    console.error('Reminder action link error:', error);
+    renderActionPage(res, 500, 'Something went wrong', 'The reminder could not be updated. Please try again later.');
+  }
+});
+
+/**
+ * Snooze one of the authenticated user's reminders by a preset or until a custom time
+ */
+router.post('/:taskId/:reminderId/snooze', authMiddleware, validate(reminderValidation.snooze), async (req, res) => {
+  try {
+    const { taskId, reminderId } = req.params;
+
+    const timezone = req.body.timezone || req.user.preferences?.timezone || 'UTC';
+
+    const reminder = await applyReminderAction(req.user._id, taskId, reminderId, { action: 'snooze', ...req.body, timezone });
+    if (!reminder) {
+      return notFoundResponse(res, 'Reminder');
+    }
+
+    successResponse(res, reminder, 'Reminder snoozed successfully');
+  } catch (error) {
+    console.error('Snooze reminder error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task or reminder ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to snooze reminder', 500);
+  }
+});
+
+/**
+ * Acknowledge one of the authenticated user's reminders so it is not sent again
+ */
+router.post('/:taskId/:reminderId/acknowledge', authMiddleware, async (req, res) => {
+  try {
+    const { taskId, reminderId } = req.params;
+
+    const reminder = await applyReminderAction(req.user._id, taskId, reminderId, { action: 'acknowledge' });
+    if (!reminder) {
+      return notFoundResponse(res, 'Reminder');
+    }
+
+    successResponse(res, reminder, 'Reminder acknowledged successfully');
+  } catch (error) {
+    console.error('Acknowledge reminder error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task or reminder ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to acknowledge reminder', 500);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
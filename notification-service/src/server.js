@@ -7,6 +7,8 @@ const cron = require('node-cron');
 
 const { connectDB, errorResponse } = require('@tasktrackr/common');
 const notificationRoutes = require('./routes/notifications');
+const reminderRoutes = require('./routes/reminders');
+const channelRoutes = require('./routes/channels');
 const { checkReminders } = require('./services/reminderService');
 const { errorHandler } = require('./middleware/errorHandler');
 
@@ -41,6 +43,8 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/channels', channelRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
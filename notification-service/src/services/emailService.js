@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// Escape user-provided text before it is interpolated into another user's email
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Email templates
 const emailTemplates = {
   taskReminder: (data) => ({
@@ -30,6 +38,90 @@ const emailTemplates = {
           <a href="${data.taskUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Task</a>
         </div>
         
+        ${data.actionLinks ? `
+        <p style="text-align: center; color: #6b7280;">
+          Remind me again:
+          <a href="${data.actionLinks.snooze10m}" style="color: #2563eb;">in 10 minutes</a> ·
+          <a href="${data.actionLinks.snooze1h}" style="color: #2563eb;">in 1 hour</a> ·
+          <a href="${data.actionLinks.snoozeTomorrow}" style="color: #2563eb;">tomorrow morning</a>
+          <br>
+          <a href="${data.actionLinks.acknowledge}" style="color: #2563eb;">Got it, don't remind me again</a>
+        </p>
+        ` : ''}
+        
+        <p>Best regards,<br>The TaskTrackr Team</p>
+      </div>
+    `
+  }),
+
+  taskReminders: (data) => ({
+    subject: `🔔 ${data.tasks.length} Task Reminders`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">🔔 Task Reminders</h1>
+        <p>Hi ${escapeHtml(data.userName)},</p>
+        <p>Here are reminders about ${data.tasks.length} of your tasks:</p>
+        
+        ${data.tasks.map(task => `
+          <div style="background-color: ${task.isOverdue ? '#fef2f2' : '#f3f4f6'}; padding: 15px 20px; border-radius: 8px; margin: 15px 0;">
+            <h3 style="margin: 0 0 10px 0; color: ${task.isOverdue ? '#dc2626' : '#374151'};">
+              <a href="${task.taskUrl}" style="color: inherit;">${escapeHtml(task.title)}</a>
+            </h3>
+            <p style="margin: 5px 0;"><strong>Due Date:</strong> ${task.dueDate}${task.isOverdue ? ' <strong style="color: #dc2626;">(overdue)</strong>' : ''}</p>
+            <p style="margin: 5px 0;"><strong>Priority:</strong> <span style="text-transform: capitalize;">${task.priority}</span></p>
+            <p style="margin: 10px 0 0 0; color: #6b7280; font-size: 14px;">
+              Remind me again:
+              <a href="${task.actionLinks.snooze10m}" style="color: #2563eb;">in 10 minutes</a> ·
+              <a href="${task.actionLinks.snooze1h}" style="color: #2563eb;">in 1 hour</a> ·
+              <a href="${task.actionLinks.snoozeTomorrow}" style="color: #2563eb;">tomorrow morning</a> ·
+              <a href="${task.actionLinks.acknowledge}" style="color: #2563eb;">Got it</a>
+            </p>
+          </div>
+        `).join('')}
+        
+        <p>Best regards,<br>The TaskTrackr Team</p>
+      </div>
+    `
+  }),
+
+  taskAssigned: (data) => ({
+    subject: `📌 You've been assigned: ${data.taskTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">📌 New Task Assignment</h1>
+        <p>Hi ${escapeHtml(data.userName)},</p>
+        <p>${escapeHtml(data.assignedByName)} assigned you a task${data.projectName ? ` in <strong>${escapeHtml(data.projectName)}</strong>` : ''}:</p>
+        
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h2 style="margin: 0 0 10px 0; color: #374151;">${escapeHtml(data.taskTitle)}</h2>
+          <p style="margin: 5px 0; color: #6b7280;">${escapeHtml(data.taskDescription)}</p>
+          <p style="margin: 5px 0;"><strong>Due Date:</strong> ${data.dueDate}</p>
+          <p style="margin: 5px 0;"><strong>Priority:</strong> <span style="text-transform: capitalize;">${data.priority}</span></p>
+        </div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.taskUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Task</a>
+        </div>
+        
+        <p>Best regards,<br>The TaskTrackr Team</p>
+      </div>
+    `
+  }),
+
+  mention: (data) => ({
+    subject: `💬 ${data.authorName} mentioned you on: ${data.taskTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">💬 You were mentioned</h1>
+        <p>Hi ${escapeHtml(data.userName)},</p>
+        <p>${escapeHtml(data.authorName)} mentioned you in a comment on <strong>${escapeHtml(data.taskTitle)}</strong>:</p>
+        
+        <div style="background-color: #f3f4f6; border-left: 4px solid #2563eb; padding: 15px 20px; margin: 20px 0; white-space: pre-wrap;">${escapeHtml(data.commentBody)}</div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.commentUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Comment</a>
+        </div>
+        
         <p>Best regards,<br>The TaskTrackr Team</p>
       </div>
     `
@@ -176,5 +268,6 @@ const sendEmail = async (options) => {
 
 module.exports = {
   sendEmail,
-  emailTemplates
+  emailTemplates,
+  escapeHtml
 };
\ No newline at end of file
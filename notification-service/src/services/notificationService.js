@@ -0,0 +1,76 @@
+const { getNotificationChannels } = require('@tasktrackr/common');
+const channels = require('../channels');
+const { escapeHtml } = require('./emailService');
+
+/**
+ * Deliver a notification to a user over the channels they route its type to.
+ * Channels the user has not set up, and ones that interrupt during the user's
+ * quiet hours or do-not-disturb, are skipped; the others are tried
+ * independently, so one failing does not hold back the rest.
+ * @param {Object} user - Recipient, with preferences and channelSettings
+ * @param {Object} notification - type, title, message, url, optional items
+ * ({ title, message, url }) listed in it, and email ({ template, data }, or a
+ * subject and html)
+ * @param {Object} overrides - Channel implementations, by name, to deliver
+ * this notification with in place of the registered ones
+ * @returns {Promise<Object>} delivered and skipped channel names, failed
+ * ({ channel, error }), and error: the first failure if no channel delivered
+ */
+const notify = async (user, notification, overrides = {}) => {
+  const result = { delivered: [], skipped: [], failed: [], error: null };
+  const quiet = Boolean(user.getQuietHoursEnd?.());
+
+  await Promise.all(getNotificationChannels(user, notification.type).map(async (name) => {
+    const channel = { ...channels[name], ...overrides[name] };
+    if (!channel.send || !channel.isAvailable(user) || (quiet && channel.interrupts)) {
+      result.skipped.push(name);
+      return;
+    }
+
+    try {
+      await channel.send(user, notification);
+      result.delivered.push(name);
+    } catch (error) {
+      console.error(`Failed to deliver ${notification.type} notification to user ${user._id} by ${name}:`, error);
+      result.failed.push({ channel: name, error });
+    }
+  }));
+
+  if (result.delivered.length === 0 && result.failed.length > 0) {
+    result.error = result.failed[0].error;
+  }
+  return result;
+};
+
+/**
+ * Send a test notification over one channel, whatever the user routes to it
+ * @param {Object} user - Recipient
+ * @param {string} name - Channel name
+ * @returns {Promise<boolean>} False if the user has not set the channel up
+ */
+const sendTestNotification = async (user, name) => {
+  const channel = channels[name];
+  if (!channel.isAvailable(user)) {
+    return false;
+  }
+
+  const title = 'TaskTrackr test notification';
+  const message = 'Notifications are reaching this channel.';
+
+  await channel.send(user, {
+    type: 'test',
+    title,
+    message,
+    url: `${process.env.CLIENT_URL}/settings/notifications`,
+    email: {
+      subject: title,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>${message}</p>`
+    }
+  });
+  return true;
+};
+
+module.exports = {
+  notify,
+  sendTestNotification
+};
\ No newline at end of file
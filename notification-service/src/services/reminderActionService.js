@@ -0,0 +1,86 @@
+const {
+  Task,
+  generateReminderActionToken,
+  verifyToken,
+  atLocalTime
+} = require('@tasktrackr/common');
+
+// Hour of the day a "tomorrow" snooze ends
+const MORNING_HOUR = 9;
+
+const SNOOZE_PRESET_MINUTES = { '10m': 10, '1h': 60 };
+
+/**
+ * Work out when a snooze ends
+ * @param {Object} options - A preset (10m, 1h or tomorrow) or a custom time
+ * (until), and the timezone whose morning "tomorrow" means
+ * @returns {Date} End of the snooze
+ */
+const getSnoozeTime = ({ preset, until, timezone = 'UTC' }) => {
+  if (until) {
+    return new Date(until);
+  }
+
+  if (preset === 'tomorrow') {
+    return atLocalTime(new Date(), timezone, { days: 1, hour: MORNING_HOUR });
+  }
+
+  return new Date(Date.now() + SNOOZE_PRESET_MINUTES[preset] * 60 * 1000);
+};
+
+/**
+ * Build the signed one-click snooze and acknowledge links for a reminder sent
+ * to a task's owner
+ */
+const getReminderActionLinks = (task, reminder) => {
+  const recipientId = task.userId._id || task.userId;
+  const token = generateReminderActionToken(task._id, reminder._id, recipientId);
+  const baseUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3003}`;
+  const link = `${baseUrl}/api/reminders/action?token=${encodeURIComponent(token)}`;
+
+  return {
+    snooze10m: `${link}&action=snooze&preset=10m`,
+    snooze1h: `${link}&action=snooze&preset=1h`,
+    snoozeTomorrow: `${link}&action=snooze&preset=tomorrow`,
+    acknowledge: `${link}&action=acknowledge`
+  };
+};
+
+/**
+ * Check a reminder action token
+ * @returns {Object|null} taskId, reminderId and recipientId, or null if the
+ * token is invalid, expired or not a reminder action token
+ */
+const verifyReminderActionToken = (token) => {
+  try {
+    const payload = verifyToken(token);
+    return payload.type === 'reminder_action' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Snooze or acknowledge a reminder of a task the user owns
+ * @param {string} userId - Task owner
+ * @param {string} taskId - Task ID
+ * @param {string} reminderId - Reminder ID
+ * @param {Object} options - action (snooze or acknowledge) and, for snoozes,
+ * the options of getSnoozeTime
+ * @returns {Promise<Object|null>} Updated reminder, or null if not found
+ */
+const applyReminderAction = async (userId, taskId, reminderId, { action, ...snooze }) => {
+  const filter = { _id: taskId, userId };
+  const task = action === 'acknowledge'
+    ? await Task.acknowledgeReminder(filter, reminderId)
+    : await Task.snoozeReminder(filter, reminderId, getSnoozeTime(snooze));
+
+  return task && task.reminders.id(reminderId);
+};
+
+module.exports = {
+  getSnoozeTime,
+  getReminderActionLinks,
+  verifyReminderActionToken,
+  applyReminderAction
+};
\ No newline at end of file
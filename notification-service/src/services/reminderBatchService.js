@@ -0,0 +1,53 @@
+const { Task } = require('@tasktrackr/common');
+
+/**
+ * Get when a reminder is due: the end of its snooze, or its scheduled time
+ */
+const getReminderDueTime = (reminder) => (reminder.status === 'snoozed' ? reminder.snoozedUntil : reminder.remindAt);
+
+/**
+ * Find due reminders and group them into one batch per recipient, so
+ * reminders that come due by the same check go out together. No reminder is
+ * sent before it is due. Batches of recipients in quiet hours or
+ * do-not-disturb are deferred until the window ends, when they go out
+ * together with anything due by then.
+ * @param {Date} now - Current time: reminders due by then are sent, and it is
+ * checked against the recipients' quiet hours
+ * @returns {Promise<Object>} ready batches ({ user, reminders }) and deferred
+ * ones ({ user, reminders, until }); reminders are { task, reminder } pairs,
+ * earliest first
+ */
+const findReminderBatches = async (now = new Date()) => {
+  const tasks = await Task.findDueReminders(now)
+    .populate('userId', 'name email preferences channelSettings');
+
+  const batches = new Map();
+  tasks.forEach(task => {
+    const user = task.userId;
+    const key = String(user?._id || task.userId);
+    if (!batches.has(key)) {
+      batches.set(key, { user, reminders: [] });
+    }
+    batches.get(key).reminders.push(...task.getDueReminders(now).map(reminder => ({ task, reminder })));
+  });
+
+  const ready = [];
+  const deferred = [];
+
+  batches.forEach(batch => {
+    batch.reminders.sort((a, b) => getReminderDueTime(a.reminder) - getReminderDueTime(b.reminder));
+
+    const until = batch.user ? batch.user.getQuietHoursEnd(now) : null;
+    if (until) {
+      deferred.push({ ...batch, until });
+    } else {
+      ready.push(batch);
+    }
+  });
+
+  return { ready, deferred };
+};
+
+module.exports = {
+  findReminderBatches
+};
\ No newline at end of file
@@ -1,36 +1,39 @@
-const { Task, User } = require('@tasktrackr/common');
-const { sendEmail } = require('./emailService');
+const { Task, User, atLocalTime } = require('@tasktrackr/common');
+const { notify } = require('./notificationService');
+const { getReminderActionLinks } = require('./reminderActionService');
+const { findReminderBatches } = require('./reminderBatchService');
 
 /**
- * Check for tasks with reminders and send notifications
+ * Check for due reminders and send notifications. Each recipient's due
+ * reminders go out in one email, held back during their quiet hours; every
+ * reminder in it is recorded on its own.
  */
 const checkReminders = async () => {
   try {
     const now = new Date();
     
-    // Find tasks with reminders that should be sent
-    const tasksWithReminders = await Task.find({
-      'reminder.enabled': true,
-      'reminder.sent': false,
-      'reminder.datetime': { $lte: now },
-      status: { $ne: 'completed' },
-      isArchived: false
-    }).populate('userId', 'name email preferences');
-
-    console.log(`Found ${tasksWithReminders.length} tasks with pending reminders`);
-
-    for (const task of tasksWithReminders) {
+    // Group reminders that should be sent by recipient
+    const { ready, deferred } = await findReminderBatches(now);
+
+    deferred.forEach(({ user, reminders, until }) => {
+      console.log(`Deferred ${reminders.length} reminders for user ${user._id} until ${until.toISOString()}`);
+    });
+
+    for (const { user, reminders } of ready) {
+      let error = null;
       try {
-        await sendTaskReminder(task);
+        await sendReminderBatch(user, reminders);
         
-        // Mark reminder as sent
-        task.reminder.sent = true;
-        await task.save();
-        
-        console.log(`Reminder sent for task: ${task.title}`);
-      } catch (error) {
-        console.error(`Failed to send reminder for task ${task._id}:`, error);
+        console.log(`Sent ${reminders.length} reminders to user ${user?._id}`);
+      } catch (sendError) {
+        console.error(`Failed to send ${reminders.length} reminders to user ${user?._id}:`, sendError);
+        error = sendError;
       }
+
+      await Promise.all(reminders.map(({ task, reminder }) =>
+        Task.recordReminderDelivery(task, reminder, error).catch(recordError => {
+          console.error(`Failed to record reminder ${reminder._id} for task ${task._id}:`, recordError);
+        })));
     }
   } catch (error) {
     console.error('Error checking reminders:', error);
@@ -38,44 +41,102 @@ const checkReminders = async () => {
 };
 
 /**
- * Send reminder for a specific task
+ * Send a recipient's batch of reminders over the channels they route reminders
+ * to: a single one as a task reminder, several as one notification listing
+ * their tasks
+ * @param {Object} user - Recipient
+ * @param {Array} reminders - { task, reminder } pairs, earliest first
  */
-const sendTaskReminder = async (task) => {
+const sendReminderBatch = async (user, reminders) => {
+  if (reminders.length === 1) {
+    return sendTaskReminder(reminders[0].task, reminders[0].reminder);
+  }
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const timezone = user.preferences?.timezone || 'UTC';
+  const now = new Date();
+
+  const tasks = reminders.map(({ task, reminder }) => ({
+    title: task.title,
+    dueDate: task.dueDate
+      ? new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: timezone })
+      : 'No due date',
+    priority: task.priority,
+    isOverdue: task.dueDate && new Date(task.dueDate) < now,
+    taskUrl: `${process.env.CLIENT_URL}/tasks/${task._id}`,
+    actionLinks: getReminderActionLinks(task, reminder)
+  }));
+
+  const { error } = await notify(user, {
+    type: 'reminder',
+    title: `${tasks.length} Task Reminders`,
+    message: `Reminders about ${tasks.length} of your tasks`,
+    url: `${process.env.CLIENT_URL}/dashboard`,
+    items: tasks.map(task => ({
+      title: task.title,
+      message: `Due ${task.dueDate}${task.isOverdue ? ' (overdue)' : ''} · ${task.priority} priority`,
+      url: task.taskUrl
+    })),
+    email: {
+      template: 'taskReminders',
+      data: { userName: user.name, tasks }
+    }
+  });
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Send reminder for a specific task over the channels its owner routes
+ * reminders to; a reminder of the task adds one-click snooze and acknowledge
+ * links to the email
+ */
+const sendTaskReminder = async (task, reminder = null) => {
   try {
     const user = task.userId;
     
-    if (!user || !user.email) {
-      throw new Error('User email not found');
-    }
-
-    // Check user notification preferences
-    if (!user.preferences?.notifications?.email) {
-      console.log(`Email notifications disabled for user ${user._id}`);
-      return;
+    if (!user) {
+      throw new Error('User not found');
     }
 
-    // Format due date for email
-    const dueDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date';
+    // Format due date in the user's timezone
+    const dueDate = task.dueDate
+      ? new Date(task.dueDate).toLocaleDateString('en-US', { timeZone: user.preferences?.timezone || 'UTC' })
+      : 'No due date';
     const isOverdue = task.dueDate && new Date(task.dueDate) < new Date();
+    const taskUrl = `${process.env.CLIENT_URL}/tasks/${task._id}`;
     
-    const emailData = {
-      to: user.email,
-      subject: isOverdue ? 
-        `⚠️ Overdue Task Reminder: ${task.title}` : 
-        `🔔 Task Reminder: ${task.title}`,
-      template: 'taskReminder',
-      data: {
-        userName: user.name,
-        taskTitle: task.title,
-        taskDescription: task.description || 'No description',
-        dueDate: dueDate,
-        priority: task.priority,
-        isOverdue: isOverdue,
-        taskUrl: `${process.env.CLIENT_URL}/tasks/${task._id}`
+    const { error } = await notify(user, {
+      type: 'reminder',
+      title: isOverdue ? `Overdue Task Reminder: ${task.title}` : `Task Reminder: ${task.title}`,
+      message: `Due ${dueDate} · ${task.priority} priority`,
+      url: taskUrl,
+      email: {
+        subject: isOverdue ? 
+          `⚠️ Overdue Task Reminder: ${task.title}` : 
+          `🔔 Task Reminder: ${task.title}`,
+        template: 'taskReminder',
+        data: {
+          userName: user.name,
+          taskTitle: task.title,
+          taskDescription: task.description || 'No description',
+          dueDate: dueDate,
+          priority: task.priority,
+          isOverdue: isOverdue,
+          taskUrl,
+          actionLinks: reminder ? getReminderActionLinks(task, reminder) : null
+        }
       }
-    };
+    });
 
-    await sendEmail(emailData);
+    if (error) {
+      throw error;
+    }
   } catch (error) {
     console.error('Send task reminder error:', error);
     throw error;
@@ -83,43 +144,46 @@ const sendTaskReminder = async (task) => {
 };
 
 /**
- * Send daily digest of tasks
+ * Send daily digest of tasks over the channels the user routes digests to
  */
 const sendDailyDigest = async (userId) => {
   try {
     const user = await User.findById(userId);
-    if (!user || !user.preferences?.notifications?.email) {
+    if (!user) {
       return;
     }
 
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Days start at midnight in the user's timezone
+    const now = new Date();
+    const timezone = user.preferences?.timezone || 'UTC';
+    const startOfToday = atLocalTime(now, timezone, { days: 0 });
+    const startOfTomorrow = atLocalTime(now, timezone, { days: 1 });
+    const endOfTomorrow = atLocalTime(now, timezone, { days: 2 });
 
     // Get tasks due today and tomorrow
     const [dueTodayTasks, dueTomorrowTasks, overdueTasks] = await Promise.all([
       Task.find({
         userId,
         dueDate: {
-          $gte: new Date(today.setHours(0, 0, 0, 0)),
-          $lt: new Date(today.setHours(23, 59, 59, 999))
+          $gte: startOfToday,
+          $lt: startOfTomorrow
         },
-        status: { $ne: 'completed' },
+        statusCategory: { $ne: 'done' },
         isArchived: false
       }),
       Task.find({
         userId,
         dueDate: {
-          $gte: new Date(tomorrow.setHours(0, 0, 0, 0)),
-          $lt: new Date(tomorrow.setHours(23, 59, 59, 999))
+          $gte: startOfTomorrow,
+          $lt: endOfTomorrow
         },
-        status: { $ne: 'completed' },
+        statusCategory: { $ne: 'done' },
         isArchived: false
       }),
       Task.find({
         userId,
-        dueDate: { $lt: today },
-        status: { $ne: 'completed' },
+        dueDate: { $lt: startOfToday },
+        statusCategory: { $ne: 'done' },
         isArchived: false
       })
     ]);
@@ -128,20 +192,39 @@ const sendDailyDigest = async (userId) => {
       return; // No tasks to report
     }
 
-    const emailData = {
-      to: user.email,
-      subject: '📅 Daily Task Digest - TaskTrackr',
-      template: 'dailyDigest',
-      data: {
-        userName: user.name,
-        dueTodayTasks,
-        dueTomorrowTasks,
-        overdueTasks,
-        dashboardUrl: `${process.env.CLIENT_URL}/dashboard`
+    const dashboardUrl = `${process.env.CLIENT_URL}/dashboard`;
+    const listTasks = (tasks, message) => tasks.map(task => ({
+      title: task.title,
+      message,
+      url: `${process.env.CLIENT_URL}/tasks/${task._id}`
+    }));
+
+    const { error } = await notify(user, {
+      type: 'digest',
+      title: 'Daily Task Digest',
+      message: `${overdueTasks.length} overdue, ${dueTodayTasks.length} due today, ${dueTomorrowTasks.length} due tomorrow`,
+      url: dashboardUrl,
+      items: [
+        ...listTasks(overdueTasks, 'Overdue'),
+        ...listTasks(dueTodayTasks, 'Due today'),
+        ...listTasks(dueTomorrowTasks, 'Due tomorrow')
+      ],
+      email: {
+        subject: '📅 Daily Task Digest - TaskTrackr',
+        template: 'dailyDigest',
+        data: {
+          userName: user.name,
+          dueTodayTasks,
+          dueTomorrowTasks,
+          overdueTasks,
+          dashboardUrl
+        }
       }
-    };
+    });
 
-    await sendEmail(emailData);
+    if (error) {
+      throw error;
+    }
   } catch (error) {
     console.error('Send daily digest error:', error);
     throw error;
@@ -149,12 +232,12 @@ const sendDailyDigest = async (userId) => {
 };
 
 /**
- * Send weekly summary
+ * Send weekly summary over the channels the user routes digests to
  */
 const sendWeeklyummary = async (userId) => {
   try {
     const user = await User.findById(userId);
-    if (!user || !user.preferences?.notifications?.email) {
+    if (!user) {
       return;
     }
 
@@ -164,7 +247,7 @@ const sendWeeklyummary = async (userId) => {
     const [completedTasks, totalTasks] = await Promise.all([
       Task.countDocuments({
         userId,
-        status: 'completed',
+        statusCategory: 'done',
         completedAt: { $gte: weekAgo },
         isArchived: false
       }),
@@ -175,20 +258,30 @@ const sendWeeklyummary = async (userId) => {
       })
     ]);
 
-    const emailData = {
-      to: user.email,
-      subject: '📊 Weekly Summary - TaskTrackr',
-      template: 'weeklySummary',
-      data: {
-        userName: user.name,
-        completedTasks,
-        totalTasks,
-        completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
-        dashboardUrl: `${process.env.CLIENT_URL}/dashboard`
+    const completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+    const dashboardUrl = `${process.env.CLIENT_URL}/dashboard`;
+
+    const { error } = await notify(user, {
+      type: 'digest',
+      title: 'Weekly Summary',
+      message: `${completedTasks} of ${totalTasks} tasks completed this week (${completionRate}%)`,
+      url: dashboardUrl,
+      email: {
+        subject: '📊 Weekly Summary - TaskTrackr',
+        template: 'weeklySummary',
+        data: {
+          userName: user.name,
+          completedTasks,
+          totalTasks,
+          completionRate,
+          dashboardUrl
+        }
       }
-    };
+    });
 
-    await sendEmail(emailData);
+    if (error) {
+      throw error;
+    }
   } catch (error) {
     console.error('Send weekly summary error:', error);
     throw error;
@@ -198,6 +291,7 @@ const sendWeeklyummary = async (userId) => {
 module.exports = {
   checkReminders,
   sendTaskReminder,
+  sendReminderBatch,
   sendDailyDigest,
   sendWeeklyummary
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+const { Task, User, Project, Comment, Activity, NotificationReceipt } = require('@tasktrackr/common');
+const { notify } = require('./notificationService');
+
+/**
+ * Load a task the acting user can access, so one user cannot trigger
+ * notifications about tasks they cannot see
+ */
+const findAccessibleTask = async (actorId, taskId) => {
+  const { readable } = await Project.getTaskAccess(actorId);
+
+  return Task.findOne({ _id: taskId, ...Task.accessFilter(actorId, readable) })
+    .populate('projectId', 'name');
+};
+
+/**
+ * Get the IDs of the users an activity entry added to a task's assignees
+ */
+const getAddedAssigneeIds = (activity) => {
+  const change = activity.changes.find(({ field }) => field === 'assignees');
+  const before = (change?.before || []).map(id => id.toString());
+
+  return (change?.after || []).map(id => id.toString()).filter(id => !before.includes(id));
+};
+
+/**
+ * Notify users that have been assigned to a task, over the channels each
+ * routes assignments to. Each assignment is notified about once, however
+ * often it is requested.
+ * @param {Object} actor - User who made the assignment
+ * @param {string} activityId - Activity entry of the actor recording the assignment
+ * @returns {number} Number of users notified
+ */
+const sendTaskAssignedNotifications = async (actor, activityId) => {
+  const activity = await Activity.findOne({ _id: activityId, actorId: actor._id });
+  if (!activity || NotificationReceipt.isBeyondRetention(activity.createdAt)) {
+    return 0;
+  }
+
+  const task = await findAccessibleTask(actor._id, activity.taskId);
+  if (!task) {
+    return 0;
+  }
+
+  const recipientIds = getAddedAssigneeIds(activity).filter(userId =>
+    task.isAssignedTo(userId) && userId !== actor._id.toString()
+  );
+  if (recipientIds.length === 0 || !await NotificationReceipt.claim(`assignment:${activity._id}`)) {
+    return 0;
+  }
+
+  const users = await User.find({ _id: { $in: recipientIds } });
+  const taskUrl = `${process.env.CLIENT_URL}/tasks/${task._id}`;
+  let sent = 0;
+
+  for (const user of users) {
+    const { delivered } = await notify(user, {
+      type: 'assignment',
+      title: `${actor.name} assigned you: ${task.title}`,
+      message: task.description || '',
+      url: taskUrl,
+      email: {
+        template: 'taskAssigned',
+        data: {
+          userName: user.name,
+          assignedByName: actor.name,
+          projectName: task.projectId?.name,
+          taskTitle: task.title,
+          taskDescription: task.description || 'No description',
+          dueDate: task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date',
+          priority: task.priority,
+          taskUrl
+        }
+      }
+    });
+
+    if (delivered.length > 0) {
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Notify users that have been mentioned in a comment, over the channels each
+ * routes mentions to
+ * @param {Object} actor - Author of the comment
+ * @param {string} commentId - Comment containing the mentions
+ * @param {Array} mentionedUserIds - Users to notify; only users the comment mentions are notified
+ * @returns {number} Number of users notified
+ */
+const sendMentionNotifications = async (actor, commentId, mentionedUserIds) => {
+  const comment = await Comment.findOne({ _id: commentId, userId: actor._id, isDeleted: false });
+  if (!comment) {
+    return 0;
+  }
+
+  const task = await findAccessibleTask(actor._id, comment.taskId);
+  if (!task) {
+    return 0;
+  }
+
+  const mentions = comment.mentions.map(id => id.toString());
+  const recipientIds = mentionedUserIds.filter(userId =>
+    mentions.includes(userId.toString()) && userId.toString() !== actor._id.toString()
+  );
+
+  const users = await User.find({ _id: { $in: recipientIds } });
+  const commentUrl = `${process.env.CLIENT_URL}/tasks/${task._id}#comment-${comment._id}`;
+  let sent = 0;
+
+  for (const user of users) {
+    const { delivered } = await notify(user, {
+      type: 'mention',
+      title: `${actor.name} mentioned you on: ${task.title}`,
+      message: comment.body,
+      url: commentUrl,
+      email: {
+        template: 'mention',
+        data: {
+          userName: user.name,
+          authorName: actor.name,
+          taskTitle: task.title,
+          commentBody: comment.body,
+          commentUrl
+        }
+      }
+    });
+
+    if (delivered.length > 0) {
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendTaskAssignedNotifications,
+  sendMentionNotifications
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { User } = require('@tasktrackr/common');
+const { notify } = require('../src/services/notificationService');
+
+const channel = () => ({ isAvailable: () => true, send: jest.fn().mockResolvedValue() });
+
+const recipient = (notifications = {}) => new User({
+  name: 'Ada',
+  email: 'ada@example.com',
+  password: 'secret123',
+  preferences: {
+    timezone: 'UTC',
+    notifications: { channels: { assignment: ['email', 'push', 'webhook', 'chat'] }, ...notifications }
+  }
+});
+
+describe('notify', () => {
+  let channels;
+
+  beforeEach(() => {
+    channels = { email: channel(), push: channel(), webhook: channel(), chat: channel() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('delivers over every channel the user routes the type to', async () => {
+    const result = await notify(recipient(), { type: 'assignment', title: 'Assigned' }, channels);
+
+    expect(result.delivered.sort()).toEqual(['chat', 'email', 'push', 'webhook']);
+    expect(channels.push.send).toHaveBeenCalledWith(expect.any(User), { type: 'assignment', title: 'Assigned' });
+  });
+
+  it('follows the routing of each type', async () => {
+    const user = recipient({ channels: { mention: ['webhook'] } });
+
+    const result = await notify(user, { type: 'mention', title: 'Mentioned' }, channels);
+
+    expect(result.delivered).toEqual(['webhook']);
+    expect(channels.email.send).not.toHaveBeenCalled();
+  });
+
+  it('skips push and chat during do-not-disturb', async () => {
+    const user = recipient({ doNotDisturbUntil: new Date(Date.now() + 60 * 60000) });
+
+    const result = await notify(user, { type: 'assignment', title: 'Assigned' }, channels);
+
+    expect(result.delivered.sort()).toEqual(['email', 'webhook']);
+    expect(result.skipped.sort()).toEqual(['chat', 'push']);
+    expect(channels.push.send).not.toHaveBeenCalled();
+    expect(channels.chat.send).not.toHaveBeenCalled();
+  });
+
+  it('skips push and chat during quiet hours', async () => {
+    // A window covering the whole day except the minute before midnight
+    const user = recipient({ quietHours: { enabled: true, start: '00:00', end: '23:59' } });
+    jest.useFakeTimers({ now: new Date('2024-06-04T12:00:00Z') });
+
+    try {
+      const result = await notify(user, { type: 'assignment', title: 'Assigned' }, channels);
+      expect(result.skipped.sort()).toEqual(['chat', 'push']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('keeps delivering over the other channels when one fails', async () => {
+    const error = new Error('webhook down');
+    channels.webhook.send.mockRejectedValue(error);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await notify(recipient(), { type: 'assignment', title: 'Assigned' }, channels);
+
+    expect(result.delivered).toHaveLength(3);
+    expect(result.failed).toEqual([{ channel: 'webhook', error }]);
+    expect(result.error).toBeNull();
+  });
+});
\ No newline at end of file
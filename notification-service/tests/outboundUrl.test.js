@@ -0,0 +1,96 @@
+const dns = require('dns');
+const axios = require('axios');
+const { BlockedUrlError, isBlockedAddress, assertPublicUrl, postToPublicUrl } = require('../src/channels/outboundUrl');
+
+describe('isBlockedAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:169.254.169.254'
+  ])('blocks %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '172.32.0.1', '203.0.113.10', '2606:4700:4700::1111', '::ffff:8.8.8.8'])('allows %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts hosts that resolve only to public addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    await expect(assertPublicUrl('https://hooks.example.com/notify')).resolves.toBeUndefined();
+    expect(dns.promises.lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+  });
+
+  it('rejects hosts with any internal address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    await expect(assertPublicUrl('https://hooks.example.com/notify')).rejects.toThrow(BlockedUrlError);
+  });
+
+  it('checks IP literals without resolving them', async () => {
+    jest.spyOn(dns.promises, 'lookup');
+
+    await expect(assertPublicUrl('http://169.254.169.254/latest/meta-data')).rejects.toThrow('resolves to a blocked address');
+    await expect(assertPublicUrl('http://[::1]:8080/')).rejects.toThrow(BlockedUrlError);
+    expect(dns.promises.lookup).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid and unresolvable URLs', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(new Error('ENOTFOUND'));
+
+    await expect(assertPublicUrl('not a url')).rejects.toThrow('Invalid URL');
+    await expect(assertPublicUrl('https://nowhere.invalid/')).rejects.toThrow('could not be resolved');
+  });
+});
+
+describe('postToPublicUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not send to blocked addresses', async () => {
+    jest.spyOn(axios, 'post');
+
+    await expect(postToPublicUrl('http://127.0.0.1:3003/api', {})).rejects.toThrow(BlockedUrlError);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('checks addresses again when connecting and does not follow redirects', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+
+    await postToPublicUrl('https://hooks.example.com/notify', { ok: true }, { timeout: 1000 });
+
+    const [, , options] = axios.post.mock.calls[0];
+    expect(options).toEqual(expect.objectContaining({ timeout: 1000, maxRedirects: 0, proxy: false }));
+    expect(options.httpAgent.options.lookup).toEqual(expect.any(Function));
+    expect(options.httpsAgent.options.lookup).toBe(options.httpAgent.options.lookup);
+  });
+
+  it('rejects a host that resolves to an internal address at connection time', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '10.0.0.5', 4));
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body, options) => {
+      await new Promise((resolve, reject) => options.httpsAgent.options.lookup('hooks.example.com', {}, (error) => {
+        if (error) {
+          reject(Object.assign(new Error('connect failed'), { cause: error }));
+        } else {
+          resolve();
+        }
+      }));
+      return { status: 200 };
+    });
+
+    await expect(postToPublicUrl('https://hooks.example.com/notify', {})).rejects.toThrow(BlockedUrlError);
+  });
+});
\ No newline at end of file
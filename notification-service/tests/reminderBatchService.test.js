@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { Task, User } = require('@tasktrackr/common');
+const { findReminderBatches } = require('../src/services/reminderBatchService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const now = new Date('2024-06-04T12:00:00Z');
+const minutesFromNow = minutes => new Date(now.getTime() + minutes * 60000);
+
+const recipient = (notifications = {}) => new User({
+  name: 'Ada',
+  email: `ada-${id()}@example.com`,
+  password: 'secret123',
+  preferences: { timezone: 'UTC', notifications }
+});
+
+const taskFor = (user, title, reminders) => {
+  const task = new Task({ userId: user._id, title, reminders });
+  // findReminderBatches populates the owner
+  task.userId = user;
+  return task;
+};
+
+describe('findReminderBatches', () => {
+  let tasks;
+
+  beforeEach(() => {
+    tasks = [];
+    jest.spyOn(Task, 'findDueReminders').mockImplementation(() => ({ populate: () => Promise.resolve(tasks) }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('asks only for reminders due by now', async () => {
+    await findReminderBatches(now);
+
+    expect(Task.findDueReminders).toHaveBeenCalledWith(now);
+  });
+
+  it('groups the due reminders of each recipient into one batch, earliest first', async () => {
+    const ada = recipient();
+    const grace = recipient();
+    tasks = [
+      taskFor(ada, 'Report', [{ remindAt: minutesFromNow(-5), status: 'pending' }]),
+      taskFor(grace, 'Review', [{ remindAt: minutesFromNow(-1), status: 'pending' }]),
+      taskFor(ada, 'Invoice', [
+        { remindAt: minutesFromNow(-30), status: 'pending' },
+        { remindAt: minutesFromNow(60), status: 'pending' }
+      ])
+    ];
+
+    const { ready, deferred } = await findReminderBatches(now);
+
+    expect(deferred).toEqual([]);
+    expect(ready.map(batch => batch.user)).toEqual([ada, grace]);
+    expect(ready[0].reminders.map(({ task, reminder }) => [task.title, reminder.remindAt]))
+      .toEqual([['Invoice', minutesFromNow(-30)], ['Report', minutesFromNow(-5)]]);
+  });
+
+  it('never includes reminders that are not due yet', async () => {
+    const ada = recipient();
+    tasks = [taskFor(ada, 'Report', [
+      { remindAt: minutesFromNow(-1), status: 'pending' },
+      { remindAt: minutesFromNow(1), status: 'pending' },
+      { remindAt: minutesFromNow(-1), status: 'snoozed', snoozedUntil: minutesFromNow(2) }
+    ])];
+
+    const { ready } = await findReminderBatches(now);
+
+    expect(ready[0].reminders.map(({ reminder }) => reminder.remindAt)).toEqual([minutesFromNow(-1)]);
+  });
+
+  it('orders snoozed reminders by the end of their snooze', async () => {
+    const ada = recipient();
+    tasks = [taskFor(ada, 'Report', [
+      { remindAt: minutesFromNow(-10), status: 'pending' },
+      { remindAt: minutesFromNow(-60), status: 'snoozed', snoozedUntil: minutesFromNow(-5) }
+    ])];
+
+    const { ready } = await findReminderBatches(now);
+
+    expect(ready[0].reminders.map(({ reminder }) => reminder.status)).toEqual(['pending', 'snoozed']);
+  });
+
+  it('defers the batches of recipients in quiet hours or do-not-disturb until the window ends', async () => {
+    const sleeping = recipient({ quietHours: { enabled: true, start: '11:00', end: '13:30' } });
+    const busy = recipient({ doNotDisturbUntil: minutesFromNow(45) });
+    const awake = recipient({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+    tasks = [sleeping, busy, awake].map(user =>
+      taskFor(user, 'Report', [{ remindAt: minutesFromNow(-1), status: 'pending' }]));
+
+    const { ready, deferred } = await findReminderBatches(now);
+
+    expect(ready.map(batch => batch.user)).toEqual([awake]);
+    expect(deferred.map(({ user, until }) => [user, until])).toEqual([
+      [sleeping, new Date('2024-06-04T13:30:00Z')],
+      [busy, minutesFromNow(45)]
+    ]);
+  });
+});
\ No newline at end of file
@@ -9,6 +9,7 @@ const mime = require('mime-types');
 const {
   Task,
   authMiddleware,
+  taskAccessMiddleware,
   successResponse,
   errorResponse,
   createdResponse,
@@ -131,10 +132,9 @@ const optimizeImage = async (buffer, mimetype) => {
  * @desc    Upload files to a task
  * @access  Private
  */
-router.post('/upload/:taskId', authMiddleware, upload.array('files', 5), async (req, res) => {
+router.post('/upload/:taskId', authMiddleware, taskAccessMiddleware, upload.array('files', 5), async (req, res) => {
   try {
     const taskId = req.params.taskId;
-    const userId = req.user._id;
     const files = req.files;
 
     if (!files || files.length === 0) {
@@ -143,8 +143,8 @@ router.post('/upload/:taskId', authMiddleware, upload.array('files', 5), async (
       ]);
     }
 
-    // Verify task exists and belongs to user
-    const task = await Task.findOne({ _id: taskId, userId });
+    // Verify task exists and user can edit it
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -220,14 +220,13 @@ router.post('/upload/:taskId', authMiddleware, upload.array('files', 5), async (
  * @desc    Delete attachment from task
  * @access  Private
  */
-router.delete('/:taskId/:attachmentId', authMiddleware, async (req, res) => {
+router.delete('/:taskId/:attachmentId', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.taskId;
     const attachmentId = req.params.attachmentId;
-    const userId = req.user._id;
 
-    // Find task and verify ownership
-    const task = await Task.findOne({ _id: taskId, userId });
+    // Find task and verify access
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -289,12 +288,11 @@ router.delete('/:taskId/:attachmentId', authMiddleware, async (req, res) => {
  * @desc    Get all attachments for a task
  * @access  Private
  */
-router.get('/:taskId', authMiddleware, async (req, res) => {
+router.get('/:taskId', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.taskId;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId }).select('attachments title');
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read }).select('attachments title');
     
     if (!task) {
       return notFoundResponse(res, 'Task');
@@ -323,14 +321,13 @@ router.get('/:taskId', authMiddleware, async (req, res) => {
  * @desc    Download attachment (for local storage only)
  * @access  Private
  */
-router.get('/download/:taskId/:attachmentId', authMiddleware, async (req, res) => {
+router.get('/download/:taskId/:attachmentId', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.taskId;
     const attachmentId = req.params.attachmentId;
-    const userId = req.user._id;
 
-    // Find task and verify ownership
-    const task = await Task.findOne({ _id: taskId, userId });
+    // Find task and verify access
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read });
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -379,10 +376,9 @@ router.get('/download/:taskId/:attachmentId', authMiddleware, async (req, res) =
  * @desc    Bulk delete attachments from task
  * @access  Private
  */
-router.post('/bulk-delete/:taskId', authMiddleware, async (req, res) => {
+router.post('/bulk-delete/:taskId', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.taskId;
-    const userId = req.user._id;
     const { attachmentIds } = req.body;
 
     if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) {
@@ -391,8 +387,8 @@ router.post('/bulk-delete/:taskId', authMiddleware, async (req, res) => {
       ]);
     }
 
-    // Find task and verify ownership
-    const task = await Task.findOne({ _id: taskId, userId });
+    // Find task and verify access
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -455,12 +451,11 @@ router.post('/bulk-delete/:taskId', authMiddleware, async (req, res) => {
  * @desc    Get attachment statistics for a task
  * @access  Private
  */
-router.get('/stats/:taskId', authMiddleware, async (req, res) => {
+router.get('/stats/:taskId', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.taskId;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId }).select('attachments');
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read }).select('attachments');
     
     if (!task) {
       return notFoundResponse(res, 'Task');
@@ -6,13 +6,17 @@ const {
   validateQuery,
   authMiddleware,
   adminMiddleware,
+  taskAccessMiddleware,
   successResponse,
   errorResponse,
   createdResponse,
   notFoundResponse,
+  forbiddenResponse,
   paginatedResponse,
   validationErrorResponse
 } = require('@tasktrackr/common');
+const { recordActivity } = require('../src/services/activityService');
+const { publishTaskEvent } = require('../src/services/taskEvents');
 
 const router = express.Router();
 
@@ -21,15 +25,17 @@ const router = express.Router();
  * @desc    Get user's tasks with filtering and pagination
  * @access  Private
  */
-router.get('/', authMiddleware, validateQuery(taskValidation.query), async (req, res) => {
+router.get('/', authMiddleware, taskAccessMiddleware, validateQuery(taskValidation.query), async (req, res) => {
   try {
-    const userId = req.user._id;
     const {
+      projectId,
       status,
       priority,
       category,
       dueBefore,
       dueAfter,
+      assignedToMe,
+      createdByMe,
       isArchived,
       page,
       limit,
@@ -40,11 +46,14 @@ router.get('/', authMiddleware, validateQuery(taskValidation.query), async (req,
 
     // Build filter object
     const filters = {
+      projectId,
       status,
       priority,
       category,
       dueBefore,
-      dueAfter
+      dueAfter,
+      assignedTo: assignedToMe ? req.user._id : undefined,
+      createdBy: createdByMe ? req.user._id : undefined
     };
 
     // Remove undefined values
@@ -55,7 +64,7 @@ router.get('/', authMiddleware, validateQuery(taskValidation.query), async (req,
     });
 
     // Get tasks with filters
-    let query = Task.getUserTasks(userId, filters);
+    let query = Task.getUserTasks(req.taskAccess.read, filters);
 
     // Add archived filter
     if (isArchived !== undefined) {
@@ -64,13 +73,7 @@ router.get('/', authMiddleware, validateQuery(taskValidation.query), async (req,
 
     // Add search functionality
     if (search) {
-      query = query.where({
-        $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
-        ]
-      });
+      query = query.find({ $text: { $search: search } });
     }
 
     // Build sort object
@@ -104,12 +107,11 @@ router.get('/', authMiddleware, validateQuery(taskValidation.query), async (req,
  * @desc    Get task by ID
  * @access  Private
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.id;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId });
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read });
 
     if (!task) {
       return notFoundResponse(res, 'Task');
@@ -133,14 +135,31 @@ router.get('/:id', authMiddleware, async (req, res) => {
  * @desc    Create a new task
  * @access  Private
  */
-router.post('/', authMiddleware, validate(taskValidation.create), async (req, res) => {
+router.post('/', authMiddleware, taskAccessMiddleware, validate(taskValidation.create), async (req, res) => {
   try {
     const userId = req.user._id;
-    const taskData = { ...req.body, userId };
+    const taskData = { ...req.body, userId, createdBy: userId };
+
+    if (!req.taskAccess.canWriteProject(taskData.projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
+    }
+
+    const dependencyErrors = await Task.validateDependencies(req.taskAccess.read, null, taskData.blockedBy);
+    if (dependencyErrors.length > 0) {
+      return validationErrorResponse(res, dependencyErrors);
+    }
+
+    const fieldErrors = await Task.resolveCustomFields(null, taskData);
+    if (fieldErrors.length > 0) {
+      return validationErrorResponse(res, fieldErrors);
+    }
 
     const task = new Task(taskData);
     await task.save();
 
+    await recordActivity([{ taskId: task._id, actorId: userId, action: 'created' }]);
+    publishTaskEvent('task.created', task, { actorId: userId });
+
     return createdResponse(res, task, 'Task created successfully');
 
   } catch (error) {
@@ -160,32 +179,69 @@ router.post('/', authMiddleware, validate(taskValidation.create), async (req, re
 
 /**
  * @route   PUT /api/tasks/:id
- * @desc    Update task by ID
+ * @desc    Update task by ID (?scope=future also updates later occurrences of a recurring task)
  * @access  Private
  */
-router.put('/:id', authMiddleware, validate(taskValidation.update), async (req, res) => {
+router.put('/:id', authMiddleware, taskAccessMiddleware, validate(taskValidation.update), async (req, res) => {
   try {
     const taskId = req.params.id;
-    const userId = req.user._id;
     const updateData = req.body;
 
-    // If status is being changed to completed, set completedAt
-    if (updateData.status === 'completed') {
-      updateData.completedAt = new Date();
-    } else if (updateData.status && updateData.status !== 'completed') {
-      updateData.completedAt = null;
+    if (updateData.projectId !== undefined && !req.taskAccess.canWriteProject(updateData.projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
     }
 
-    const task = await Task.findOneAndUpdate(
-      { _id: taskId, userId },
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
+    if (updateData.blockedBy) {
+      const dependencyErrors = await Task.validateDependencies(req.taskAccess.read, taskId, updateData.blockedBy);
+      if (dependencyErrors.length > 0) {
+        return validationErrorResponse(res, dependencyErrors);
+      }
+    }
+
+    const current = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!current) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    // The status must exist in the task's workflow; this also sets completedAt.
+    // Custom field values are checked against the fields that apply to the
+    // task and reminders are rescheduled against the due date.
+    const statusErrors = [
+      ...await Task.resolveStatusUpdate(current, updateData),
+      ...await Task.resolveCustomFields(current, updateData),
+      ...Task.resolveReminders(current, updateData)
+    ];
+    if (statusErrors.length > 0) {
+      return validationErrorResponse(res, statusErrors);
+    }
+
+    // Tasks cannot start or finish while their blockers are still open
+    if (updateData.statusCategory && updateData.statusCategory !== 'todo' && updateData.status !== current.status) {
+      const openBlockers = await Task.findOpenBlockers(updateData.blockedBy || current.blockedBy);
+      if (openBlockers.length > 0) {
+        return errorResponse(res, 'Task is blocked by unfinished tasks', 409, openBlockers);
+      }
+    }
+
+    // Recurring tasks: edit only this occurrence, or this and all future ones
+    const scope = req.query.scope === 'future' ? 'future' : 'this';
+
+    const task = await Task.updateOccurrence({ _id: taskId, ...req.taskAccess.write }, updateData, scope);
 
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
 
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before: current, after: task }]);
+    publishTaskEvent('task.updated', task, { previous: current, actorId: req.user._id });
+
+    if (updateData.statusCategory === 'done' && current.statusCategory !== 'done') {
+      const nextOccurrence = await task.createNextOccurrence();
+      if (nextOccurrence) {
+        publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+      }
+    }
+
     return successResponse(res, task, 'Task updated successfully');
 
   } catch (error) {
@@ -212,17 +268,19 @@ router.put('/:id', authMiddleware, validate(taskValidation.update), async (req,
  * @desc    Delete task by ID
  * @access  Private
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.id;
-    const userId = req.user._id;
 
-    const task = await Task.findOneAndDelete({ _id: taskId, userId });
+    const task = await Task.findOneAndDelete({ _id: taskId, ...req.taskAccess.write });
 
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
 
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, action: 'deleted' }]);
+    publishTaskEvent('task.deleted', task, { actorId: req.user._id });
+
     // TODO: Delete associated attachments from storage
     // This should be handled by the attachment service
 
@@ -244,29 +302,40 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  * @desc    Update task status
  * @access  Private
  */
-router.patch('/:id/status', authMiddleware, async (req, res) => {
+router.patch('/:id/status', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.id;
-    const userId = req.user._id;
     const { status } = req.body;
 
-    if (!status || !['pending', 'in-progress', 'completed', 'cancelled'].includes(status)) {
+    if (!status || typeof status !== 'string') {
       return validationErrorResponse(res, [
         { field: 'status', message: 'Valid status is required' }
       ]);
     }
 
-    const updateData = { status };
-    
-    // Set completedAt timestamp if marking as completed
-    if (status === 'completed') {
-      updateData.completedAt = new Date();
-    } else {
-      updateData.completedAt = null;
+    const current = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!current) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    // The status must exist in the task's workflow and the change must be an
+    // allowed transition; this also sets statusCategory and completedAt
+    const updateData = { status: status.trim().toLowerCase() };
+    const statusErrors = await Task.resolveStatusUpdate(current, updateData);
+    if (statusErrors.length > 0) {
+      return validationErrorResponse(res, statusErrors);
+    }
+
+    // Tasks cannot start or finish while their blockers are still open
+    if (updateData.statusCategory !== 'todo' && updateData.status !== current.status) {
+      const openBlockers = await Task.findOpenBlockers(current.blockedBy);
+      if (openBlockers.length > 0) {
+        return errorResponse(res, 'Task is blocked by unfinished tasks', 409, openBlockers);
+      }
     }
 
     const task = await Task.findOneAndUpdate(
-      { _id: taskId, userId },
+      { _id: taskId, ...req.taskAccess.write },
       { $set: updateData },
       { new: true }
     );
@@ -275,6 +344,17 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
       return notFoundResponse(res, 'Task');
     }
 
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before: current, after: task }]);
+    publishTaskEvent('task.updated', task, { previous: current, actorId: req.user._id });
+
+    // Completing a recurring task schedules its next occurrence
+    if (updateData.statusCategory === 'done' && current.statusCategory !== 'done') {
+      const nextOccurrence = await task.createNextOccurrence();
+      if (nextOccurrence) {
+        publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+      }
+    }
+
     return successResponse(res, task, 'Task status updated successfully');
 
   } catch (error) {
@@ -293,10 +373,9 @@ router.patch('/:id/status', authMiddleware, async (req, res) => {
  * @desc    Archive/unarchive task
  * @access  Private
  */
-router.patch('/:id/archive', authMiddleware, async (req, res) => {
+router.patch('/:id/archive', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
     const taskId = req.params.id;
-    const userId = req.user._id;
     const { archived } = req.body;
 
     if (typeof archived !== 'boolean') {
@@ -305,8 +384,13 @@ router.patch('/:id/archive', authMiddleware, async (req, res) => {
       ]);
     }
 
+    const current = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!current) {
+      return notFoundResponse(res, 'Task');
+    }
+
     const task = await Task.findOneAndUpdate(
-      { _id: taskId, userId },
+      { _id: taskId, ...req.taskAccess.write },
       { $set: { isArchived: archived } },
       { new: true }
     );
@@ -316,6 +400,9 @@ router.patch('/:id/archive', authMiddleware, async (req, res) => {
     }
 
     const action = archived ? 'archived' : 'unarchived';
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, action, before: current, after: task }]);
+    publishTaskEvent(`task.${action}`, task, { previous: current, actorId: req.user._id });
+
     return successResponse(res, task, `Task ${action} successfully`);
 
   } catch (error) {
@@ -334,9 +421,8 @@ router.patch('/:id/archive', authMiddleware, async (req, res) => {
  * @desc    Bulk update tasks
  * @access  Private
  */
-router.post('/bulk-update', authMiddleware, async (req, res) => {
+router.post('/bulk-update', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
-    const userId = req.user._id;
     const { taskIds, updateData } = req.body;
 
     if (!Array.isArray(taskIds) || taskIds.length === 0) {
@@ -362,11 +448,64 @@ router.post('/bulk-update', authMiddleware, async (req, res) => {
       ]);
     }
 
-    // Perform bulk update
-    const result = await Task.updateMany(
-      { _id: { $in: taskIds }, userId },
-      { $set: updateData }
-    );
+    const filter = { _id: { $in: taskIds }, ...req.taskAccess.write };
+    const tasks = await Task.find(filter);
+
+    let result;
+    if (updateData.status !== undefined) {
+      // Statuses depend on each task's workflow, so each task is checked and
+      // written on its own; this also sets statusCategory and completedAt
+      const taskUpdates = [];
+      for (const task of tasks) {
+        const taskUpdate = { ...updateData };
+        const statusErrors = await Task.resolveStatusUpdate(task, taskUpdate);
+        if (statusErrors.length > 0) {
+          return validationErrorResponse(res, statusErrors.map(error => ({ ...error, taskId: task._id })));
+        }
+
+        // Tasks cannot start or finish while their blockers are still open
+        if (taskUpdate.statusCategory !== 'todo' && taskUpdate.status !== task.status) {
+          const openBlockers = await Task.findOpenBlockers(task.blockedBy);
+          if (openBlockers.length > 0) {
+            return errorResponse(res, 'Task is blocked by unfinished tasks', 409,
+              openBlockers.map(blocker => ({ ...blocker.toObject(), taskId: task._id })));
+          }
+        }
+        taskUpdates.push(taskUpdate);
+      }
+
+      const results = await Promise.all(tasks.map((task, index) =>
+        Task.updateOne({ _id: task._id }, { $set: taskUpdates[index] })
+      ));
+      result = {
+        matchedCount: results.reduce((sum, each) => sum + each.matchedCount, 0),
+        modifiedCount: results.reduce((sum, each) => sum + each.modifiedCount, 0)
+      };
+    } else {
+      result = await Task.updateMany(filter, { $set: updateData });
+    }
+
+    const afterTasks = await Task.find({ _id: { $in: tasks.map(task => task._id) } });
+    await recordActivity(afterTasks.map(after => ({
+      taskId: after._id,
+      actorId: req.user._id,
+      source: 'bulk',
+      before: tasks.find(task => task._id.equals(after._id)),
+      after
+    })));
+
+    for (const after of afterTasks) {
+      const before = tasks.find(task => task._id.equals(after._id));
+      publishTaskEvent('task.updated', after, { previous: before, actorId: req.user._id });
+
+      // Completing a recurring task schedules its next occurrence
+      if (after.statusCategory === 'done' && before.statusCategory !== 'done') {
+        const nextOccurrence = await after.createNextOccurrence();
+        if (nextOccurrence) {
+          publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+        }
+      }
+    }
 
     return successResponse(res, {
       matchedCount: result.matchedCount,
@@ -385,9 +524,8 @@ router.post('/bulk-update', authMiddleware, async (req, res) => {
  * @desc    Bulk delete tasks
  * @access  Private
  */
-router.delete('/bulk-delete', authMiddleware, async (req, res) => {
+router.delete('/bulk-delete', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
-    const userId = req.user._id;
     const { taskIds } = req.body;
 
     if (!Array.isArray(taskIds) || taskIds.length === 0) {
@@ -396,10 +534,13 @@ router.delete('/bulk-delete', authMiddleware, async (req, res) => {
       ]);
     }
 
-    const result = await Task.deleteMany({
-      _id: { $in: taskIds },
-      userId
-    });
+    const filter = { _id: { $in: taskIds }, ...req.taskAccess.write };
+    const tasks = await Task.find(filter);
+
+    const result = await Task.deleteMany(filter);
+
+    await recordActivity(tasks.map(task => ({ taskId: task._id, actorId: req.user._id, source: 'bulk', action: 'deleted' })));
+    tasks.forEach(task => publishTaskEvent('task.deleted', task, { actorId: req.user._id }));
 
     return successResponse(res, {
       deletedCount: result.deletedCount,
@@ -417,11 +558,9 @@ router.delete('/bulk-delete', authMiddleware, async (req, res) => {
  * @desc    Get overdue tasks
  * @access  Private
  */
-router.get('/overdue', authMiddleware, async (req, res) => {
+router.get('/overdue', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
-    const userId = req.user._id;
-    
-    const overdueTasks = await Task.getOverdueTasks(userId);
+    const overdueTasks = await Task.getOverdueTasks(req.taskAccess.read);
 
     return successResponse(res, overdueTasks, 'Overdue tasks retrieved successfully');
 
@@ -433,12 +572,15 @@ router.get('/overdue', authMiddleware, async (req, res) => {
 
 /**
  * @route   GET /api/tasks/stats
- * @desc    Get task statistics for user
+ * @desc    Get task statistics for user (optionally for one project via ?projectId=)
  * @access  Private
  */
-router.get('/stats', authMiddleware, async (req, res) => {
+router.get('/stats', authMiddleware, taskAccessMiddleware, async (req, res) => {
   try {
-    const userId = req.user._id;
+    // Optionally narrow the statistics to a single project
+    const scope = req.query.projectId
+      ? { ...req.taskAccess.read, projectId: req.query.projectId }
+      : req.taskAccess.read;
 
     const [
       totalTasks,
@@ -449,13 +591,13 @@ router.get('/stats', authMiddleware, async (req, res) => {
       todayTasks,
       thisWeekTasks
     ] = await Promise.all([
-      Task.countDocuments({ userId, isArchived: false }),
-      Task.countDocuments({ userId, status: 'pending', isArchived: false }),
-      Task.countDocuments({ userId, status: 'in-progress', isArchived: false }),
-      Task.countDocuments({ userId, status: 'completed', isArchived: false }),
-      Task.getOverdueTasks(userId).then(tasks => tasks.length),
+      Task.countDocuments({ ...scope, isArchived: false }),
+      Task.countDocuments({ ...scope, statusCategory: 'todo', isArchived: false }),
+      Task.countDocuments({ ...scope, statusCategory: 'doing', isArchived: false }),
+      Task.countDocuments({ ...scope, statusCategory: 'done', isArchived: false }),
+      Task.getOverdueTasks(scope).then(tasks => tasks.length),
       Task.countDocuments({
-        userId,
+        ...scope,
         dueDate: {
           $gte: new Date(new Date().setHours(0, 0, 0, 0)),
           $lt: new Date(new Date().setHours(23, 59, 59, 999))
@@ -463,7 +605,7 @@ router.get('/stats', authMiddleware, async (req, res) => {
         isArchived: false
       }),
       Task.countDocuments({
-        userId,
+        ...scope,
         dueDate: {
           $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
           $lt: new Date()
@@ -508,10 +650,7 @@ router.get('/admin/all', authMiddleware, adminMiddleware, async (req, res) => {
     const query = {};
     
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      query.$text = { $search: search };
     }
 
     // Get tasks and total count
@@ -10,7 +10,14 @@ require('dotenv').config();
 
 const taskRoutes = require('./routes/tasks');
 const attachmentRoutes = require('./routes/attachments');
-const { errorResponse } = require('@tasktrackr/common');
+const taskApiRoutes = require('./src/routes/tasks');
+const projectRoutes = require('./src/routes/projects');
+const eventRoutes = require('./src/routes/events');
+const viewRoutes = require('./src/routes/views');
+const boardRoutes = require('./src/routes/boards');
+const customFieldRoutes = require('./src/routes/customFields');
+const timeRoutes = require('./src/routes/time');
+const { errorResponse, Task } = require('@tasktrackr/common');
 
 const app = express();
 
@@ -78,10 +85,16 @@ const connectDB = async () => {
     console.error('Database connection error:', error);
     process.exit(1);
   }
-};
 
-// Initialize database connection
-connectDB();
+  // Give tasks saved before workflows existed their status category and move
+  // single reminders into the reminders list
+  try {
+    await Task.backfillStatusCategories();
+    await Task.backfillReminders();
+  } catch (error) {
+    console.error('Task backfill error:', error);
+  }
+};
 
 // Health check endpoint
 app.get('/api/tasks/health', (req, res) => {
@@ -95,9 +108,18 @@ app.get('/api/tasks/health', (req, res) => {
   });
 });
 
-// API Routes
+// API Routes. The task API in src/ comes first; requests it has no route for
+// (PUT /:id, PATCH /:id/status, /bulk-update, /bulk-delete) fall through to
+// the original task routes.
+app.use('/api/tasks', taskApiRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/attachments', uploadLimiter, attachmentRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/boards', boardRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/time', timeRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -163,17 +185,22 @@ process.on('SIGINT', () => {
 
 const PORT = process.env.PORT || 3002;
 
-const server = app.listen(PORT, () => {
-  console.log(`Task service running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV}`);
-});
+// Connect and start the server when run directly; tests require the app
+if (require.main === module) {
+  connectDB();
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err) => {
-  console.error('Unhandled Promise Rejection:', err);
-  server.close(() => {
-    process.exit(1);
+  const server = app.listen(PORT, () => {
+    console.log(`Task service running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV}`);
   });
-});
+
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err) => {
+    console.error('Unhandled Promise Rejection:', err);
+    server.close(() => {
+      process.exit(1);
+    });
+  });
+}
 
 module.exports = app;
\ No newline at end of file
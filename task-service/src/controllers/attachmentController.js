@@ -20,7 +20,7 @@ const uploadAttachment = async (req, res) => {
     }
 
     // Find the task
-    const task = await Task.findOne({ _id: taskId, userId });
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -70,9 +70,8 @@ const uploadAttachment = async (req, res) => {
 const getAttachments = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId }, 'attachments');
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read }, 'attachments');
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -96,9 +95,8 @@ const getAttachments = async (req, res) => {
 const deleteAttachment = async (req, res) => {
   try {
     const { taskId, attachmentId } = req.params;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId });
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -145,9 +143,8 @@ const deleteAttachment = async (req, res) => {
 const getAttachment = async (req, res) => {
   try {
     const { taskId, attachmentId } = req.params;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId }, 'attachments');
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read }, 'attachments');
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -179,9 +176,8 @@ const getAttachment = async (req, res) => {
 const getAttachmentUrl = async (req, res) => {
   try {
     const { taskId, attachmentId } = req.params;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId }, 'attachments');
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read }, 'attachments');
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
@@ -0,0 +1,344 @@
+const {
+  Board,
+  Task,
+  Project,
+  canTransition,
+  rankBetween,
+  spreadRanks,
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse
+} = require('@tasktrackr/common');
+const { publishTaskEvent } = require('../services/taskEvents');
+const { recordActivity } = require('../services/activityService');
+
+// Tries, and the wait between them, to claim a column another move holds
+const COLUMN_CLAIM_ATTEMPTS = 10;
+const COLUMN_CLAIM_RETRY_MS = 100;
+
+/**
+ * Order tasks by rank; unranked tasks follow, oldest first
+ */
+const byRank = (a, b) => {
+  if (a.rank && b.rank) {
+    return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+  }
+  if (a.rank || b.rank) {
+    return a.rank ? -1 : 1;
+  }
+  return a.createdAt - b.createdAt;
+};
+
+/**
+ * Find a board the authenticated user can see
+ */
+const findReadableBoard = (req, boardId) => {
+  return Board.findOne({
+    _id: boardId,
+    ...Board.accessFilter(req.user._id, req.taskAccess.readableProjectIds)
+  });
+};
+
+/**
+ * Filter for the tasks in one column of a board
+ */
+const columnFilter = (board, column, access) => ({
+  ...board.taskFilter(access),
+  status: { $in: column.statuses }
+});
+
+/**
+ * Give every task in a column a distinct rank, keeping the current order
+ */
+const rankColumn = async (tasks) => {
+  const ranks = spreadRanks(tasks.length);
+
+  await Promise.all(tasks.map((task, index) => {
+    task.rank = ranks[index];
+    return Task.updateOne({ _id: task._id }, { $set: { rank: ranks[index] } }, { systemWrite: true });
+  }));
+};
+
+/**
+ * Map board errors to responses shared by every handler
+ */
+const handleBoardError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return errorResponse(res, 'Validation failed', 400, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return errorResponse(res, 'Invalid ID format', 400);
+  }
+
+  errorResponse(res, message, 500);
+};
+
+/**
+ * Get the personal boards of the authenticated user and the boards of their projects
+ */
+const getBoards = async (req, res) => {
+  try {
+    const filter = Board.accessFilter(req.user._id, req.taskAccess.readableProjectIds);
+
+    if (req.query.projectId) {
+      filter.projectId = req.query.projectId;
+    }
+
+    const boards = await Board.find(filter).sort({ name: 1 });
+
+    successResponse(res, boards, 'Boards retrieved successfully');
+
+  } catch (error) {
+    console.error('Get boards error:', error);
+    handleBoardError(res, error, 'Failed to retrieve boards');
+  }
+};
+
+/**
+ * Get a board with the tasks of each column in board order
+ */
+const getBoardById = async (req, res) => {
+  try {
+    const board = await findReadableBoard(req, req.params.boardId);
+    if (!board) {
+      return notFoundResponse(res, 'Board');
+    }
+
+    const tasks = await Task.find(board.taskFilter(req.taskAccess.read))
+      .populate('assignees', 'name email');
+
+    const columns = board.columns.map(column => {
+      const columnTasks = tasks
+        .filter(task => column.statuses.includes(task.status))
+        .sort(byRank);
+
+      return {
+        ...column.toJSON(),
+        taskCount: columnTasks.length,
+        overWipLimit: column.wipLimit !== null && columnTasks.length > column.wipLimit,
+        tasks: columnTasks
+      };
+    });
+
+    successResponse(res, { ...board.toJSON(), columns }, 'Board retrieved successfully');
+
+  } catch (error) {
+    console.error('Get board by ID error:', error);
+    handleBoardError(res, error, 'Failed to retrieve board');
+  }
+};
+
+/**
+ * Create a board; project boards require project editor access
+ */
+const createBoard = async (req, res) => {
+  try {
+    const { projectId } = req.body;
+
+    if (projectId && !req.taskAccess.canWriteProject(projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
+    }
+
+    const board = new Board({
+      ...req.body,
+      userId: req.user._id
+    });
+    await board.save();
+
+    successResponse(res, board, 'Board created successfully', 201);
+
+  } catch (error) {
+    console.error('Create board error:', error);
+    handleBoardError(res, error, 'Failed to create board');
+  }
+};
+
+/**
+ * Rename a board or replace its columns; columns sent with their _id keep it
+ */
+const updateBoard = async (req, res) => {
+  try {
+    const board = await findReadableBoard(req, req.params.boardId);
+    if (!board) {
+      return notFoundResponse(res, 'Board');
+    }
+
+    if (!board.canEdit(req.user._id, req.taskAccess.writableProjectIds)) {
+      return forbiddenResponse(res, 'Only the board creator or project editors can change this board');
+    }
+
+    board.set(req.body);
+    await board.save();
+
+    successResponse(res, board, 'Board updated successfully');
+
+  } catch (error) {
+    console.error('Update board error:', error);
+    handleBoardError(res, error, 'Failed to update board');
+  }
+};
+
+/**
+ * Delete a board; its tasks are not affected
+ */
+const deleteBoard = async (req, res) => {
+  try {
+    const board = await findReadableBoard(req, req.params.boardId);
+    if (!board) {
+      return notFoundResponse(res, 'Board');
+    }
+
+    if (!board.canEdit(req.user._id, req.taskAccess.writableProjectIds)) {
+      return forbiddenResponse(res, 'Only the board creator or project editors can delete this board');
+    }
+
+    await board.deleteOne();
+
+    successResponse(res, null, 'Board deleted successfully');
+
+  } catch (error) {
+    console.error('Delete board error:', error);
+    handleBoardError(res, error, 'Failed to delete board');
+  }
+};
+
+/**
+ * Claim a column for a move into it, waiting a little for a concurrent move
+ * that holds it. Returns false if the column stays busy.
+ */
+const claimColumn = async (board, column) => {
+  for (let attempt = 0; attempt < COLUMN_CLAIM_ATTEMPTS; attempt++) {
+    if (await Board.claimColumn(board._id, column._id)) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, COLUMN_CLAIM_RETRY_MS));
+  }
+  return false;
+};
+
+/**
+ * Move a task to a position in a column. The status and rank change in one
+ * write. Moves into a column with a WIP limit hold a claim on it while the
+ * limit is checked and the task written, so concurrent moves cannot overfill it.
+ */
+const moveTask = async (req, res) => {
+  try {
+    const { boardId, taskId } = req.params;
+    const { columnId, position } = req.body;
+
+    const board = await findReadableBoard(req, boardId);
+    if (!board) {
+      return notFoundResponse(res, 'Board');
+    }
+
+    const column = board.columns.id(columnId);
+    if (!column) {
+      return notFoundResponse(res, 'Column');
+    }
+
+    const task = await Task.findOne({ _id: taskId, ...board.taskFilter(req.taskAccess.write) });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const changesColumn = !column.statuses.includes(task.status);
+    const limited = changesColumn && column.wipLimit !== null;
+
+    if (limited && !await claimColumn(board, column)) {
+      return errorResponse(res, `Column "${column.name}" is busy, please retry`, 409);
+    }
+
+    let moved;
+    let updates;
+    try {
+      const others = (await Task.find(columnFilter(board, column, req.taskAccess.read)))
+        .filter(other => !other._id.equals(task._id))
+        .sort(byRank);
+
+      if (limited && others.length >= column.wipLimit) {
+        return errorResponse(res, `Column "${column.name}" is at its WIP limit of ${column.wipLimit}`, 409);
+      }
+
+      let status = task.status;
+      if (changesColumn) {
+        const workflow = await Project.getWorkflow(board.projectId);
+        status = column.statuses.find(key => canTransition(workflow, task.status, key));
+        if (!status) {
+          return errorResponse(res, `The workflow does not allow moving this task from "${task.status}" to column "${column.name}"`, 409);
+        }
+      }
+
+      updates = { status };
+      const statusErrors = await Task.resolveStatusUpdate(task, updates);
+      if (statusErrors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, statusErrors);
+      }
+
+      if (changesColumn && updates.statusCategory !== 'todo') {
+        const openBlockers = await Task.findOpenBlockers(task.blockedBy);
+        if (openBlockers.length > 0) {
+          return errorResponse(res, 'Task is blocked by unfinished tasks', 409, openBlockers);
+        }
+      }
+
+      // Unranked tasks, or equal ranks left by concurrent moves, leave no room in between
+      if (others.some((other, i) => !other.rank || (i > 0 && other.rank === others[i - 1].rank))) {
+        await rankColumn(others);
+      }
+
+      const index = Math.min(position === undefined ? others.length : position, others.length);
+      updates.rank = rankBetween(
+        index > 0 ? others[index - 1].rank : null,
+        index < others.length ? others[index].rank : null
+      );
+
+      moved = await Task.findOneAndUpdate(
+        { _id: task._id, ...req.taskAccess.write, syncVersion: task.syncVersion },
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+      if (!moved) {
+        return errorResponse(res, 'Task was modified concurrently, please retry', 409);
+      }
+    } finally {
+      if (limited) {
+        await Board.releaseColumn(board._id, column._id);
+      }
+    }
+
+    await recordActivity([{ taskId: moved._id, actorId: req.user._id, before: task, after: moved }]);
+
+    let nextOccurrence = null;
+    if (updates.statusCategory === 'done' && task.statusCategory !== 'done') {
+      nextOccurrence = await moved.createNextOccurrence();
+    }
+
+    await moved.populate('assignees', 'name email');
+
+    publishTaskEvent('task.updated', moved, { previous: task, actorId: req.user._id });
+    if (nextOccurrence) {
+      publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+    }
+
+    successResponse(res, moved, 'Task moved successfully');
+
+  } catch (error) {
+    console.error('Move task error:', error);
+    handleBoardError(res, error, 'Failed to move task');
+  }
+};
+
+module.exports = {
+  getBoards,
+  getBoardById,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  moveTask
+};
\ No newline at end of file
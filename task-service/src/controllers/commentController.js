@@ -0,0 +1,254 @@
+const {
+  Comment,
+  Project,
+  Task,
+  User,
+  resolveMentions,
+  successResponse,
+  errorResponse,
+  paginatedResponse,
+  notFoundResponse,
+  forbiddenResponse
+} = require('@tasktrackr/common');
+const { notifyMentioned } = require('../services/notificationService');
+
+/**
+ * Get the users who can be mentioned on a task: project members for a
+ * project task, the owner and assignees for a personal task
+ */
+const getTaskParticipants = async (task) => {
+  let userIds = [task.userId, ...task.assignees];
+
+  if (task.projectId) {
+    const project = await Project.findById(task.projectId).select('members');
+    if (project) {
+      userIds = project.members.map(member => member.userId);
+    }
+  }
+
+  return User.find({ _id: { $in: userIds } }).select('name email');
+};
+
+/**
+ * Resolve the mentions in a comment body and notify users mentioned for the first time
+ */
+const applyMentions = async (req, task, comment) => {
+  const participants = await getTaskParticipants(task);
+  const previous = comment.mentions.map(id => id.toString());
+
+  comment.mentions = resolveMentions(comment.body, participants);
+
+  return comment.mentions.filter(userId =>
+    !previous.includes(userId.toString()) && userId.toString() !== req.user._id.toString()
+  );
+};
+
+/**
+ * Map comment errors to responses shared by every handler
+ */
+const handleCommentError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return errorResponse(res, 'Validation failed', 400, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return errorResponse(res, 'Invalid task or comment ID format', 400);
+  }
+
+  return errorResponse(res, message, 500);
+};
+
+/**
+ * Get the comments of a task, oldest first
+ */
+const getComments = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const skip = (page - 1) * limit;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const [comments, total] = await Promise.all([
+      Comment.find({ taskId })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-editHistory')
+        .populate('userId', 'name email')
+        .populate('mentions', 'name email'),
+      Comment.countDocuments({ taskId })
+    ]);
+
+    paginatedResponse(res, comments, {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total
+    }, 'Comments retrieved successfully');
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    handleCommentError(res, error, 'Failed to retrieve comments');
+  }
+};
+
+/**
+ * Get a single comment including its edit history
+ */
+const getCommentById = async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, taskId })
+      .populate('userId', 'name email')
+      .populate('mentions', 'name email');
+
+    if (!comment) {
+      return notFoundResponse(res, 'Comment');
+    }
+
+    successResponse(res, comment, 'Comment retrieved successfully');
+
+  } catch (error) {
+    console.error('Get comment error:', error);
+    handleCommentError(res, error, 'Failed to retrieve comment');
+  }
+};
+
+/**
+ * Add a comment to a task; anyone who can read the task can comment
+ */
+const createComment = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { body, parentId } = req.body;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    if (parentId) {
+      const parent = await Comment.exists({ _id: parentId, taskId });
+      if (!parent) {
+        return notFoundResponse(res, 'Parent comment');
+      }
+    }
+
+    const comment = new Comment({
+      taskId,
+      userId: req.user._id,
+      parentId: parentId || null,
+      body
+    });
+
+    const mentioned = await applyMentions(req, task, comment);
+    await comment.save();
+
+    notifyMentioned(req, comment, mentioned);
+
+    await comment.populate('userId', 'name email');
+    await comment.populate('mentions', 'name email');
+
+    successResponse(res, comment, 'Comment added successfully', 201);
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    handleCommentError(res, error, 'Failed to add comment');
+  }
+};
+
+/**
+ * Edit a comment; only its author can edit it
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, taskId, isDeleted: false });
+    if (!comment) {
+      return notFoundResponse(res, 'Comment');
+    }
+
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      return forbiddenResponse(res, 'Only the author can edit this comment');
+    }
+
+    if (comment.body !== req.body.body) {
+      comment.edit(req.body.body);
+
+      const mentioned = await applyMentions(req, task, comment);
+      await comment.save();
+
+      notifyMentioned(req, comment, mentioned);
+    }
+
+    await comment.populate('userId', 'name email');
+    await comment.populate('mentions', 'name email');
+
+    successResponse(res, comment, 'Comment updated successfully');
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    handleCommentError(res, error, 'Failed to update comment');
+  }
+};
+
+/**
+ * Soft delete a comment; its author or anyone who can edit the task can delete it
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, taskId, isDeleted: false });
+    if (!comment) {
+      return notFoundResponse(res, 'Comment');
+    }
+
+    const isAuthor = comment.userId.toString() === req.user._id.toString();
+    if (!isAuthor && !(await Task.exists({ _id: taskId, ...req.taskAccess.write }))) {
+      return forbiddenResponse(res, 'Only the author or a task editor can delete this comment');
+    }
+
+    await comment.softDelete();
+
+    successResponse(res, null, 'Comment deleted successfully');
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    handleCommentError(res, error, 'Failed to delete comment');
+  }
+};
+
+module.exports = {
+  getComments,
+  getCommentById,
+  createComment,
+  updateComment,
+  deleteComment
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+const {
+  CustomField,
+  Task,
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  conflictResponse
+} = require('@tasktrackr/common');
+
+/**
+ * Find a custom field the authenticated user can see
+ */
+const findReadableField = (req, fieldId) => {
+  return CustomField.findOne({
+    _id: fieldId,
+    ...CustomField.accessFilter(req.user._id, req.taskAccess.readableProjectIds)
+  });
+};
+
+/**
+ * Map custom field errors to responses shared by every handler
+ */
+const handleFieldError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return errorResponse(res, 'Validation failed', 400, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return errorResponse(res, 'Invalid ID format', 400);
+  }
+
+  errorResponse(res, message, 500);
+};
+
+/**
+ * Get the personal custom fields of the authenticated user and the fields of their projects
+ */
+const getCustomFields = async (req, res) => {
+  try {
+    const filter = CustomField.accessFilter(req.user._id, req.taskAccess.readableProjectIds);
+
+    if (req.query.projectId) {
+      filter.projectId = req.query.projectId;
+    }
+
+    const fields = await CustomField.find(filter).sort({ projectId: 1, key: 1 });
+
+    successResponse(res, fields, 'Custom fields retrieved successfully');
+
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    handleFieldError(res, error, 'Failed to retrieve custom fields');
+  }
+};
+
+/**
+ * Get custom field by ID
+ */
+const getCustomFieldById = async (req, res) => {
+  try {
+    const field = await findReadableField(req, req.params.fieldId);
+    if (!field) {
+      return notFoundResponse(res, 'Custom field');
+    }
+
+    successResponse(res, field, 'Custom field retrieved successfully');
+
+  } catch (error) {
+    console.error('Get custom field by ID error:', error);
+    handleFieldError(res, error, 'Failed to retrieve custom field');
+  }
+};
+
+/**
+ * Define a custom field; project fields require project editor access. Keys
+ * are unique among the fields that apply to the same tasks.
+ */
+const createCustomField = async (req, res) => {
+  try {
+    const { projectId, key } = req.body;
+
+    if (projectId && !req.taskAccess.canWriteProject(projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
+    }
+
+    const field = new CustomField({
+      ...req.body,
+      userId: req.user._id
+    });
+
+    const existing = await CustomField.findOne({ ...field.taskFilter(), key });
+    if (existing) {
+      return conflictResponse(res, `A custom field with key "${key}" already exists`);
+    }
+
+    await field.save();
+
+    successResponse(res, field, 'Custom field created successfully', 201);
+
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    handleFieldError(res, error, 'Failed to create custom field');
+  }
+};
+
+/**
+ * Rename a custom field, change its options or make it required. Values of
+ * removed options are cleared from tasks.
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    const field = await findReadableField(req, req.params.fieldId);
+    if (!field) {
+      return notFoundResponse(res, 'Custom field');
+    }
+
+    if (!field.canEdit(req.user._id, req.taskAccess.writableProjectIds)) {
+      return forbiddenResponse(res, 'Only the field creator or project editors can change this field');
+    }
+
+    const removedOptions = req.body.options
+      ? (field.options || []).filter(option => !req.body.options.includes(option))
+      : [];
+
+    field.set(req.body);
+    await field.save();
+
+    if (removedOptions.length > 0) {
+      const path = `customFields.${field.key}`;
+      const update = field.type === 'multiselect'
+        ? { $pull: { [path]: { $in: removedOptions } } }
+        : { $unset: { [path]: 1 } };
+
+      await Task.updateMany({ ...field.taskFilter(), [path]: { $in: removedOptions } }, update);
+    }
+
+    successResponse(res, field, 'Custom field updated successfully');
+
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    handleFieldError(res, error, 'Failed to update custom field');
+  }
+};
+
+/**
+ * Delete a custom field and clear its values from tasks
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const field = await findReadableField(req, req.params.fieldId);
+    if (!field) {
+      return notFoundResponse(res, 'Custom field');
+    }
+
+    if (!field.canEdit(req.user._id, req.taskAccess.writableProjectIds)) {
+      return forbiddenResponse(res, 'Only the field creator or project editors can delete this field');
+    }
+
+    const path = `customFields.${field.key}`;
+    await Task.updateMany(
+      { ...field.taskFilter(), [path]: { $exists: true } },
+      { $unset: { [path]: 1 } }
+    );
+    await field.deleteOne();
+
+    successResponse(res, null, 'Custom field deleted successfully');
+
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    handleFieldError(res, error, 'Failed to delete custom field');
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  getCustomFieldById,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
\ No newline at end of file
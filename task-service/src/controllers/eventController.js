@@ -0,0 +1,119 @@
+const {
+  Task,
+  Project,
+  decodeToken,
+  getTokenExpiration,
+  errorResponse,
+  tooManyRequestsResponse
+} = require('@tasktrackr/common');
+const { subscribe } = require('../services/taskEvents');
+
+// Comment line sent periodically so proxies keep idle streams open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How often a stream reloads the projects its user can read
+const ACCESS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Delay before the browser EventSource reconnects after a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+const MAX_STREAMS_PER_USER = parseInt(process.env.MAX_EVENT_STREAMS_PER_USER) || 10;
+
+// Largest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Open streams per user ID
+const openStreams = new Map();
+
+const writeEvent = (res, id, type, data) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${data}\n\n`);
+};
+
+/**
+ * Stream task changes to the current user as Server-Sent Events. Only changes
+ * to tasks the user can access are sent; a task.removed event tells the user
+ * that a task they could see is no longer accessible. The stream closes with
+ * a session.expired event when the token expires.
+ */
+const streamTaskEvents = async (req, res) => {
+  const userId = req.user._id;
+  const streamKey = userId.toString();
+
+  if ((openStreams.get(streamKey) || 0) >= MAX_STREAMS_PER_USER) {
+    return tooManyRequestsResponse(res, 'Too many open event streams');
+  }
+
+  let projectIds;
+  try {
+    ({ readable: projectIds } = await Project.getTaskAccess(userId));
+  } catch (error) {
+    console.error('Open event stream error:', error);
+    return errorResponse(res, 'Failed to open event stream', 500);
+  }
+
+  // The client may have gone away while access was loading
+  if (req.socket.destroyed) {
+    return;
+  }
+
+  openStreams.set(streamKey, (openStreams.get(streamKey) || 0) + 1);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  writeEvent(res, null, 'ready', JSON.stringify({ userId }));
+
+  const unsubscribe = subscribe((event) => {
+    try {
+      if (Task.isAccessibleBy(event.task, userId, projectIds)) {
+        writeEvent(res, event.id, event.type, event.data);
+      } else if (event.previous && Task.isAccessibleBy(event.previous, userId, projectIds)) {
+        writeEvent(res, event.id, 'task.removed', event.removedData);
+      }
+    } catch (error) {
+      console.error('Stream task event error:', error);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const accessRefresh = setInterval(async () => {
+    try {
+      ({ readable: projectIds } = await Project.getTaskAccess(userId));
+    } catch (error) {
+      console.error('Refresh event stream access error:', error);
+    }
+  }, ACCESS_REFRESH_INTERVAL_MS);
+
+  let expiry = null;
+  const decoded = decodeToken(req.header('Authorization').substring(7));
+  const expiresAt = decoded && getTokenExpiration(decoded);
+  if (expiresAt) {
+    expiry = setTimeout(() => {
+      writeEvent(res, null, 'session.expired', '{}');
+      res.end();
+    }, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMEOUT_MS));
+  }
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(accessRefresh);
+    clearTimeout(expiry);
+
+    const remaining = openStreams.get(streamKey) - 1;
+    if (remaining > 0) {
+      openStreams.set(streamKey, remaining);
+    } else {
+      openStreams.delete(streamKey);
+    }
+  });
+};
+
+module.exports = {
+  streamTaskEvents
+};
\ No newline at end of file
@@ -0,0 +1,353 @@
+const { 
+  Project, 
+  Task,
+  User,
+  Tombstone,
+  SavedView,
+  Board,
+  CustomField,
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getStatusesIn,
+  mapStatus,
+  successResponse, 
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse
+} = require('@tasktrackr/common');
+const { publishTaskEvent } = require('../services/taskEvents');
+
+/**
+ * Count the owners a project would have after changing one member's role
+ */
+const ownersAfterChange = (project, userId, newRole) => {
+  return project.members.filter(member => {
+    const role = member.userId.toString() === userId.toString() ? newRole : member.role;
+    return role === 'owner';
+  }).length;
+};
+
+/**
+ * Create a new project; the creator becomes its owner
+ */
+const createProject = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const project = new Project({
+      ...req.body,
+      createdBy: userId,
+      members: [{ userId, role: 'owner' }]
+    });
+    await project.save();
+
+    successResponse(res, project, 'Project created successfully', 201);
+
+  } catch (error) {
+    console.error('Create project error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return errorResponse(res, 'Validation failed', 400, errors);
+    }
+
+    errorResponse(res, 'Failed to create project', 500);
+  }
+};
+
+/**
+ * Get all projects the authenticated user is a member of
+ */
+const getProjects = async (req, res) => {
+  try {
+    const projects = await Project.getUserProjects(req.user._id)
+      .populate('members.userId', 'name email');
+
+    successResponse(res, projects, 'Projects retrieved successfully');
+
+  } catch (error) {
+    console.error('Get projects error:', error);
+    errorResponse(res, 'Failed to retrieve projects', 500);
+  }
+};
+
+/**
+ * Get project by ID
+ */
+const getProjectById = async (req, res) => {
+  try {
+    await req.project.populate('members.userId', 'name email');
+
+    successResponse(res, req.project, 'Project retrieved successfully');
+
+  } catch (error) {
+    console.error('Get project by ID error:', error);
+    errorResponse(res, 'Failed to retrieve project', 500);
+  }
+};
+
+/**
+ * Update project details
+ */
+const updateProject = async (req, res) => {
+  try {
+    const project = req.project;
+
+    Object.assign(project, req.body);
+    await project.save();
+
+    successResponse(res, project, 'Project updated successfully');
+
+  } catch (error) {
+    console.error('Update project error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return errorResponse(res, 'Validation failed', 400, errors);
+    }
+
+    errorResponse(res, 'Failed to update project', 500);
+  }
+};
+
+/**
+ * Delete project; its tasks move back to their creators' personal lists
+ */
+const deleteProject = async (req, res) => {
+  try {
+    const project = req.project;
+    const previous = await Task.find({ projectId: project._id }).lean();
+
+    // Personal tasks use the default workflow; statuses it lacks map by category
+    await Promise.all(project.workflow.statuses
+      .filter(status => !findStatus(DEFAULT_WORKFLOW, status.key))
+      .map(status => Task.updateMany(
+        { projectId: project._id, status: status.key },
+        { $set: { status: mapStatus(DEFAULT_WORKFLOW, status.key, status.category) } }
+      )));
+
+    // Values of the project's custom fields go with the fields
+    await Task.updateMany(
+      { projectId: project._id },
+      { $set: { projectId: null }, $unset: { customFields: 1 } }
+    );
+
+    // Members keep only the tasks they created or are assigned to; offline
+    // clients of the others learn that the rest are gone
+    const memberIds = project.members.map(member => member.userId.toString());
+    await Tombstone.recordAccessLoss(previous.map(task => ({
+      task,
+      userIds: memberIds.filter(userId =>
+        userId !== task.userId.toString() && !task.assignees.some(id => id.toString() === userId))
+    })));
+
+    await SavedView.deleteMany({ projectId: project._id });
+    await Board.deleteMany({ projectId: project._id });
+    await CustomField.deleteMany({ projectId: project._id });
+    await project.deleteOne();
+
+    const tasks = await Task.find({ _id: { $in: previous.map(task => task._id) } });
+    const previousById = new Map(previous.map(task => [task._id.toString(), task]));
+    tasks.forEach(task => publishTaskEvent('task.updated', task, {
+      previous: previousById.get(task._id.toString()),
+      actorId: req.user._id
+    }));
+
+    successResponse(res, null, 'Project deleted successfully');
+
+  } catch (error) {
+    console.error('Delete project error:', error);
+    errorResponse(res, 'Failed to delete project', 500);
+  }
+};
+
+/**
+ * Get the project's workflow
+ */
+const getWorkflow = async (req, res) => {
+  try {
+    successResponse(res, req.project.workflow, 'Workflow retrieved successfully');
+
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    errorResponse(res, 'Failed to retrieve workflow', 500);
+  }
+};
+
+/**
+ * Replace the project's workflow. Statuses still used by tasks cannot be
+ * removed; tasks whose status moves to another category follow it.
+ */
+const updateWorkflow = async (req, res) => {
+  try {
+    const project = req.project;
+    const keys = req.body.statuses.map(status => status.key);
+    const removed = project.workflow.statuses
+      .map(status => status.key)
+      .filter(key => !keys.includes(key));
+
+    if (removed.length > 0) {
+      const inUse = await Task.distinct('status', { projectId: project._id, status: { $in: removed } });
+      if (inUse.length > 0) {
+        return errorResponse(res, 'Statuses still used by tasks cannot be removed', 409, inUse.map(status => ({
+          field: 'statuses',
+          message: `Status "${status}" is used by tasks in this project`
+        })));
+      }
+    }
+
+    project.workflow = req.body;
+    await project.save();
+
+    const now = new Date();
+    await Promise.all(STATUS_CATEGORIES.map(category => Task.updateMany(
+      {
+        projectId: project._id,
+        status: { $in: getStatusesIn(project.workflow, category) },
+        statusCategory: { $ne: category }
+      },
+      { $set: { statusCategory: category, completedAt: category === 'done' ? now : null } }
+    )));
+    await Task.updateMany(
+      { projectId: project._id, statusCategory: 'doing', startedAt: null },
+      { $set: { startedAt: now } }
+    );
+
+    if (removed.length > 0) {
+      await Board.updateMany(
+        { projectId: project._id },
+        { $pull: { 'columns.$[].statuses': { $in: removed } } }
+      );
+    }
+
+    successResponse(res, project.workflow, 'Workflow updated successfully');
+
+  } catch (error) {
+    console.error('Update workflow error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return errorResponse(res, 'Validation failed', 400, errors);
+    }
+
+    errorResponse(res, 'Failed to update workflow', 500);
+  }
+};
+
+/**
+ * Add a member to a project by email
+ */
+const addMember = async (req, res) => {
+  try {
+    const project = req.project;
+    const { email, role } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return notFoundResponse(res, 'User');
+    }
+
+    if (project.getMemberRole(user._id)) {
+      return errorResponse(res, 'User is already a project member', 409);
+    }
+
+    project.members.push({ userId: user._id, role });
+    await project.save();
+    await project.populate('members.userId', 'name email');
+
+    successResponse(res, project, 'Member added successfully', 201);
+
+  } catch (error) {
+    console.error('Add project member error:', error);
+    errorResponse(res, 'Failed to add project member', 500);
+  }
+};
+
+/**
+ * Change a member's role
+ */
+const updateMember = async (req, res) => {
+  try {
+    const project = req.project;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const member = project.members.find(m => m.userId.toString() === userId);
+    if (!member) {
+      return notFoundResponse(res, 'Member');
+    }
+
+    if (ownersAfterChange(project, userId, role) === 0) {
+      return errorResponse(res, 'Project must have at least one owner', 400);
+    }
+
+    member.role = role;
+    await project.save();
+    await project.populate('members.userId', 'name email');
+
+    successResponse(res, project, 'Member role updated successfully');
+
+  } catch (error) {
+    console.error('Update project member error:', error);
+    errorResponse(res, 'Failed to update project member', 500);
+  }
+};
+
+/**
+ * Remove a member from a project; members may also remove themselves
+ */
+const removeMember = async (req, res) => {
+  try {
+    const project = req.project;
+    const { userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+
+    if (!isSelf && !project.hasRole(req.user._id, 'owner')) {
+      return forbiddenResponse(res, 'Project owner access required');
+    }
+
+    const memberIndex = project.members.findIndex(m => m.userId.toString() === userId);
+    if (memberIndex === -1) {
+      return notFoundResponse(res, 'Member');
+    }
+
+    if (ownersAfterChange(project, userId, null) === 0) {
+      return errorResponse(res, 'Project must have at least one owner', 400);
+    }
+
+    project.members.splice(memberIndex, 1);
+    await project.save();
+
+    // Assignment would otherwise keep giving the former member access to the tasks
+    await Task.unassignFromProject(project._id, userId);
+
+    successResponse(res, null, 'Member removed successfully');
+
+  } catch (error) {
+    console.error('Remove project member error:', error);
+    errorResponse(res, 'Failed to remove project member', 500);
+  }
+};
+
+module.exports = {
+  createProject,
+  getProjects,
+  getProjectById,
+  updateProject,
+  deleteProject,
+  getWorkflow,
+  updateWorkflow,
+  addMember,
+  updateMember,
+  removeMember
+};
\ No newline at end of file
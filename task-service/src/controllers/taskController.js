@@ -1,10 +1,54 @@
 const { 
   Task, 
+  User,
+  Project,
+  Activity,
+  Tombstone,
+  SyncReceipt,
+  SavedView,
+  CustomField,
+  initialCursor,
+  encodeCursor,
+  decodeCursor,
+  getSearchTerms,
+  highlightTask,
+  parseTaskQuery,
   successResponse, 
   errorResponse,
   paginatedResponse,
-  notFoundResponse 
+  notFoundResponse,
+  forbiddenResponse,
+  validationErrorResponse
 } = require('@tasktrackr/common');
+const { notifyTaskAssigned } = require('../services/notificationService');
+const { publishTaskEvent } = require('../services/taskEvents');
+const { recordActivity } = require('../services/activityService');
+const { MAX_TREND_PERIODS, listPeriods, analyzeTasks } = require('../services/analyticsService');
+const { MAX_FLOW_DAYS, buildCumulativeFlow, buildBurndown } = require('../services/flowService');
+
+// Times an offline update is re-merged when the task changes mid-merge
+const SYNC_MERGE_ATTEMPTS = 3;
+
+// Server changes returned per sync request
+const SYNC_PAGE_SIZE = parseInt(process.env.SYNC_PAGE_SIZE) || 100;
+const SYNC_MAX_PAGE_SIZE = 500;
+
+// Intervals analytics cover when no start is given
+const ANALYTICS_DEFAULT_PERIODS = 12;
+
+// Days flow reports cover when no start is given
+const FLOW_DEFAULT_DAYS = 14;
+
+/**
+ * Get the open blockers that stop an update from starting or finishing a task;
+ * none if the update does not move it out of the todo category
+ */
+const findBlockersOfStatusChange = async (before, updates) => {
+  if (!updates.statusCategory || updates.statusCategory === 'todo' || updates.status === before.status) {
+    return [];
+  }
+  return Task.findOpenBlockers(updates.blockedBy || before.blockedBy);
+};
 
 /**
  * Create a new task
@@ -14,15 +58,44 @@ const createTask = async (req, res) => {
     const userId = req.user._id;
     const taskData = {
       ...req.body,
-      userId
+      userId,
+      createdBy: userId
     };
 
+    if (!req.taskAccess.canWriteProject(taskData.projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
+    }
+
+    const dependencyErrors = await Task.validateDependencies(req.taskAccess.read, null, taskData.blockedBy);
+    if (dependencyErrors.length > 0) {
+      return errorResponse(res, 'Validation failed', 400, dependencyErrors);
+    }
+
+    const fieldErrors = await Task.resolveCustomFields(null, taskData);
+    if (fieldErrors.length > 0) {
+      return errorResponse(res, 'Validation failed', 400, fieldErrors);
+    }
+
+    // Validating derives the status category, which open blockers may forbid
     const task = new Task(taskData);
+    await task.validate();
+
+    if (task.statusCategory !== 'todo') {
+      const openBlockers = await Task.findOpenBlockers(task.blockedBy);
+      if (openBlockers.length > 0) {
+        return errorResponse(res, 'Task is blocked by unfinished tasks', 409, openBlockers);
+      }
+    }
+
     await task.save();
 
+    await recordActivity([{ taskId: task._id, actorId: userId, action: 'created' }]);
+
     // Populate user info for response
     await task.populate('userId', 'name email');
 
+    publishTaskEvent('task.created', task, { actorId: userId });
+
     successResponse(res, task, 'Task created successfully', 201);
 
   } catch (error) {
@@ -45,53 +118,87 @@ const createTask = async (req, res) => {
  */
 const getTasks = async (req, res) => {
   try {
-    const userId = req.user._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
+    // A saved view supplies every parameter the request leaves out
+    let params = req.query;
+    let groupBy = null;
+    if (req.query.view) {
+      const view = await SavedView.findOne({
+        _id: req.query.view,
+        ...SavedView.accessFilter(req.user._id, req.taskAccess.readableProjectIds)
+      });
+      if (!view) {
+        return notFoundResponse(res, 'View');
+      }
+
+      params = { ...view.toTaskQuery(), ...req.query };
+      delete params.view;
+      groupBy = view.groupBy;
+    }
+
+    // Custom fields the query can filter (cf.<key>:value) and sort by (sortBy=cf.<key>)
+    const customFields = await CustomField.find({
+      ...CustomField.accessFilter(req.user._id, req.taskAccess.readableProjectIds),
+      ...(params.projectId && { projectId: params.projectId })
+    }).select('key type');
+
+    // Query language, e.g. status:pending priority:>=high -tag:billing
+    const parsed = parseTaskQuery(params.q, { userId: req.user._id, customFields });
+    if (parsed.errors.length > 0) {
+      return validationErrorResponse(res, parsed.errors);
+    }
+
+    // Sorting; grouped views sort by the group first so groups stay together across pages
+    let sortBy = params.sortBy || 'createdAt';
+    if (sortBy.startsWith('cf.')) {
+      const key = sortBy.slice(3);
+      if (!customFields.some(field => field.key === key)) {
+        return validationErrorResponse(res, [{ field: 'sortBy', message: `"${key}" is not a custom field` }]);
+      }
+      sortBy = `customFields.${key}`;
+    }
+    const sortOrder = params.sortOrder === 'asc' ? 1 : -1;
+    const sortObject = {};
+    if (groupBy) {
+      sortObject[SavedView.GROUP_FIELDS[groupBy]] = 1;
+    }
+    sortObject[sortBy] = sortOrder;
+
     // Build filter query
     const filters = {
-      status: req.query.status,
-      priority: req.query.priority,
-      category: req.query.category,
-      tags: req.query.tags ? req.query.tags.split(',') : null,
-      overdue: req.query.overdue === 'true',
-      dueSoon: req.query.dueSoon === 'true'
+      projectId: params.projectId,
+      status: params.status,
+      priority: params.priority,
+      category: params.category,
+      tags: params.tags ? params.tags.split(',') : null,
+      overdue: params.overdue === 'true',
+      dueSoon: params.dueSoon === 'true',
+      assignedTo: params.assignedToMe === 'true' ? req.user._id : null,
+      createdBy: params.createdByMe === 'true' ? req.user._id : null,
+      query: params.q ? parsed.filter : null,
+      includeArchived: parsed.includeArchived,
+      sort: sortObject
     };
 
     // Use the static method from Task model
-    let query = Task.findByUserWithFilters(userId, filters);
-
-    // Search functionality
-    if (req.query.search) {
-      query = query.and({
-        $or: [
-          { title: { $regex: req.query.search, $options: 'i' } },
-          { description: { $regex: req.query.search, $options: 'i' } }
-        ]
-      });
-    }
+    let query = Task.getUserTasks(req.taskAccess.read, filters);
 
-    // Sorting
-    const sortBy = req.query.sortBy || 'createdAt';
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
-    const sortObject = {};
-    sortObject[sortBy] = sortOrder;
+    // Search functionality; use /search for results ranked by relevance
+    if (params.search) {
+      query = query.find({ $text: { $search: params.search } });
+    }
 
     // Execute query with pagination
     const [tasks, total] = await Promise.all([
       query
-        .sort(sortObject)
         .skip(skip)
         .limit(limit)
-        .populate('userId', 'name email'),
-      Task.countDocuments({ 
-        userId, 
-        isArchived: false,
-        ...(filters.status && { status: filters.status }),
-        ...(filters.priority && { priority: filters.priority })
-      })
+        .populate('userId', 'name email')
+        .populate('assignees', 'name email'),
+      Task.countDocuments(query.getQuery())
     ]);
 
     paginatedResponse(res, tasks, { page, limit, total }, 'Tasks retrieved successfully');
@@ -102,15 +209,62 @@ const getTasks = async (req, res) => {
   }
 };
 
+/**
+ * Search tasks by title, description, tags, category, attachment names and
+ * comments, ranked by relevance, with highlighted snippets of the matches
+ */
+const searchTasks = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { q } = req.query;
+
+    const ranked = await Task.search(req.taskAccess.read, q, {
+      projectId: req.query.projectId,
+      status: req.query.status,
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    const matches = ranked.slice((page - 1) * limit, page * limit);
+    const tasks = await Task.find({ _id: { $in: matches.map(match => match._id) } })
+      .populate('userId', 'name email')
+      .populate('assignees', 'name email');
+
+    const terms = getSearchTerms(q);
+    const results = matches
+      .map(match => {
+        const task = tasks.find(candidate => candidate._id.equals(match._id));
+        return task && {
+          task,
+          score: match.score,
+          highlights: highlightTask(task, terms, match.comment)
+        };
+      })
+      .filter(Boolean);
+
+    paginatedResponse(res, results, {
+      page,
+      limit,
+      totalPages: Math.ceil(ranked.length / limit),
+      totalItems: ranked.length
+    }, 'Search results retrieved successfully');
+
+  } catch (error) {
+    console.error('Search tasks error:', error);
+    errorResponse(res, 'Failed to search tasks', 500);
+  }
+};
+
 /**
  * Get task by ID
  */
 const getTaskById = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const userId = req.user._id;
 
-    const task = await Task.findOne({ _id: taskId, userId }).populate('userId', 'name email');
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.read })
+      .populate('userId', 'name email')
+      .populate('assignees', 'name email');
     
     if (!task) {
       return notFoundResponse(res, 'Task');
@@ -135,25 +289,70 @@ const getTaskById = async (req, res) => {
 const updateTask = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const userId = req.user._id;
     const updates = req.body;
 
     // Remove fields that shouldn't be updated directly
     delete updates.userId;
+    delete updates.createdBy;
+    delete updates.assignees;
     delete updates._id;
     delete updates.createdAt;
     delete updates.syncVersion;
+    delete updates.actualDuration;
 
-    const task = await Task.findOneAndUpdate(
-      { _id: taskId, userId },
-      updates,
-      { new: true, runValidators: true }
-    ).populate('userId', 'name email');
+    if (updates.projectId !== undefined && !req.taskAccess.canWriteProject(updates.projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
+    }
+
+    if (updates.blockedBy) {
+      const dependencyErrors = await Task.validateDependencies(req.taskAccess.read, taskId, updates.blockedBy);
+      if (dependencyErrors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, dependencyErrors);
+      }
+    }
+
+    const before = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!before) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const fieldErrors = [
+      ...await Task.resolveStatusUpdate(before, updates),
+      ...await Task.resolveCustomFields(before, updates),
+      ...Task.resolveReminders(before, updates)
+    ];
+    if (fieldErrors.length > 0) {
+      return errorResponse(res, 'Validation failed', 400, fieldErrors);
+    }
+
+    const openBlockers = await findBlockersOfStatusChange(before, updates);
+    if (openBlockers.length > 0) {
+      return errorResponse(res, 'Task is blocked by unfinished tasks', 409, openBlockers);
+    }
+
+    // Recurring tasks: edit only this occurrence, or this and all future ones
+    const scope = req.query.scope === 'future' ? 'future' : 'this';
+
+    const task = await Task.updateOccurrence({ _id: taskId, ...req.taskAccess.write }, updates, scope);
 
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
 
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before, after: task }]);
+
+    let nextOccurrence = null;
+    if (updates.statusCategory === 'done' && before.statusCategory !== 'done') {
+      nextOccurrence = await task.createNextOccurrence();
+    }
+
+    await task.populate('userId', 'name email');
+
+    publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+    if (nextOccurrence) {
+      publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+    }
+
     successResponse(res, task, 'Task updated successfully');
 
   } catch (error) {
@@ -181,14 +380,17 @@ const updateTask = async (req, res) => {
 const deleteTask = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const userId = req.user._id;
 
-    const task = await Task.findOneAndDelete({ _id: taskId, userId });
+    const task = await Task.findOneAndDelete({ _id: taskId, ...req.taskAccess.write });
     
     if (!task) {
       return notFoundResponse(res, 'Task');
     }
 
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, action: 'deleted' }]);
+
+    publishTaskEvent('task.deleted', task, { actorId: req.user._id });
+
     // TODO: Clean up associated files/attachments
     // This would be handled in a real implementation
 
@@ -211,11 +413,15 @@ const deleteTask = async (req, res) => {
 const archiveTask = async (req, res) => {
   try {
     const { taskId } = req.params;
-    const userId = req.user._id;
     const { archive } = req.body;
 
+    const before = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!before) {
+      return notFoundResponse(res, 'Task');
+    }
+
     const task = await Task.findOneAndUpdate(
-      { _id: taskId, userId },
+      { _id: taskId, ...req.taskAccess.write },
       { isArchived: archive },
       { new: true }
     ).populate('userId', 'name email');
@@ -224,6 +430,16 @@ const archiveTask = async (req, res) => {
       return notFoundResponse(res, 'Task');
     }
 
+    await recordActivity([{
+      taskId: task._id,
+      actorId: req.user._id,
+      action: task.isArchived ? 'archived' : 'unarchived',
+      before,
+      after: task
+    }]);
+
+    publishTaskEvent(task.isArchived ? 'task.archived' : 'task.unarchived', task, { previous: before, actorId: req.user._id });
+
     const message = archive ? 'Task archived successfully' : 'Task unarchived successfully';
     successResponse(res, task, message);
 
@@ -243,23 +459,88 @@ const archiveTask = async (req, res) => {
  */
 const bulkUpdateTasks = async (req, res) => {
   try {
-    const userId = req.user._id;
+    // Validation leaves only the fields a bulk update may set
     const { taskIds, updates } = req.body;
 
-    if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
-      return errorResponse(res, 'Task IDs are required', 400);
+    if (updates.projectId !== undefined && !req.taskAccess.canWriteProject(updates.projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
     }
 
-    // Remove fields that shouldn't be updated
-    delete updates.userId;
-    delete updates._id;
-    delete updates.createdAt;
+    const filter = { _id: { $in: taskIds }, ...req.taskAccess.write };
+    const beforeTasks = await Task.find(filter);
+
+    // A cycle depends on which task the blockers are set on
+    if (updates.blockedBy) {
+      for (const task of beforeTasks) {
+        const dependencyErrors = await Task.validateDependencies(req.taskAccess.read, task._id, updates.blockedBy);
+        if (dependencyErrors.length > 0) {
+          return errorResponse(res, 'Validation failed', 400,
+            dependencyErrors.map(error => ({ ...error, taskId: task._id })));
+        }
+      }
+    }
+
+    let result;
+    const perTask = ['status', 'projectId', 'customFields', 'dueDate', 'reminders'];
+    if (perTask.some(field => updates[field] !== undefined)) {
+      // Statuses and custom fields depend on each task's project, and reminders
+      // on its due date, so each task is checked and written on its own
+      const taskUpdates = [];
+      for (const task of beforeTasks) {
+        const taskUpdate = { ...updates };
+        const fieldErrors = [
+          ...await Task.resolveStatusUpdate(task, taskUpdate),
+          ...await Task.resolveCustomFields(task, taskUpdate),
+          ...Task.resolveReminders(task, taskUpdate)
+        ];
+        if (fieldErrors.length > 0) {
+          return errorResponse(res, 'Validation failed', 400,
+            fieldErrors.map(error => ({ ...error, taskId: task._id })));
+        }
+
+        const openBlockers = await findBlockersOfStatusChange(task, taskUpdate);
+        if (openBlockers.length > 0) {
+          return errorResponse(res, 'Task is blocked by unfinished tasks', 409,
+            openBlockers.map(blocker => ({ ...blocker.toObject(), taskId: task._id })));
+        }
+        taskUpdates.push(taskUpdate);
+      }
 
-    const result = await Task.updateMany(
-      { _id: { $in: taskIds }, userId },
-      updates,
-      { runValidators: true }
-    );
+      const results = await Promise.all(beforeTasks.map((task, index) =>
+        Task.updateOne({ _id: task._id }, { $set: taskUpdates[index] }, { runValidators: true })
+      ));
+      result = {
+        matchedCount: results.reduce((sum, each) => sum + each.matchedCount, 0),
+        modifiedCount: results.reduce((sum, each) => sum + each.modifiedCount, 0)
+      };
+    } else {
+      result = await Task.updateMany(filter, updates, { runValidators: true });
+    }
+
+    const afterTasks = await Task.find({ _id: { $in: beforeTasks.map(task => task._id) } });
+    await recordActivity(afterTasks.map(after => ({
+      taskId: after._id,
+      actorId: req.user._id,
+      source: 'bulk',
+      before: beforeTasks.find(task => task._id.equals(after._id)),
+      after
+    })));
+
+    afterTasks.forEach(after => publishTaskEvent('task.updated', after, {
+      previous: beforeTasks.find(task => task._id.equals(after._id)),
+      actorId: req.user._id
+    }));
+
+    // Completing recurring tasks schedules their next occurrences
+    for (const after of afterTasks) {
+      const before = beforeTasks.find(task => task._id.equals(after._id));
+      if (after.statusCategory === 'done' && before.statusCategory !== 'done') {
+        const nextOccurrence = await after.createNextOccurrence();
+        if (nextOccurrence) {
+          publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+        }
+      }
+    }
 
     successResponse(res, {
       modifiedCount: result.modifiedCount,
@@ -272,27 +553,60 @@ const bulkUpdateTasks = async (req, res) => {
   }
 };
 
+/**
+ * Get the tasks a report covers: all the user can read, optionally narrowed
+ * to one project. Returns null for a project the user cannot read.
+ */
+const getReportScope = (req) => {
+  if (!req.query.projectId) {
+    return req.taskAccess.read;
+  }
+
+  const projectId = req.taskAccess.readableProjectIds
+    .find(id => id.toString() === req.query.projectId);
+
+  return projectId ? { ...req.taskAccess.read, projectId } : null;
+};
+
 /**
  * Get task statistics
  */
 const getTaskStats = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const scope = getReportScope(req);
+    if (!scope) {
+      return notFoundResponse(res, 'Project');
+    }
 
     const stats = await Task.aggregate([
-      { $match: { userId, isArchived: false } },
+      { $match: { ...scope, isArchived: false } },
       {
         $group: {
           _id: null,
           totalTasks: { $sum: 1 },
+          // Counted by status category, so they hold for any workflow
           pendingTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$statusCategory', 'todo'] }, 1, 0] }
           },
           inProgressTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$statusCategory', 'doing'] }, 1, 0] }
           },
           completedTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] }
+          },
+          totalSubtasks: {
+            $sum: { $size: { $ifNull: ['$subtasks', []] } }
+          },
+          completedSubtasks: {
+            $sum: {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ['$subtasks', []] },
+                  as: 'subtask',
+                  cond: { $eq: ['$$subtask.status', 'completed'] }
+                }
+              }
+            }
           },
           overdueTasks: {
             $sum: {
@@ -300,7 +614,7 @@ const getTaskStats = async (req, res) => {
                 {
                   $and: [
                     { $lt: ['$dueDate', new Date()] },
-                    { $ne: ['$status', 'completed'] },
+                    { $ne: ['$statusCategory', 'done'] },
                     { $ne: ['$dueDate', null] }
                   ]
                 },
@@ -315,7 +629,7 @@ const getTaskStats = async (req, res) => {
 
     // Priority breakdown
     const priorityStats = await Task.aggregate([
-      { $match: { userId, isArchived: false } },
+      { $match: { ...scope, isArchived: false } },
       {
         $group: {
           _id: '$priority',
@@ -324,22 +638,43 @@ const getTaskStats = async (req, res) => {
       }
     ]);
 
+    // Status breakdown, by workflow status key
+    const statusStats = await Task.aggregate([
+      { $match: { ...scope, isArchived: false } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
     // Tasks completed this week
     const weekAgo = new Date();
     weekAgo.setDate(weekAgo.getDate() - 7);
 
     const recentlyCompleted = await Task.countDocuments({
-      userId,
-      status: 'completed',
+      ...scope,
+      statusCategory: 'done',
       completedAt: { $gte: weekAgo }
     });
 
+    const totalSubtasks = stats[0]?.totalSubtasks || 0;
+    const completedSubtasks = stats[0]?.completedSubtasks || 0;
+
     const result = {
       ...stats[0],
+      subtaskCompletionRate: totalSubtasks > 0
+        ? Math.round((completedSubtasks / totalSubtasks) * 100)
+        : 0,
       priorityBreakdown: priorityStats.reduce((acc, item) => {
         acc[item._id] = item.count;
         return acc;
       }, {}),
+      statusBreakdown: statusStats.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {}),
       recentlyCompleted
     };
 
@@ -354,19 +689,126 @@ const getTaskStats = async (req, res) => {
   }
 };
 
+/**
+ * Get estimation accuracy, throughput, cycle and lead time, and a trend series
+ * for the tasks completed in a range (by default the last 12 intervals)
+ */
+const getTaskAnalytics = async (req, res) => {
+  try {
+    const scope = getReportScope(req);
+    if (!scope) {
+      return notFoundResponse(res, 'Project');
+    }
+
+    const { interval } = req.query;
+    const to = req.query.to || new Date();
+    let from = req.query.from;
+    if (!from) {
+      from = new Date(to);
+      if (interval === 'month') {
+        from.setUTCMonth(from.getUTCMonth() - ANALYTICS_DEFAULT_PERIODS);
+      } else {
+        from.setUTCDate(from.getUTCDate() - ANALYTICS_DEFAULT_PERIODS * (interval === 'week' ? 7 : 1));
+      }
+    }
+
+    if (listPeriods(from, to, interval).length > MAX_TREND_PERIODS) {
+      return errorResponse(res, `The range spans more than ${MAX_TREND_PERIODS} ${interval}s; use a longer interval`, 400);
+    }
+
+    const analytics = await analyzeTasks(scope, { from, to, interval });
+
+    successResponse(res, { from, to, ...analytics }, 'Task analytics retrieved successfully');
+
+  } catch (error) {
+    console.error('Get task analytics error:', error);
+    errorResponse(res, 'Failed to retrieve task analytics', 500);
+  }
+};
+
+/**
+ * Get the range and task filter of a flow report: the report scope, optionally
+ * narrowed to a tag, over the given days (by default the last two weeks).
+ * Returns an error message for ranges that are too long.
+ */
+const getFlowReportOptions = (req, scope) => {
+  const to = req.query.to || new Date();
+  const from = req.query.from || new Date(to.getTime() - FLOW_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (listPeriods(from, to, 'day').length > MAX_FLOW_DAYS) {
+    return { error: `The range spans more than ${MAX_FLOW_DAYS} days` };
+  }
+
+  return {
+    filter: req.query.tag ? { ...scope, tags: req.query.tag } : scope,
+    range: { from, to, projectId: req.query.projectId }
+  };
+};
+
+/**
+ * Get a cumulative flow diagram: tasks per status on each day of a range,
+ * reconstructed from the status history
+ */
+const getCumulativeFlow = async (req, res) => {
+  try {
+    const scope = getReportScope(req);
+    if (!scope) {
+      return notFoundResponse(res, 'Project');
+    }
+
+    const { error, filter, range } = getFlowReportOptions(req, scope);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const flow = await buildCumulativeFlow(filter, range);
+
+    successResponse(res, { from: range.from, to: range.to, ...flow }, 'Cumulative flow retrieved successfully');
+
+  } catch (error) {
+    console.error('Get cumulative flow error:', error);
+    errorResponse(res, 'Failed to retrieve cumulative flow', 500);
+  }
+};
+
+/**
+ * Get burndown and burnup series: scope, completed and remaining work on each
+ * day of a range, reconstructed from the status history
+ */
+const getBurndown = async (req, res) => {
+  try {
+    const scope = getReportScope(req);
+    if (!scope) {
+      return notFoundResponse(res, 'Project');
+    }
+
+    const { error, filter, range } = getFlowReportOptions(req, scope);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const days = await buildBurndown(filter, range);
+
+    successResponse(res, { from: range.from, to: range.to, days }, 'Burndown retrieved successfully');
+
+  } catch (error) {
+    console.error('Get burndown error:', error);
+    errorResponse(res, 'Failed to retrieve burndown', 500);
+  }
+};
+
 /**
  * Get tasks due soon (next 3 days)
  */
 const getTasksDueSoon = async (req, res) => {
   try {
-    const userId = req.user._id;
     const threeDaysFromNow = new Date();
     threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
 
     const tasks = await Task.find({
-      userId,
+      ...req.taskAccess.read,
       isArchived: false,
-      status: { $ne: 'completed' },
+      statusCategory: { $ne: 'done' },
       dueDate: {
         $gte: new Date(),
         $lte: threeDaysFromNow
@@ -383,55 +825,237 @@ const getTasksDueSoon = async (req, res) => {
   }
 };
 
+/**
+ * Merge one offline update into the server version of a task. Non-conflicting
+ * fields are applied; conflicting ones are returned with both versions so the
+ * client can resolve them and resend against the returned syncVersion.
+ */
+const applySyncUpdate = async (req, change) => {
+  if (change.baseVersion === undefined || change.baseVersion === null) {
+    throw new Error('baseVersion is required for updates');
+  }
+
+  for (let attempt = 0; attempt < SYNC_MERGE_ATTEMPTS; attempt++) {
+    const before = await Task.findOne({ _id: change._id, ...req.taskAccess.write });
+    if (!before) {
+      throw new Error('Task not found');
+    }
+
+    const { updates, conflicts } = Task.mergeSyncChange(before, change);
+
+    if (updates.projectId !== undefined && !req.taskAccess.canWriteProject(updates.projectId)) {
+      throw new Error('Project editor access required');
+    }
+
+    if (updates.blockedBy) {
+      const dependencyErrors = await Task.validateDependencies(req.taskAccess.read, before._id, updates.blockedBy);
+      if (dependencyErrors.length > 0) {
+        throw new Error(dependencyErrors[0].message);
+      }
+    }
+
+    const fieldErrors = [
+      ...await Task.resolveStatusUpdate(before, updates),
+      ...await Task.resolveCustomFields(before, updates),
+      ...Task.resolveReminders(before, updates)
+    ];
+    if (fieldErrors.length > 0) {
+      throw new Error(fieldErrors[0].message);
+    }
+
+    if ((await findBlockersOfStatusChange(before, updates)).length > 0) {
+      throw new Error('Task is blocked by unfinished tasks');
+    }
+
+    let task = before;
+
+    if (Object.keys(updates).length > 0) {
+      // Only write if nobody changed the task since it was merged
+      task = await Task.findOneAndUpdate(
+        { _id: before._id, ...req.taskAccess.write, syncVersion: before.syncVersion },
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+
+      if (!task) {
+        continue;
+      }
+
+      await recordActivity([{ taskId: task._id, actorId: req.user._id, source: 'sync', before, after: task }]);
+      publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+
+      if (updates.statusCategory === 'done' && before.statusCategory !== 'done') {
+        const nextOccurrence = await task.createNextOccurrence();
+        if (nextOccurrence) {
+          publishTaskEvent('task.created', nextOccurrence, { actorId: req.user._id });
+        }
+      }
+    }
+
+    const result = {
+      type: conflicts.length > 0 ? 'conflict' : 'updated',
+      _id: task._id,
+      syncVersion: task.syncVersion,
+      applied: Object.keys(updates)
+    };
+
+    if (conflicts.length > 0) {
+      result.conflicts = conflicts;
+    }
+
+    return result;
+  }
+
+  throw new Error('Task was modified concurrently, please retry');
+};
+
+/**
+ * Apply one offline change and describe its outcome for syncResults
+ */
+const applySyncChange = async (req, change, taskId = null) => {
+  const userId = req.user._id;
+
+  if (change.type === 'create') {
+    if (!req.taskAccess.canWriteProject(change.data.projectId)) {
+      throw new Error('Project editor access required');
+    }
+
+    // Ownership, assignees, series and sync bookkeeping are not the client's to set;
+    // status timestamps follow from the status, ranks from board moves and
+    // logged time from time entries
+    const taskData = { ...Task.pickSyncFields(change.data), userId, createdBy: userId, ...(taskId && { _id: taskId }) };
+    const fieldErrors = [
+      ...await Task.validateDependencies(req.taskAccess.read, null, taskData.blockedBy),
+      ...await Task.resolveCustomFields(null, taskData)
+    ];
+    if (fieldErrors.length > 0) {
+      throw new Error(fieldErrors[0].message);
+    }
+
+    const task = new Task(taskData);
+    await task.validate();
+    if (task.statusCategory !== 'todo' && (await Task.findOpenBlockers(task.blockedBy)).length > 0) {
+      throw new Error('Task is blocked by unfinished tasks');
+    }
+    await task.save();
+    await recordActivity([{ taskId: task._id, actorId: userId, action: 'created', source: 'sync' }]);
+    publishTaskEvent('task.created', task, { actorId: userId });
+    return { type: 'created', _id: task._id, tempId: change.tempId, syncVersion: task.syncVersion };
+  }
+
+  if (change.type === 'update') {
+    return applySyncUpdate(req, change);
+  }
+
+  const deleted = await Task.findOneAndDelete({ _id: change._id, ...req.taskAccess.write });
+  if (deleted) {
+    await recordActivity([{ taskId: deleted._id, actorId: userId, action: 'deleted', source: 'sync' }]);
+    publishTaskEvent('task.deleted', deleted, { actorId: userId });
+  }
+  return { type: 'deleted', _id: change._id };
+};
+
+/**
+ * Apply an offline change at most once per idempotency key. A replayed change
+ * gets the original result, so a replayed create returns the original _id.
+ */
+const applySyncChangeOnce = async (req, change) => {
+  if (!change.idempotencyKey) {
+    return applySyncChange(req, change);
+  }
+
+  const taskId = change.type === 'create' ? null : change._id;
+  const { receipt, claimed } = await SyncReceipt.claim(req.user._id, change.idempotencyKey, taskId);
+
+  if (!claimed) {
+    if (!receipt || receipt.status !== 'applied') {
+      throw new Error('Change with this idempotency key is still being applied');
+    }
+    return { ...receipt.result, replayed: true };
+  }
+
+  try {
+    const result = await applySyncChange(req, change, receipt.taskId);
+    await receipt.complete(result);
+    return result;
+  } catch (error) {
+    // Release the key so the client can retry the change
+    await receipt.deleteOne();
+    throw error;
+  }
+};
+
 /**
  * Sync tasks (for offline functionality)
  */
 const syncTasks = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { lastSyncTime, localChanges } = req.body;
+    const { cursor, lastSyncTime, localChanges } = req.body;
+    const limit = Math.min(parseInt(req.body.limit) || SYNC_PAGE_SIZE, SYNC_MAX_PAGE_SIZE);
+    const startedAt = new Date();
 
-    // Get server changes since last sync
-    const serverChanges = await Task.find({
-      userId,
-      lastModified: { $gt: new Date(lastSyncTime) }
-    }).populate('userId', 'name email');
+    // Resume from the client's cursor; lastSyncTime is still accepted from older clients
+    const position = cursor ? decodeCursor(cursor) : initialCursor(lastSyncTime);
+    if (!position) {
+      return errorResponse(res, 'Invalid sync cursor', 400);
+    }
+
+    // Deletions older than the retention window are forgotten, so clients that
+    // have been offline longer must discard their copy and resync from scratch
+    const fullResyncRequired = Boolean(cursor || lastSyncTime) &&
+      Tombstone.isBeyondRetention(position.deletions.t);
 
-    // Apply local changes to server (simple implementation)
+    // Get one page of server changes, including tasks deleted since the cursor
+    const [changedTasks, deletions] = await Promise.all([
+      Task.getChangesAfter(req.taskAccess.read, position.tasks, limit + 1)
+        .populate('userId', 'name email'),
+      Tombstone.getDeletionsAfter(req.user._id, req.taskAccess.read, position.deletions, limit + 1)
+    ]);
+
+    const hasMore = changedTasks.length > limit || deletions.length > limit;
+    const taskPage = changedTasks.slice(0, limit);
+    const deletionPage = deletions.slice(0, limit);
+
+    const lastTask = taskPage[taskPage.length - 1];
+    const lastDeletion = deletionPage[deletionPage.length - 1];
+    const nextCursor = encodeCursor({
+      tasks: lastTask ? { t: lastTask.lastModified, id: lastTask._id } : position.tasks,
+      // Once every deletion has been read, the cursor is current as of this sync
+      deletions: deletions.length > limit
+        ? { t: lastDeletion.deletedAt, id: lastDeletion._id }
+        : { t: startedAt, id: null }
+    });
+
+    const serverChanges = [
+      ...taskPage,
+      ...deletionPage.map(tombstone => ({
+        _id: tombstone.taskId,
+        isDeleted: true,
+        deletedAt: tombstone.deletedAt
+      }))
+    ];
+
+    // Apply local changes to server in order
     const syncResults = [];
     
-    if (localChanges && Array.isArray(localChanges)) {
-      for (const change of localChanges) {
-        try {
-          if (change.type === 'create') {
-            const task = new Task({ ...change.data, userId });
-            await task.save();
-            syncResults.push({ type: 'created', _id: task._id, tempId: change.tempId });
-          } else if (change.type === 'update') {
-            await Task.findOneAndUpdate(
-              { _id: change._id, userId },
-              change.data,
-              { runValidators: true }
-            );
-            syncResults.push({ type: 'updated', _id: change._id });
-          } else if (change.type === 'delete') {
-            await Task.findOneAndDelete({ _id: change._id, userId });
-            syncResults.push({ type: 'deleted', _id: change._id });
-          }
-        } catch (error) {
-          syncResults.push({ 
-            type: 'error', 
-            _id: change._id || change.tempId, 
-            error: error.message 
-          });
-        }
+    for (const change of localChanges || []) {
+      try {
+        syncResults.push(await applySyncChangeOnce(req, change));
+      } catch (error) {
+        syncResults.push({ 
+          type: 'error', 
+          _id: change._id || change.tempId, 
+          error: error.message 
+        });
       }
     }
 
     successResponse(res, {
       serverChanges,
       syncResults,
-      lastSyncTime: new Date().toISOString()
+      cursor: nextCursor,
+      hasMore,
+      fullResyncRequired
     }, 'Tasks synced successfully');
 
   } catch (error) {
@@ -440,15 +1064,342 @@ const syncTasks = async (req, res) => {
   }
 };
 
+/**
+ * Get the upstream and downstream dependency chains of a task
+ */
+const getTaskDependencies = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const graph = await Task.getDependencyGraph(taskId, req.taskAccess.read);
+    if (!graph) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    successResponse(res, graph, 'Task dependencies retrieved successfully');
+
+  } catch (error) {
+    console.error('Get task dependencies error:', error);
+
+    if (error.name === 'CastError' || error.name === 'BSONError') {
+      return errorResponse(res, 'Invalid task ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to retrieve task dependencies', 500);
+  }
+};
+
+/**
+ * Get the activity log of a task, newest first
+ */
+const getTaskActivity = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const [activities, total] = await Promise.all([
+      Activity.find({ taskId })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actorId', 'name email'),
+      Activity.countDocuments({ taskId })
+    ]);
+
+    paginatedResponse(res, activities, {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total
+    }, 'Task activity retrieved successfully');
+
+  } catch (error) {
+    console.error('Get task activity error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to retrieve task activity', 500);
+  }
+};
+
+/**
+ * Add a subtask to a task
+ */
+const addSubtask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const before = task.toObject({ virtuals: false });
+    await task.addSubtask(req.body.title);
+
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before, after: task }]);
+    publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+
+    successResponse(res, task, 'Subtask added successfully', 201);
+
+  } catch (error) {
+    console.error('Add subtask error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return errorResponse(res, 'Validation failed', 400, errors);
+    }
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to add subtask', 500);
+  }
+};
+
+/**
+ * Reorder the subtasks of a task
+ */
+const reorderSubtasks = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { subtaskIds } = req.body;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    if (!task.isSubtaskOrder(subtaskIds)) {
+      return errorResponse(res, 'Subtask IDs must list every subtask exactly once', 400);
+    }
+
+    const before = task.toObject({ virtuals: false });
+    await task.reorderSubtasks(subtaskIds);
+
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before, after: task }]);
+    publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+
+    successResponse(res, task, 'Subtasks reordered successfully');
+
+  } catch (error) {
+    console.error('Reorder subtasks error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to reorder subtasks', 500);
+  }
+};
+
+/**
+ * Toggle a subtask between pending and completed
+ */
+const toggleSubtask = async (req, res) => {
+  try {
+    const { taskId, subtaskId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    if (!task.subtasks.id(subtaskId)) {
+      return notFoundResponse(res, 'Subtask');
+    }
+
+    const before = task.toObject({ virtuals: false });
+    await task.toggleSubtask(subtaskId);
+
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before, after: task }]);
+    publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+
+    successResponse(res, task, 'Subtask updated successfully');
+
+  } catch (error) {
+    console.error('Toggle subtask error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to update subtask', 500);
+  }
+};
+
+/**
+ * Remove a subtask from a task
+ */
+const removeSubtask = async (req, res) => {
+  try {
+    const { taskId, subtaskId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    if (!task.subtasks.id(subtaskId)) {
+      return notFoundResponse(res, 'Subtask');
+    }
+
+    const before = task.toObject({ virtuals: false });
+    await task.removeSubtask(subtaskId);
+
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before, after: task }]);
+    publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+
+    successResponse(res, task, 'Subtask removed successfully');
+
+  } catch (error) {
+    console.error('Remove subtask error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to remove subtask', 500);
+  }
+};
+
+/**
+ * Get the subset of user IDs that may be assigned to a task: any user for a
+ * personal task, project members for a project task
+ */
+const findAssignableUserIds = async (task, userIds) => {
+  if (task.projectId) {
+    const project = await Project.findById(task.projectId).select('members');
+    return userIds.filter(userId => project && project.getMemberRole(userId));
+  }
+
+  const users = await User.find({ _id: { $in: userIds } }).select('_id');
+  return users.map(user => user._id.toString());
+};
+
+/**
+ * Assign users to a task
+ */
+const assignTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { userIds } = req.body;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const assignable = await findAssignableUserIds(task, userIds);
+    const invalid = userIds.filter(userId => !assignable.includes(userId));
+    if (invalid.length > 0) {
+      return errorResponse(res, 'Validation failed', 400, invalid.map(userId => ({
+        field: 'userIds',
+        message: task.projectId
+          ? `User ${userId} is not a member of the task's project`
+          : `User ${userId} not found`
+      })));
+    }
+
+    const before = task.toObject({ virtuals: false });
+    const added = task.assign(userIds);
+    if (added.length > 0) {
+      await task.save();
+      const [activity] = await recordActivity([{ taskId: task._id, actorId: req.user._id, before, after: task }]);
+      if (added.some(userId => userId !== req.user._id.toString())) {
+        notifyTaskAssigned(req, activity);
+      }
+    }
+
+    await task.populate('assignees', 'name email');
+
+    if (added.length > 0) {
+      publishTaskEvent('task.updated', task, { previous: before, actorId: req.user._id });
+    }
+
+    successResponse(res, task, 'Task assigned successfully');
+
+  } catch (error) {
+    console.error('Assign task error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to assign task', 500);
+  }
+};
+
+/**
+ * Remove a user from the assignees of a task
+ */
+const unassignTask = async (req, res) => {
+  try {
+    const { taskId, userId } = req.params;
+
+    const task = await Task.findOne({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const previous = task.toObject({ virtuals: false });
+    if (!task.unassign(userId)) {
+      return notFoundResponse(res, 'Assignee');
+    }
+
+    await task.save();
+    await recordActivity([{ taskId: task._id, actorId: req.user._id, before: previous, after: task }]);
+    await task.populate('assignees', 'name email');
+
+    publishTaskEvent('task.updated', task, { previous, actorId: req.user._id });
+
+    successResponse(res, task, 'User unassigned successfully');
+
+  } catch (error) {
+    console.error('Unassign task error:', error);
+
+    if (error.name === 'CastError') {
+      return errorResponse(res, 'Invalid task ID format', 400);
+    }
+
+    errorResponse(res, 'Failed to unassign user', 500);
+  }
+};
+
 module.exports = {
   createTask,
   getTasks,
+  searchTasks,
   getTaskById,
   updateTask,
   deleteTask,
   archiveTask,
   bulkUpdateTasks,
   getTaskStats,
+  getTaskAnalytics,
+  getCumulativeFlow,
+  getBurndown,
   getTasksDueSoon,
-  syncTasks
+  syncTasks,
+  getTaskDependencies,
+  getTaskActivity,
+  addSubtask,
+  reorderSubtasks,
+  toggleSubtask,
+  removeSubtask,
+  assignTask,
+  unassignTask
 };
\ No newline at end of file
@@ -0,0 +1,296 @@
+const {
+  TimeEntry,
+  Task,
+  successResponse,
+  errorResponse,
+  paginatedResponse,
+  notFoundResponse,
+  forbiddenResponse
+} = require('@tasktrackr/common');
+
+// Timesheets without a period cover the last week
+const DEFAULT_TIMESHEET_DAYS = 7;
+
+/**
+ * Refuse to start a timer while the user has one running
+ */
+const runningTimerResponse = (res, running) => {
+  return errorResponse(res, 'You already have a running timer; stop it first', 409, [{
+    entryId: running._id,
+    taskId: running.taskId,
+    startedAt: running.startedAt
+  }]);
+};
+
+/**
+ * Map time entry errors to responses shared by every handler
+ */
+const handleTimeEntryError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return errorResponse(res, 'Validation failed', 400, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return errorResponse(res, 'Invalid task or time entry ID format', 400);
+  }
+
+  return errorResponse(res, message, 500);
+};
+
+/**
+ * Get the time entries of a task, latest first
+ */
+const getTimeEntries = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const skip = (page - 1) * limit;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const [entries, total] = await Promise.all([
+      TimeEntry.find({ taskId })
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'name email'),
+      TimeEntry.countDocuments({ taskId })
+    ]);
+
+    paginatedResponse(res, entries, {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total
+    }, 'Time entries retrieved successfully');
+
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    handleTimeEntryError(res, error, 'Failed to retrieve time entries');
+  }
+};
+
+/**
+ * Log time on a task after the fact; anyone who can edit the task can log time
+ */
+const createTimeEntry = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { startedAt, endedAt, duration, note } = req.body;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const entry = new TimeEntry({
+      taskId,
+      userId: req.user._id,
+      startedAt,
+      endedAt: endedAt || new Date(startedAt.getTime() + duration * 60000),
+      note
+    });
+    await entry.save();
+    await TimeEntry.updateTaskDuration(taskId);
+
+    successResponse(res, entry, 'Time entry created successfully', 201);
+
+  } catch (error) {
+    console.error('Create time entry error:', error);
+    handleTimeEntryError(res, error, 'Failed to create time entry');
+  }
+};
+
+/**
+ * Correct a time entry; only the user who logged it can change it, while they
+ * can still edit the task. A duration sets the end relative to the start.
+ */
+const updateTimeEntry = async (req, res) => {
+  try {
+    const { taskId, entryId } = req.params;
+    const { duration, ...changes } = req.body;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, taskId });
+    if (!entry) {
+      return notFoundResponse(res, 'Time entry');
+    }
+
+    if (entry.userId.toString() !== req.user._id.toString()) {
+      return forbiddenResponse(res, 'Only the user who logged this time can change it');
+    }
+
+    entry.set(changes);
+    if (duration !== undefined) {
+      entry.endedAt = new Date(entry.startedAt.getTime() + duration * 60000);
+    }
+    await entry.save();
+    await TimeEntry.updateTaskDuration(taskId);
+
+    successResponse(res, entry, 'Time entry updated successfully');
+
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    handleTimeEntryError(res, error, 'Failed to update time entry');
+  }
+};
+
+/**
+ * Delete a time entry; the user who logged it or anyone who can edit the task can delete it
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const { taskId, entryId } = req.params;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.read });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, taskId });
+    if (!entry) {
+      return notFoundResponse(res, 'Time entry');
+    }
+
+    const isOwner = entry.userId.toString() === req.user._id.toString();
+    if (!isOwner && !(await Task.exists({ _id: taskId, ...req.taskAccess.write }))) {
+      return forbiddenResponse(res, 'Only the user who logged this time or a task editor can delete it');
+    }
+
+    await entry.deleteOne();
+    await TimeEntry.updateTaskDuration(taskId);
+
+    successResponse(res, null, 'Time entry deleted successfully');
+
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    handleTimeEntryError(res, error, 'Failed to delete time entry');
+  }
+};
+
+/**
+ * Start a timer on a task. A user runs one timer at a time; the unique index
+ * on running entries settles concurrent starts.
+ */
+const startTimer = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.exists({ _id: taskId, ...req.taskAccess.write });
+    if (!task) {
+      return notFoundResponse(res, 'Task');
+    }
+
+    const running = await TimeEntry.findOne({ userId: req.user._id, isRunning: true });
+    if (running) {
+      return runningTimerResponse(res, running);
+    }
+
+    const entry = new TimeEntry({
+      taskId,
+      userId: req.user._id,
+      startedAt: new Date(),
+      note: req.body.note
+    });
+
+    try {
+      await entry.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        const winner = await TimeEntry.findOne({ userId: req.user._id, isRunning: true });
+        return runningTimerResponse(res, winner || entry);
+      }
+      throw error;
+    }
+
+    successResponse(res, entry, 'Timer started successfully', 201);
+
+  } catch (error) {
+    console.error('Start timer error:', error);
+    handleTimeEntryError(res, error, 'Failed to start timer');
+  }
+};
+
+/**
+ * Stop the authenticated user's running timer on a task
+ */
+const stopTimer = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const entry = await TimeEntry.findOne({ taskId, userId: req.user._id, isRunning: true });
+    if (!entry) {
+      return notFoundResponse(res, 'Running timer');
+    }
+
+    // Timers stopped within their first second still end after they start
+    await entry.stop(new Date(Math.max(Date.now(), entry.startedAt.getTime() + 1000)));
+    await TimeEntry.updateTaskDuration(taskId);
+
+    successResponse(res, entry, 'Timer stopped successfully');
+
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    handleTimeEntryError(res, error, 'Failed to stop timer');
+  }
+};
+
+/**
+ * Get the authenticated user's running timer, if any
+ */
+const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ userId: req.user._id, isRunning: true })
+      .populate('taskId', 'title status projectId');
+
+    successResponse(res, entry, entry ? 'Running timer retrieved successfully' : 'No timer is running');
+
+  } catch (error) {
+    console.error('Get running timer error:', error);
+    handleTimeEntryError(res, error, 'Failed to retrieve running timer');
+  }
+};
+
+/**
+ * Get the authenticated user's logged time in a period, grouped by day, week,
+ * tag or category
+ */
+const getTimesheet = async (req, res) => {
+  try {
+    const { groupBy, projectId } = req.query;
+    const timezone = req.query.timezone || req.user.preferences?.timezone || 'UTC';
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - DEFAULT_TIMESHEET_DAYS * 24 * 60 * 60 * 1000);
+
+    const timesheet = await TimeEntry.getTimesheet(req.user._id, { from, to, groupBy, timezone, projectId });
+
+    successResponse(res, { from, to, groupBy, timezone, ...timesheet }, 'Timesheet retrieved successfully');
+
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    handleTimeEntryError(res, error, 'Failed to retrieve timesheet');
+  }
+};
+
+module.exports = {
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  startTimer,
+  stopTimer,
+  getRunningTimer,
+  getTimesheet
+};
\ No newline at end of file
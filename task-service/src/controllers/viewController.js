@@ -0,0 +1,186 @@
+const {
+  SavedView,
+  CustomField,
+  parseTaskQuery,
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  validationErrorResponse
+} = require('@tasktrackr/common');
+
+/**
+ * Check that a view's task query parses, so broken views are rejected when
+ * saved rather than when applied
+ */
+const validateViewQuery = async (req, filters) => {
+  if (!filters || !filters.q) {
+    return [];
+  }
+  const customFields = await CustomField.find(
+    CustomField.accessFilter(req.user._id, req.taskAccess.readableProjectIds)
+  ).select('key type');
+  return parseTaskQuery(filters.q, { userId: req.user._id, customFields }).errors
+    .map(error => ({ ...error, field: 'filters.q' }));
+};
+
+/**
+ * Find a view the authenticated user can see
+ */
+const findReadableView = (req, viewId) => {
+  return SavedView.findOne({
+    _id: viewId,
+    ...SavedView.accessFilter(req.user._id, req.taskAccess.readableProjectIds)
+  });
+};
+
+/**
+ * Map view errors to responses shared by every handler
+ */
+const handleViewError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return errorResponse(res, 'Validation failed', 400, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return errorResponse(res, 'Invalid view ID format', 400);
+  }
+
+  errorResponse(res, message, 500);
+};
+
+/**
+ * Get the personal views of the authenticated user and the views of their projects
+ */
+const getViews = async (req, res) => {
+  try {
+    const filter = SavedView.accessFilter(req.user._id, req.taskAccess.readableProjectIds);
+
+    if (req.query.projectId) {
+      filter.projectId = req.query.projectId;
+    }
+
+    const views = await SavedView.find(filter).sort({ name: 1 });
+
+    successResponse(res, views, 'Views retrieved successfully');
+
+  } catch (error) {
+    console.error('Get views error:', error);
+    handleViewError(res, error, 'Failed to retrieve views');
+  }
+};
+
+/**
+ * Get view by ID
+ */
+const getViewById = async (req, res) => {
+  try {
+    const view = await findReadableView(req, req.params.viewId);
+    if (!view) {
+      return notFoundResponse(res, 'View');
+    }
+
+    successResponse(res, view, 'View retrieved successfully');
+
+  } catch (error) {
+    console.error('Get view by ID error:', error);
+    handleViewError(res, error, 'Failed to retrieve view');
+  }
+};
+
+/**
+ * Create a view; project views require project editor access
+ */
+const createView = async (req, res) => {
+  try {
+    const { projectId, filters } = req.body;
+
+    if (projectId && !req.taskAccess.canWriteProject(projectId)) {
+      return forbiddenResponse(res, 'Project editor access required');
+    }
+
+    const queryErrors = await validateViewQuery(req, filters);
+    if (queryErrors.length > 0) {
+      return validationErrorResponse(res, queryErrors);
+    }
+
+    const view = new SavedView({
+      ...req.body,
+      userId: req.user._id
+    });
+    await view.save();
+
+    successResponse(res, view, 'View created successfully', 201);
+
+  } catch (error) {
+    console.error('Create view error:', error);
+    handleViewError(res, error, 'Failed to create view');
+  }
+};
+
+/**
+ * Update a view; its creator or, for project views, project editors may change it
+ */
+const updateView = async (req, res) => {
+  try {
+    const view = await findReadableView(req, req.params.viewId);
+    if (!view) {
+      return notFoundResponse(res, 'View');
+    }
+
+    if (!view.canEdit(req.user._id, req.taskAccess.writableProjectIds)) {
+      return forbiddenResponse(res, 'Only the view creator or project editors can change this view');
+    }
+
+    const queryErrors = await validateViewQuery(req, req.body.filters);
+    if (queryErrors.length > 0) {
+      return validationErrorResponse(res, queryErrors);
+    }
+
+    // Filters and sort are replaced as a whole, not merged
+    view.set(req.body);
+    await view.save();
+
+    successResponse(res, view, 'View updated successfully');
+
+  } catch (error) {
+    console.error('Update view error:', error);
+    handleViewError(res, error, 'Failed to update view');
+  }
+};
+
+/**
+ * Delete a view
+ */
+const deleteView = async (req, res) => {
+  try {
+    const view = await findReadableView(req, req.params.viewId);
+    if (!view) {
+      return notFoundResponse(res, 'View');
+    }
+
+    if (!view.canEdit(req.user._id, req.taskAccess.writableProjectIds)) {
+      return forbiddenResponse(res, 'Only the view creator or project editors can delete this view');
+    }
+
+    await view.deleteOne();
+
+    successResponse(res, null, 'View deleted successfully');
+
+  } catch (error) {
+    console.error('Delete view error:', error);
+    handleViewError(res, error, 'Failed to delete view');
+  }
+};
+
+module.exports = {
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Accept the JWT as an access_token query parameter for clients that cannot
+ * set headers, such as the browser EventSource. The token is moved into the
+ * Authorization header so authMiddleware verifies it as usual, and redacted
+ * from the URL so it does not end up in request logs.
+ */
+const tokenFromQuery = (req, res, next) => {
+  const token = req.query.access_token;
+
+  if (typeof token === 'string' && token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  if (token !== undefined) {
+    delete req.query.access_token;
+    req.originalUrl = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[REDACTED]');
+  }
+
+  next();
+};
+
+module.exports = {
+  tokenFromQuery
+};
\ No newline at end of file
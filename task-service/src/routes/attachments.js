@@ -1,5 +1,5 @@
 const express = require('express');
-const { authMiddleware } = require('@tasktrackr/common');
+const { authMiddleware, taskAccessMiddleware } = require('@tasktrackr/common');
 const upload = require('../middleware/upload');
 
 const {
@@ -12,8 +12,9 @@ const {
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
+// Apply authentication and task access middleware to all routes
 router.use(authMiddleware);
+router.use(taskAccessMiddleware);
 
 /**
  * @swagger
@@ -62,7 +63,7 @@ router.use(authMiddleware);
  *       500:
  *         description: Server error
  */
-router.post('/:taskId', upload.single('file'), uploadAttachment);
+router.post('/:taskId', upload.single, uploadAttachment);
 
 /**
  * @swagger
@@ -0,0 +1,306 @@
+const express = require('express');
+const {
+  authMiddleware,
+  taskAccessMiddleware,
+  validate,
+  boardValidation
+} = require('@tasktrackr/common');
+
+const {
+  getBoards,
+  getBoardById,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  moveTask
+} = require('../controllers/boardController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BoardColumn:
+ *       type: object
+ *       required:
+ *         - name
+ *         - statuses
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *         statuses:
+ *           type: array
+ *           description: >
+ *             Workflow statuses of the tasks in the column; tasks moved into the
+ *             column take the first one their workflow allows. A status belongs
+ *             to at most one column.
+ *           items:
+ *             type: string
+ *         wipLimit:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Most tasks the column may hold; null for no limit
+ *     Board:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: Creator of the board
+ *         projectId:
+ *           type: string
+ *           description: Project whose tasks the board shows; null for the creator's personal tasks
+ *         columns:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BoardColumn'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Apply authentication and task access middleware to all routes
+router.use(authMiddleware);
+router.use(taskAccessMiddleware);
+
+/**
+ * @swagger
+ * /api/boards:
+ *   post:
+ *     summary: Create a kanban board
+ *     description: >
+ *       Boards without a projectId show the creator's personal tasks. Boards with
+ *       a projectId show the project's tasks, are shared with its members and
+ *       require project editor access to create. Columns default to To do,
+ *       In progress and Done, holding the workflow's todo, doing and done statuses.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               projectId:
+ *                 type: string
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoardColumn'
+ *     responses:
+ *       201:
+ *         description: Board created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Project editor access required
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(boardValidation.create), createBoard);
+
+/**
+ * @swagger
+ * /api/boards:
+ *   get:
+ *     summary: Get the user's personal boards and the boards of their projects
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only return the boards of this project
+ *     responses:
+ *       200:
+ *         description: Boards retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', getBoards);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}:
+ *   get:
+ *     summary: Get a board with its tasks
+ *     description: >
+ *       Each column lists its unarchived tasks in board order, with taskCount and
+ *       overWipLimit (true when the column holds more tasks than its WIP limit,
+ *       for example after the limit was lowered).
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Board retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Board not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:boardId', getBoardById);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}:
+ *   patch:
+ *     summary: Rename a board or replace its columns (its creator, or project editors)
+ *     description: Columns sent with their _id keep it; columns left out are removed.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoardColumn'
+ *     responses:
+ *       200:
+ *         description: Board updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to change this board
+ *       404:
+ *         description: Board not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:boardId', validate(boardValidation.update), updateBoard);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}:
+ *   delete:
+ *     summary: Delete a board (its creator, or project editors); tasks are kept
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Board deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete this board
+ *       404:
+ *         description: Board not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:boardId', deleteBoard);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/tasks/{taskId}/move:
+ *   post:
+ *     summary: Move a task to a column and position
+ *     description: >
+ *       Changes the task's status (to the first of the column's statuses the
+ *       workflow allows, when it is not already one of them) and its rank in a
+ *       single write. Moving a task into a column at its WIP limit is refused.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - columnId
+ *             properties:
+ *               columnId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index among the column's other tasks; defaults to the end
+ *     responses:
+ *       200:
+ *         description: Task moved successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Board, column or task not found
+ *       409:
+ *         description: >
+ *           Column is at its WIP limit or busy with another move, the workflow
+ *           does not allow the status change, the task is blocked, or the task
+ *           changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post('/:boardId/tasks/:taskId/move', validate(boardValidation.move), moveTask);
+
+module.exports = router;
\ No newline at end of file
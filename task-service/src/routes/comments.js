@@ -0,0 +1,271 @@
+const express = require('express');
+const { 
+  validate,
+  commentValidation
+} = require('@tasktrackr/common');
+
+const {
+  getComments,
+  getCommentById,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+
+// Mounted under /api/tasks/:taskId/comments by the task router, which
+// applies authentication and task access middleware
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         taskId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           description: Comment this one replies to
+ *         body:
+ *           type: string
+ *           description: Empty for deleted comments
+ *         mentions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         editHistory:
+ *           type: array
+ *           description: Previous versions, oldest first (only returned for a single comment)
+ *           items:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               editedAt:
+ *                 type: string
+ *                 format: date-time
+ *         isEdited:
+ *           type: boolean
+ *         isDeleted:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/comments:
+ *   get:
+ *     summary: Get the comments of a task, oldest first
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', getComments);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/comments:
+ *   post:
+ *     summary: Add a comment to a task
+ *     description: "@name mentions are resolved against the task's participants, who are notified by email."
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *               parentId:
+ *                 type: string
+ *                 description: Comment to reply to
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task or parent comment not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(commentValidation.create), createComment);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/comments/{commentId}:
+ *   get:
+ *     summary: Get a comment with its edit history
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task or comment not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:commentId', getCommentById);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment (author only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Task or comment not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:commentId', validate(commentValidation.update), updateComment);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/comments/{commentId}:
+ *   delete:
+ *     summary: Soft delete a comment (author or task editor)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete the comment
+ *       404:
+ *         description: Task or comment not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:commentId', deleteComment);
+
+module.exports = router;
\ No newline at end of file
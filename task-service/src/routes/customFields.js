@@ -0,0 +1,249 @@
+const express = require('express');
+const {
+  authMiddleware,
+  taskAccessMiddleware,
+  validate,
+  customFieldValidation
+} = require('@tasktrackr/common');
+
+const {
+  getCustomFields,
+  getCustomFieldById,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomField:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         key:
+ *           type: string
+ *           maxLength: 30
+ *           pattern: '^[a-z][a-z0-9_]*$'
+ *           description: Name of the value in task.customFields and in queries (cf.<key>)
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *         type:
+ *           type: string
+ *           enum: [text, number, date, select, multiselect, user, url]
+ *         options:
+ *           type: array
+ *           description: Allowed values of select and multiselect fields
+ *           items:
+ *             type: string
+ *             maxLength: 100
+ *         required:
+ *           type: boolean
+ *           description: Whether tasks the field applies to must have a value
+ *         userId:
+ *           type: string
+ *           description: Creator of the field
+ *         projectId:
+ *           type: string
+ *           description: Project whose tasks the field applies to; null for the creator's personal tasks
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Apply authentication and task access middleware to all routes
+router.use(authMiddleware);
+router.use(taskAccessMiddleware);
+
+/**
+ * @swagger
+ * /api/custom-fields:
+ *   post:
+ *     summary: Define a custom field
+ *     description: >
+ *       Fields without a projectId apply to the creator's personal tasks. Fields
+ *       with a projectId apply to the project's tasks and require project editor
+ *       access to create. Keys are unique among the fields of the same tasks.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - name
+ *               - type
+ *             properties:
+ *               key:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, select, multiselect, user, url]
+ *               options:
+ *                 type: array
+ *                 description: Required for select and multiselect fields
+ *                 items:
+ *                   type: string
+ *               required:
+ *                 type: boolean
+ *                 default: false
+ *               projectId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Custom field created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Project editor access required
+ *       409:
+ *         description: A field with this key already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(customFieldValidation.create), createCustomField);
+
+/**
+ * @swagger
+ * /api/custom-fields:
+ *   get:
+ *     summary: Get the user's personal custom fields and the fields of their projects
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only return the fields of this project
+ *     responses:
+ *       200:
+ *         description: Custom fields retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', getCustomFields);
+
+/**
+ * @swagger
+ * /api/custom-fields/{fieldId}:
+ *   get:
+ *     summary: Get a custom field
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom field retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Custom field not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:fieldId', getCustomFieldById);
+
+/**
+ * @swagger
+ * /api/custom-fields/{fieldId}:
+ *   patch:
+ *     summary: Change a custom field (its creator, or project editors)
+ *     description: >
+ *       The key and type are fixed. Task values of options removed from a
+ *       select or multiselect field are cleared. Making a field required only
+ *       applies to later task changes.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Custom field updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to change this field
+ *       404:
+ *         description: Custom field not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:fieldId', validate(customFieldValidation.update), updateCustomField);
+
+/**
+ * @swagger
+ * /api/custom-fields/{fieldId}:
+ *   delete:
+ *     summary: Delete a custom field and its task values (its creator, or project editors)
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom field deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete this field
+ *       404:
+ *         description: Custom field not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:fieldId', deleteCustomField);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+const express = require('express');
+const { authMiddleware } = require('@tasktrackr/common');
+
+const { tokenFromQuery } = require('../middleware/queryToken');
+const { streamTaskEvents } = require('../controllers/eventController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/events/tasks:
+ *   get:
+ *     summary: Stream task changes as Server-Sent Events
+ *     description: |
+ *       Keeps the connection open and pushes an event whenever a task the user
+ *       can access is created, updated, archived, unarchived or deleted.
+ *       Events about tasks the user cannot access are never sent.
+ *
+ *       Authenticate with the Authorization header, or with the access_token
+ *       query parameter for clients such as the browser EventSource that
+ *       cannot set headers. Both take the same JWT.
+ *
+ *       Event types:
+ *       - `ready`: the stream is open; call /api/tasks/sync to catch up on
+ *         changes missed while disconnected
+ *       - `task.created`, `task.updated`, `task.archived`, `task.unarchived`:
+ *         data is `{ task, actorId, occurredAt }`
+ *       - `task.deleted`: data is `{ _id, isDeleted, deletedAt, actorId, occurredAt }`
+ *       - `task.removed`: the task still exists but is no longer accessible;
+ *         data is `{ _id, actorId, occurredAt }`
+ *       - `session.expired`: the token expired and the stream closes;
+ *         reconnect with a fresh token
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, for clients that cannot send the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many open event streams for this user
+ */
+router.get('/tasks', tokenFromQuery, authMiddleware, streamTaskEvents);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,467 @@
+const express = require('express');
+const { 
+  authMiddleware, 
+  requireProjectRole,
+  validate,
+  projectValidation
+} = require('@tasktrackr/common');
+
+const {
+  createProject,
+  getProjects,
+  getProjectById,
+  updateProject,
+  deleteProject,
+  getWorkflow,
+  updateWorkflow,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/projectController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Workflow:
+ *       type: object
+ *       description: >
+ *         Statuses tasks in the project can have. Each maps to a category: todo
+ *         (new tasks start in the first one), doing, or done (sets completedAt;
+ *         done tasks are never overdue). Personal tasks use the default workflow:
+ *         pending (todo), in-progress (doing), completed and cancelled (done).
+ *       required:
+ *         - statuses
+ *       properties:
+ *         statuses:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - key
+ *               - name
+ *               - category
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 maxLength: 30
+ *                 pattern: '^[a-z0-9]+(-[a-z0-9]+)*$'
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               category:
+ *                 type: string
+ *                 enum: [todo, doing, done]
+ *         transitions:
+ *           type: array
+ *           description: Allowed status changes; when empty, any change is allowed
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *     Project:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ *         workflow:
+ *           $ref: '#/components/schemas/Workflow'
+ *         isArchived:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * /api/projects:
+ *   post:
+ *     summary: Create a new project owned by the authenticated user
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               workflow:
+ *                 $ref: '#/components/schemas/Workflow'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(projectValidation.create), createProject);
+
+/**
+ * @swagger
+ * /api/projects:
+ *   get:
+ *     summary: Get all projects the authenticated user is a member of
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', getProjects);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}:
+ *   get:
+ *     summary: Get project by ID (any member)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Project retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId', requireProjectRole('viewer'), getProjectById);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}:
+ *   patch:
+ *     summary: Update project details (editor or owner)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isArchived:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient project role
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId', requireProjectRole('editor'), validate(projectValidation.update), updateProject);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}:
+ *   delete:
+ *     summary: Delete project (owner); its tasks return to their creators
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Project deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient project role
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId', requireProjectRole('owner'), deleteProject);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}/workflow:
+ *   get:
+ *     summary: Get the project's workflow
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workflow retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:projectId/workflow', requireProjectRole('viewer'), getWorkflow);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}/workflow:
+ *   put:
+ *     summary: Replace the project's workflow (owner)
+ *     description: >
+ *       Statuses still used by tasks cannot be removed. Tasks whose status moves
+ *       to another category follow it, and removed statuses are dropped from the
+ *       project's boards.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Workflow'
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient project role
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A removed status is still used by tasks
+ *       500:
+ *         description: Server error
+ */
+router.put('/:projectId/workflow', requireProjectRole('owner'), validate(projectValidation.workflow), updateWorkflow);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}/members:
+ *   post:
+ *     summary: Add a member to the project (owner)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient project role
+ *       404:
+ *         description: Project or user not found
+ *       409:
+ *         description: User is already a member
+ *       500:
+ *         description: Server error
+ */
+router.post('/:projectId/members', requireProjectRole('owner'), validate(projectValidation.addMember), addMember);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role (owner)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Project would have no owner
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient project role
+ *       404:
+ *         description: Project or member not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:projectId/members/:userId', requireProjectRole('owner'), validate(projectValidation.updateMember), updateMember);
+
+/**
+ * @swagger
+ * /api/projects/{projectId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member (owner), or leave the project (self)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Project would have no owner
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient project role
+ *       404:
+ *         description: Project or member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:projectId/members/:userId', requireProjectRole('viewer'), removeMember);
+
+module.exports = router;
\ No newline at end of file
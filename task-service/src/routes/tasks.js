@@ -1,23 +1,40 @@
 const express = require('express');
 const { 
   authMiddleware, 
+  taskAccessMiddleware,
   validateRequest, 
   validateQuery,
-  schemas 
+  validate,
+  schemas,
+  taskValidation
 } = require('@tasktrackr/common');
 
 const {
   createTask,
   getTasks,
+  searchTasks,
   getTaskById,
   updateTask,
   deleteTask,
   archiveTask,
   bulkUpdateTasks,
   getTaskStats,
+  getTaskAnalytics,
+  getCumulativeFlow,
+  getBurndown,
   getTasksDueSoon,
-  syncTasks
+  syncTasks,
+  getTaskDependencies,
+  getTaskActivity,
+  addSubtask,
+  reorderSubtasks,
+  toggleSubtask,
+  removeSubtask,
+  assignTask,
+  unassignTask
 } = require('../controllers/taskController');
+const commentRoutes = require('./comments');
+const timeEntryRoutes = require('./timeEntries');
 
 const router = express.Router();
 
@@ -32,13 +49,26 @@ const router = express.Router();
  *           type: string
  *         userId:
  *           type: string
+ *         createdBy:
+ *           type: string
+ *         assignees:
+ *           type: array
+ *           items:
+ *             type: string
+ *         projectId:
+ *           type: string
  *         title:
  *           type: string
  *         description:
  *           type: string
  *         status:
  *           type: string
- *           enum: [pending, in-progress, completed]
+ *           description: A status of the project's workflow (see /api/projects/{projectId}/workflow)
+ *         statusCategory:
+ *           type: string
+ *           enum: [todo, doing, done]
+ *           readOnly: true
+ *           description: Category of the status in the workflow
  *         priority:
  *           type: string
  *           enum: [low, medium, high, urgent]
@@ -47,6 +77,11 @@ const router = express.Router();
  *         dueDate:
  *           type: string
  *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the task first moved to a doing status
  *         completedAt:
  *           type: string
  *           format: date-time
@@ -58,20 +93,43 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: string
- *         estimatedTime:
- *           type: integer
- *         actualTime:
+ *         subtasks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Subtask'
+ *         blockedBy:
+ *           type: array
+ *           items:
+ *             type: string
+ *         customFields:
+ *           type: object
+ *           description: Values of custom fields (see /api/custom-fields), keyed by field key
+ *           additionalProperties: true
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         seriesId:
+ *           type: string
+ *         occurrence:
  *           type: integer
- *         reminder:
+ *         progress:
  *           type: object
  *           properties:
- *             enabled:
- *               type: boolean
- *             datetime:
- *               type: string
- *               format: date-time
- *             sent:
- *               type: boolean
+ *             total:
+ *               type: integer
+ *             completed:
+ *               type: integer
+ *             percentage:
+ *               type: integer
+ *         estimatedDuration:
+ *           type: integer
+ *         actualDuration:
+ *           type: integer
+ *           readOnly: true
+ *           description: Minutes logged in the task's time entries
+ *         reminders:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Reminder'
  *         isArchived:
  *           type: boolean
  *         createdAt:
@@ -81,6 +139,82 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *     
+ *     Recurrence:
+ *       type: object
+ *       required:
+ *         - frequency
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         byWeekday:
+ *           type: array
+ *           description: Weekdays (0 = Sunday) for weekly rules, or the weekday for monthly nth-weekday rules
+ *           items:
+ *             type: integer
+ *         byMonthDay:
+ *           type: integer
+ *           description: Day of the month for monthly rules
+ *         bySetPos:
+ *           type: integer
+ *           enum: [1, 2, 3, 4, 5, -1]
+ *           description: Which weekday of the month for monthly rules (-1 = last)
+ *         until:
+ *           type: string
+ *           format: date-time
+ *         count:
+ *           type: integer
+ *           description: Total number of occurrences
+ *     
+ *     Subtask:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, completed]
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *     
+ *     Reminder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         offsetMinutes:
+ *           type: integer
+ *           description: Minutes before the due date; null for reminders at a fixed time
+ *         remindAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the reminder is due; null for relative reminders while the task has no due date
+ *         status:
+ *           type: string
+ *           enum: [pending, sent, failed, skipped, snoozed, acknowledged]
+ *           description: Reminders scheduled for a time that had already passed are skipped
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *         snoozedUntil:
+ *           type: string
+ *           format: date-time
+ *           description: When a snoozed reminder is sent again
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ *     
  *     Attachment:
  *       type: object
  *       properties:
@@ -110,10 +244,14 @@ const router = express.Router();
  *         description:
  *           type: string
  *           maxLength: 2000
+ *         projectId:
+ *           type: string
+ *           description: Project the task belongs to (requires editor role)
  *         status:
  *           type: string
- *           enum: [pending, in-progress, completed]
- *           default: pending
+ *           description: >
+ *             A status of the project's workflow; defaults to its first todo
+ *             status. Changes must follow the workflow's transitions.
  *         priority:
  *           type: string
  *           enum: [low, medium, high, urgent]
@@ -129,21 +267,51 @@ const router = express.Router();
  *           items:
  *             type: string
  *             maxLength: 30
- *         estimatedTime:
+ *         blockedBy:
+ *           type: array
+ *           description: IDs of tasks that must be finished before this one can start
+ *           items:
+ *             type: string
+ *         customFields:
+ *           type: object
+ *           description: >
+ *             Values of the custom fields of the task's project, or of the owner's
+ *             personal fields, keyed by field key. Values are checked against the
+ *             field type; on update, given values are merged and null clears one.
+ *           additionalProperties: true
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         estimatedDuration:
  *           type: integer
  *           minimum: 0
- *         reminder:
- *           type: object
- *           properties:
- *             enabled:
- *               type: boolean
- *             datetime:
- *               type: string
- *               format: date-time
+ *         reminders:
+ *           type: array
+ *           maxItems: 10
+ *           description: >
+ *             Replaces the task's reminders. Each has either a time or an offset
+ *             in minutes before the due date; include the _id of a stored
+ *             reminder to keep its delivery state while its time is unchanged.
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               remindAt:
+ *                 type: string
+ *                 format: date-time
+ *               offsetMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 525600
  */
 
-// Apply authentication middleware to all routes
+// Apply authentication and task access middleware to all routes
 router.use(authMiddleware);
+router.use(taskAccessMiddleware);
+
+// Comment threads and time entries live under their task
+router.use('/:taskId/comments', commentRoutes);
+router.use('/:taskId/time-entries', timeEntryRoutes);
 
 /**
  * @swagger
@@ -202,10 +370,15 @@ router.post('/', validateRequest(schemas.task.create), createTask);
  *           type: integer
  *           default: 20
  *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only return tasks from this project
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in-progress, completed]
+ *         description: Workflow status key
  *       - in: query
  *         name: priority
  *         schema:
@@ -224,6 +397,32 @@ router.post('/', validateRequest(schemas.task.create), createTask);
  *         name: search
  *         schema:
  *           type: string
+ *         description: Only return tasks matching these words (see /api/tasks/search for ranked results)
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Apply a saved view (see /api/views). The view's filters and sort are
+ *           used for every parameter the request does not set; grouped views sort
+ *           by the group field first.
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: >
+ *           Filter in the task query language, e.g.
+ *           `status:pending priority:>=high tag:billing due:<7d -category:personal`.
+ *           Terms are ANDed; use OR, parentheses and a leading - or NOT to combine them.
+ *           Fields are status, priority, tag, category, title, project, assignee,
+ *           creator (user ID or "me"), due, created, updated (YYYY-MM-DD, today,
+ *           tomorrow, yesterday or an offset such as 7d or -2w, optionally after
+ *           <, <=, > or >=), is (overdue, open, done, archived, blocked, recurring) and has
+ *           (due, assignee, project, subtasks, attachments). Words without a field
+ *           match the title or description. Lists such as status:pending,in-progress
+ *           match any of the values. Custom fields are queried as cf.<key>, e.g.
+ *           `cf.points:>=3` or `cf.customer:acme`; none matches tasks without a value.
  *       - in: query
  *         name: overdue
  *         schema:
@@ -233,11 +432,21 @@ router.post('/', validateRequest(schemas.task.create), createTask);
  *         schema:
  *           type: boolean
  *       - in: query
+ *         name: assignedToMe
+ *         schema:
+ *           type: boolean
+ *         description: Only return tasks assigned to the authenticated user
+ *       - in: query
+ *         name: createdByMe
+ *         schema:
+ *           type: boolean
+ *         description: Only return tasks created by the authenticated user
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [createdAt, dueDate, priority, title]
  *           default: createdAt
+ *         description: createdAt, dueDate, priority, title, or cf.<key> for a custom field
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -262,13 +471,110 @@ router.post('/', validateRequest(schemas.task.create), createTask);
  *                     $ref: '#/components/schemas/Task'
  *                 pagination:
  *                   type: object
+ *       400:
+ *         description: Invalid query parameters or task query
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: View not found
  *       500:
  *         description: Server error
  */
 router.get('/', validateQuery(schemas.task.query), getTasks);
 
+/**
+ * @swagger
+ * /api/tasks/search:
+ *   get:
+ *     summary: Search tasks ranked by relevance
+ *     description: >
+ *       Matches words in the title, description, tags, category, attachment
+ *       names and comments of the tasks the user can access. Words match
+ *       their other forms ("run" matches "running"); put phrases in double
+ *       quotes and exclude words with a leading minus. At most the 200 best
+ *       matches are returned.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only search tasks from this project
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Workflow status key
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Search results, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       task:
+ *                         $ref: '#/components/schemas/Task'
+ *                       score:
+ *                         type: number
+ *                       highlights:
+ *                         type: array
+ *                         description: HTML-escaped snippets with matches wrapped in <mark> tags
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                               enum: [title, description, tags, category, attachments, comment]
+ *                             commentId:
+ *                               type: string
+ *                               description: Matching comment, for comment highlights
+ *                             snippet:
+ *                               type: string
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', validateQuery(schemas.task.search), searchTasks);
+
 /**
  * @swagger
  * /api/tasks/stats:
@@ -277,6 +583,12 @@ router.get('/', validateQuery(schemas.task.query), getTasks);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only include tasks from this project
  *     responses:
  *       200:
  *         description: Task statistics retrieved successfully
@@ -302,6 +614,12 @@ router.get('/', validateQuery(schemas.task.query), getTasks);
  *                       type: integer
  *                     overdueTasks:
  *                       type: integer
+ *                     totalSubtasks:
+ *                       type: integer
+ *                     completedSubtasks:
+ *                       type: integer
+ *                     subtaskCompletionRate:
+ *                       type: integer
  *                     priorityBreakdown:
  *                       type: object
  *                     recentlyCompleted:
@@ -315,77 +633,391 @@ router.get('/stats', getTaskStats);
 
 /**
  * @swagger
- * /api/tasks/due-soon:
+ * /api/tasks/analytics:
  *   get:
- *     summary: Get tasks due in the next 3 days
+ *     summary: Get estimation accuracy, throughput, cycle and lead time
+ *     description: >
+ *       Covers the tasks completed (moved to a done status) in the range.
+ *       Estimation compares estimatedDuration with the time logged in time
+ *       entries, for tasks that have both; tasks within 10% of their estimate
+ *       count as accurate. Cycle time runs from when work started (the first
+ *       move to a doing status, or creation for tasks that never had one) to
+ *       completion; lead time runs from creation to completion. Flow times are
+ *       broken down by category and priority. The trend lists every period of
+ *       the range (UTC days, ISO weeks starting Monday, or months), including
+ *       empty ones.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 12 intervals before the end
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Period of the trend series and of the throughput average
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only analyze this project's tasks
  *     responses:
  *       200:
- *         description: Tasks due soon retrieved successfully
+ *         description: Task analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     completedTasks:
+ *                       type: integer
+ *                     throughput:
+ *                       type: object
+ *                       properties:
+ *                         interval:
+ *                           type: string
+ *                         averagePerPeriod:
+ *                           type: number
+ *                     estimation:
+ *                       type: object
+ *                       description: >
+ *                         overall, byCategory and byPriority, each with tasks,
+ *                         estimatedMinutes, actualMinutes, actualToEstimateRatio,
+ *                         meanAbsoluteErrorPercent, accurate, underestimated and
+ *                         overestimated
+ *                     cycleTime:
+ *                       type: object
+ *                       description: >
+ *                         overall, byCategory and byPriority, each with tasks,
+ *                         averageHours, medianHours and p85Hours
+ *                     leadTime:
+ *                       type: object
+ *                       description: Same shape as cycleTime
+ *                     trend:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             format: date-time
+ *                           created:
+ *                             type: integer
+ *                           completed:
+ *                             type: integer
+ *                           averageCycleHours:
+ *                             type: number
+ *                           averageLeadHours:
+ *                             type: number
+ *                           estimatedMinutes:
+ *                             type: integer
+ *                           actualMinutes:
+ *                             type: integer
+ *       400:
+ *         description: Validation error, or too many periods in the range
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Project not found
  *       500:
  *         description: Server error
  */
-router.get('/due-soon', getTasksDueSoon);
+router.get('/analytics', validateQuery(taskValidation.analytics), getTaskAnalytics);
 
 /**
  * @swagger
- * /api/tasks/sync:
- *   post:
- *     summary: Sync tasks for offline functionality
+ * /api/tasks/cumulative-flow:
+ *   get:
+ *     summary: Get a cumulative flow diagram
+ *     description: >
+ *       Counts the tasks in each band at the end of every UTC day of the range,
+ *       as reconstructed from the status history in the activity log. Tasks
+ *       without logged status changes are taken to have moved from their
+ *       workflow's first status to their current one at completedAt. With a
+ *       projectId the bands are the project's workflow statuses; otherwise they
+ *       are the status categories (todo, doing, done). Covers the tasks in
+ *       scope now, archived ones included.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               lastSyncTime:
- *                 type: string
- *                 format: date-time
- *               localChanges:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     type:
- *                       type: string
- *                       enum: [create, update, delete]
- *                     _id:
- *                       type: string
- *                     tempId:
- *                       type: string
- *                     data:
- *                       type: object
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to two weeks before the end
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now; at most 366 days after the start
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only count this project's tasks
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only count tasks with this tag
  *     responses:
  *       200:
- *         description: Tasks synced successfully
+ *         description: Cumulative flow retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bands:
+ *                       type: array
+ *                       description: Bands in workflow order
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           category:
+ *                             type: string
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           counts:
+ *                             type: object
+ *                             description: Tasks per band key
+ *                           total:
+ *                             type: integer
+ *       400:
+ *         description: Validation error, or range too long
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Project not found
  *       500:
  *         description: Server error
  */
-router.post('/sync', syncTasks);
+router.get('/cumulative-flow', validateQuery(taskValidation.flow), getCumulativeFlow);
 
 /**
  * @swagger
- * /api/tasks/bulk:
- *   patch:
- *     summary: Bulk update multiple tasks
+ * /api/tasks/burndown:
+ *   get:
+ *     summary: Get burndown and burnup series
+ *     description: >
+ *       For the end of every UTC day of the range, the tasks in scope, those
+ *       completed (in a done status) and those remaining, also in estimated
+ *       minutes, reconstructed the same way as the cumulative flow. The ideal
+ *       line burns the first day's remaining work down to zero on the last day.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to two weeks before the end
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now; at most 366 days after the start
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only count this project's tasks
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only count tasks with this tag
+ *     responses:
+ *       200:
+ *         description: Burndown retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           scope:
+ *                             type: integer
+ *                           completed:
+ *                             type: integer
+ *                           remaining:
+ *                             type: integer
+ *                           idealRemaining:
+ *                             type: number
+ *                           scopeMinutes:
+ *                             type: integer
+ *                           completedMinutes:
+ *                             type: integer
+ *                           remainingMinutes:
+ *                             type: integer
+ *                           idealRemainingMinutes:
+ *                             type: integer
+ *       400:
+ *         description: Validation error, or range too long
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/burndown', validateQuery(taskValidation.flow), getBurndown);
+
+/**
+ * @swagger
+ * /api/tasks/due-soon:
+ *   get:
+ *     summary: Get tasks due in the next 3 days
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tasks due soon retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/due-soon', getTasksDueSoon);
+
+/**
+ * @swagger
+ * /api/tasks/sync:
+ *   post:
+ *     summary: Sync tasks for offline functionality
+ *     description: >
+ *       Returns one page of server changes after the client's cursor and applies
+ *       the client's local changes in order. Keep calling with the returned cursor
+ *       while hasMore is true.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cursor:
+ *                 type: string
+ *                 description: Opaque cursor from the previous sync; omit on the first sync
+ *               lastSyncTime:
+ *                 type: string
+ *                 format: date-time
+ *                 deprecated: true
+ *                 description: Accepted from older clients instead of a cursor
+ *               limit:
+ *                 type: integer
+ *                 maximum: 500
+ *                 description: Maximum server changes per page (defaults to SYNC_PAGE_SIZE)
+ *               localChanges:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     _id:
+ *                       type: string
+ *                     tempId:
+ *                       type: string
+ *                     idempotencyKey:
+ *                       type: string
+ *                       description: >
+ *                         Unique per change. A replayed change returns its original
+ *                         result (for creates, the original _id) with replayed set to true.
+ *                     data:
+ *                       type: object
+ *                       description: Changed fields (for updates, only the fields edited offline)
+ *                     baseVersion:
+ *                       type: integer
+ *                       description: syncVersion the offline edit was based on (required for updates)
+ *                     base:
+ *                       type: object
+ *                       description: Values of the edited fields at baseVersion, used for the three-way merge
+ *     responses:
+ *       200:
+ *         description: >
+ *           Tasks synced successfully. serverChanges contains changed tasks and,
+ *           for tasks deleted or no longer accessible since the cursor,
+ *           `{ _id, isDeleted: true, deletedAt }` entries. Deletions are kept
+ *           for TOMBSTONE_RETENTION_DAYS; when the cursor is older,
+ *           fullResyncRequired is true and the client must reload all tasks. Each update result has type `updated` or
+ *           `conflict`, the fields that were applied and the new syncVersion.
+ *           Conflicts list `field`, `base`, `local` and `server` values; resolve
+ *           them by resending the chosen values with the returned syncVersion
+ *           as baseVersion and a new idempotency key.
+ *       400:
+ *         description: Validation error or invalid cursor
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/sync', validateRequest(schemas.task.sync), syncTasks);
+
+/**
+ * @swagger
+ * /api/tasks/bulk:
+ *   patch:
+ *     summary: Bulk update multiple tasks
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
  *             required:
  *               - taskIds
@@ -397,6 +1029,9 @@ router.post('/sync', syncTasks);
  *                   type: string
  *               updates:
  *                 type: object
+ *                 description: Fields to set on every task; only status, priority,
+ *                   category, tags, dueDate, estimatedDuration, projectId, blockedBy,
+ *                   reminders, customFields and isArchived are applied
  *     responses:
  *       200:
  *         description: Tasks updated successfully
@@ -407,7 +1042,7 @@ router.post('/sync', syncTasks);
  *       500:
  *         description: Server error
  */
-router.patch('/bulk', bulkUpdateTasks);
+router.patch('/bulk', validate(taskValidation.bulkUpdate), bulkUpdateTasks);
 
 /**
  * @swagger
@@ -460,6 +1095,13 @@ router.get('/:taskId', getTaskById);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, future]
+ *           default: this
+ *         description: For recurring tasks, edit only this occurrence or this and all future ones
  *     requestBody:
  *       required: true
  *       content:
@@ -470,11 +1112,13 @@ router.get('/:taskId', getTaskById);
  *       200:
  *         description: Task updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or dependency cycle
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Task not found
+ *       409:
+ *         description: Task is blocked by unfinished tasks
  *       500:
  *         description: Server error
  */
@@ -543,4 +1187,347 @@ router.delete('/:taskId', deleteTask);
  */
 router.patch('/:taskId/archive', archiveTask);
 
+/**
+ * @swagger
+ * /api/tasks/{taskId}/dependencies:
+ *   get:
+ *     summary: Get the upstream and downstream dependency chains of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task dependencies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     task:
+ *                       type: object
+ *                     upstream:
+ *                       type: array
+ *                       description: Tasks this task is blocked by, directly or transitively
+ *                       items:
+ *                         type: object
+ *                     downstream:
+ *                       type: array
+ *                       description: Tasks blocked by this task, directly or transitively
+ *                       items:
+ *                         type: object
+ *                     criticalPath:
+ *                       type: array
+ *                       description: Longest chain of open blockers ending at this task
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:taskId/dependencies', getTaskDependencies);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/activity:
+ *   get:
+ *     summary: Get the activity log of a task, newest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Task activity retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       actorId:
+ *                         type: object
+ *                       action:
+ *                         type: string
+ *                         enum: [created, updated, archived, unarchived, deleted]
+ *                       source:
+ *                         type: string
+ *                         enum: [api, sync, bulk]
+ *                       changes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             before: {}
+ *                             after: {}
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:taskId/activity', getTaskActivity);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/subtasks:
+ *   post:
+ *     summary: Add a subtask to a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Subtask added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:taskId/subtasks', validate(taskValidation.subtask), addSubtask);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/subtasks/reorder:
+ *   patch:
+ *     summary: Reorder the subtasks of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subtaskIds
+ *             properties:
+ *               subtaskIds:
+ *                 type: array
+ *                 description: Every subtask ID of the task, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Subtasks reordered successfully
+ *       400:
+ *         description: Subtask IDs do not match the task's subtasks
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:taskId/subtasks/reorder', validate(taskValidation.reorderSubtasks), reorderSubtasks);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/subtasks/{subtaskId}/toggle:
+ *   patch:
+ *     summary: Toggle a subtask between pending and completed
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subtask updated successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task or subtask not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:taskId/subtasks/:subtaskId/toggle', toggleSubtask);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/subtasks/{subtaskId}:
+ *   delete:
+ *     summary: Remove a subtask from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subtask removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task or subtask not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:taskId/subtasks/:subtaskId', removeSubtask);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/assignees:
+ *   post:
+ *     summary: Assign users to a task
+ *     description: Project tasks can only be assigned to project members. Newly assigned users are notified by email.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Task assigned successfully
+ *       400:
+ *         description: Validation error or user cannot be assigned
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:taskId/assignees', validate(taskValidation.assign), assignTask);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/assignees/{userId}:
+ *   delete:
+ *     summary: Unassign a user from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unassigned successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task or assignee not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:taskId/assignees/:userId', unassignTask);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,118 @@
+const express = require('express');
+const {
+  authMiddleware,
+  taskAccessMiddleware,
+  validateQuery,
+  timeEntryValidation
+} = require('@tasktrackr/common');
+
+const {
+  getRunningTimer,
+  getTimesheet
+} = require('../controllers/timeEntryController');
+
+const router = express.Router();
+
+// Apply authentication and task access middleware to all routes
+router.use(authMiddleware);
+router.use(taskAccessMiddleware);
+
+/**
+ * @swagger
+ * /api/time/timer:
+ *   get:
+ *     summary: Get the user's running timer
+ *     description: Data is null when no timer is running.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Running timer retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/timer', getRunningTimer);
+
+/**
+ * @swagger
+ * /api/time/timesheet:
+ *   get:
+ *     summary: Get the user's logged time grouped by day, week, tag or category
+ *     description: >
+ *       Totals the user's finished time entries that started in the period.
+ *       Days and ISO weeks (e.g. 2024-W05) are in the given timezone. Time on a
+ *       task with several tags counts toward each tag; untagged time is grouped
+ *       under a null key.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to a week before the end
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, tag, category]
+ *           default: day
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA timezone name, e.g. Europe/Berlin; defaults to the user's timezone
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only count time on this project's tasks
+ *     responses:
+ *       200:
+ *         description: Timesheet retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalMinutes:
+ *                       type: integer
+ *                     entries:
+ *                       type: integer
+ *                     groups:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                           minutes:
+ *                             type: integer
+ *                           entries:
+ *                             type: integer
+ *                           tasks:
+ *                             type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/timesheet', validateQuery(timeEntryValidation.timesheet), getTimesheet);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,311 @@
+const express = require('express');
+const {
+  validate,
+  timeEntryValidation
+} = require('@tasktrackr/common');
+
+const {
+  getTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  startTimer,
+  stopTimer
+} = require('../controllers/timeEntryController');
+
+// Mounted under /api/tasks/:taskId/time-entries by the task router, which
+// applies authentication and task access middleware
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TimeEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         taskId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: User who logged the time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Null while the timer runs
+ *         duration:
+ *           type: integer
+ *           description: Minutes between start and end; null while the timer runs
+ *         isRunning:
+ *           type: boolean
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/time-entries:
+ *   get:
+ *     summary: Get the time entries of a task, latest first
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Time entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TimeEntry'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', getTimeEntries);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/time-entries:
+ *   post:
+ *     summary: Log time on a task after the fact
+ *     description: >
+ *       Send the start and either the end or the duration in minutes. The
+ *       task's actualDuration is the total of its finished entries.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startedAt
+ *             properties:
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: integer
+ *                 minimum: 1
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Time entry created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(timeEntryValidation.create), createTimeEntry);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/time-entries/start:
+ *   post:
+ *     summary: Start a timer on a task
+ *     description: A user runs one timer at a time; starting a second one is refused.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Timer started successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: A timer is already running; errors name its entry and task
+ *       500:
+ *         description: Server error
+ */
+router.post('/start', validate(timeEntryValidation.start), startTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/time-entries/stop:
+ *   post:
+ *     summary: Stop the user's running timer on a task
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Timer stopped successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No timer is running on the task
+ *       500:
+ *         description: Server error
+ */
+router.post('/stop', stopTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/time-entries/{entryId}:
+ *   patch:
+ *     summary: Correct a time entry (the user who logged it, while a task editor)
+ *     description: A duration sets the end relative to the start; setting an end stops a running timer.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: integer
+ *                 minimum: 1
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Time entry updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the user who logged the time
+ *       404:
+ *         description: Task or time entry not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:entryId', validate(timeEntryValidation.update), updateTimeEntry);
+
+/**
+ * @swagger
+ * /api/tasks/{taskId}/time-entries/{entryId}:
+ *   delete:
+ *     summary: Delete a time entry (the user who logged it, or task editors)
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Time entry deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete this time entry
+ *       404:
+ *         description: Task or time entry not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:entryId', deleteTimeEntry);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,284 @@
+const express = require('express');
+const {
+  authMiddleware,
+  taskAccessMiddleware,
+  validate,
+  viewValidation
+} = require('@tasktrackr/common');
+
+const {
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView
+} = require('../controllers/viewController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ViewFilters:
+ *       type: object
+ *       description: Same meaning as the GET /api/tasks query parameters
+ *       properties:
+ *         q:
+ *           type: string
+ *           maxLength: 500
+ *           description: Filter in the task query language
+ *         search:
+ *           type: string
+ *         status:
+ *           type: string
+ *           description: Workflow status key
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *         category:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         overdue:
+ *           type: boolean
+ *         dueSoon:
+ *           type: boolean
+ *         assignedToMe:
+ *           type: boolean
+ *         createdByMe:
+ *           type: boolean
+ *     ViewSort:
+ *       type: object
+ *       properties:
+ *         by:
+ *           type: string
+ *           enum: [createdAt, dueDate, priority, title]
+ *           default: createdAt
+ *         order:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     View:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: Creator of the view
+ *         projectId:
+ *           type: string
+ *           description: Project whose members share the view; null for a personal view
+ *         filters:
+ *           $ref: '#/components/schemas/ViewFilters'
+ *         sort:
+ *           $ref: '#/components/schemas/ViewSort'
+ *         groupBy:
+ *           type: string
+ *           enum: [status, priority, category, project, dueDate]
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Apply authentication and task access middleware to all routes
+router.use(authMiddleware);
+router.use(taskAccessMiddleware);
+
+/**
+ * @swagger
+ * /api/views:
+ *   post:
+ *     summary: Save a view of the task list
+ *     description: >
+ *       Views without a projectId are personal. Views with a projectId are shared
+ *       with the project's members and require project editor access to create.
+ *       Apply a view with GET /api/tasks?view={viewId}.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               projectId:
+ *                 type: string
+ *               filters:
+ *                 $ref: '#/components/schemas/ViewFilters'
+ *               sort:
+ *                 $ref: '#/components/schemas/ViewSort'
+ *               groupBy:
+ *                 type: string
+ *                 enum: [status, priority, category, project, dueDate]
+ *     responses:
+ *       201:
+ *         description: View created successfully
+ *       400:
+ *         description: Validation error, including an invalid task query
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Project editor access required
+ *       500:
+ *         description: Server error
+ */
+router.post('/', validate(viewValidation.create), createView);
+
+/**
+ * @swagger
+ * /api/views:
+ *   get:
+ *     summary: Get the user's personal views and the views of their projects
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only return the views of this project
+ *     responses:
+ *       200:
+ *         description: Views retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/View'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', getViews);
+
+/**
+ * @swagger
+ * /api/views/{viewId}:
+ *   get:
+ *     summary: Get view by ID
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: viewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: View retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: View not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:viewId', getViewById);
+
+/**
+ * @swagger
+ * /api/views/{viewId}:
+ *   patch:
+ *     summary: Update a view (its creator, or project editors for project views)
+ *     description: Filters and sort, when given, replace the stored ones as a whole.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: viewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               filters:
+ *                 $ref: '#/components/schemas/ViewFilters'
+ *               sort:
+ *                 $ref: '#/components/schemas/ViewSort'
+ *               groupBy:
+ *                 type: string
+ *                 enum: [status, priority, category, project, dueDate]
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: View updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to change this view
+ *       404:
+ *         description: View not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:viewId', validate(viewValidation.update), updateView);
+
+/**
+ * @swagger
+ * /api/views/{viewId}:
+ *   delete:
+ *     summary: Delete a view (its creator, or project editors for project views)
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: viewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: View deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete this view
+ *       404:
+ *         description: View not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:viewId', deleteView);
+
+module.exports = router;
\ No newline at end of file
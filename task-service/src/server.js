@@ -7,17 +7,20 @@ const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
-const { connectDB, errorResponse } = require('@tasktrackr/common');
+const { connectDB, errorResponse, Task } = require('@tasktrackr/common');
 const taskRoutes = require('./routes/tasks');
 const attachmentRoutes = require('./routes/attachments');
+const projectRoutes = require('./routes/projects');
+const eventRoutes = require('./routes/events');
+const viewRoutes = require('./routes/views');
+const boardRoutes = require('./routes/boards');
+const customFieldRoutes = require('./routes/customFields');
+const timeRoutes = require('./routes/time');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-// Connect to database
-connectDB();
-
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -91,6 +94,12 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/api/tasks', taskRoutes);
 app.use('/api/attachments', attachmentRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/boards', boardRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/time', timeRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -100,8 +109,19 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Task Service running on port ${PORT}`);
-  console.log(`API Documentation: http://localhost:${PORT}/api/docs`);
-});
\ No newline at end of file
+// Connect and start the server when run directly; tests require the app
+if (require.main === module) {
+  // Give tasks saved before workflows existed their status category and move
+  // single reminders into the reminders list
+  connectDB()
+    .then(() => Task.backfillStatusCategories())
+    .then(() => Task.backfillReminders())
+    .catch(error => console.error('Task backfill error:', error));
+
+  app.listen(PORT, () => {
+    console.log(`Task Service running on port ${PORT}`);
+    console.log(`API Documentation: http://localhost:${PORT}/api/docs`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { Activity } = require('@tasktrackr/common');
+
+/**
+ * Append entries to the activity log; a logging failure never fails the change itself
+ * @param {Array} entries - Entries as accepted by Activity.build
+ * @returns {Promise<Array>} The entries recorded; none if logging failed
+ */
+const recordActivity = async (entries) => {
+  try {
+    return await Activity.recordMany(entries);
+  } catch (error) {
+    console.error('Record activity error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  recordActivity
+};
\ No newline at end of file
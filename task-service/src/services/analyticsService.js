@@ -0,0 +1,269 @@
+const { Task } = require('@tasktrackr/common');
+
+const HOUR = 60 * 60 * 1000;
+
+// Actual time within this share of the estimate counts as accurate
+const ESTIMATE_TOLERANCE = 0.1;
+
+// Most periods a trend series may hold
+const MAX_TREND_PERIODS = 400;
+
+/**
+ * Round to one decimal place
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Get the start of the UTC day, ISO week (Monday) or month a date falls in
+ * @param {Date} date - Date
+ * @param {string} interval - day, week or month
+ * @returns {Date} Start of the period
+ */
+const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+/**
+ * List the starts of the periods that overlap a range
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range (exclusive)
+ * @param {string} interval - day, week or month
+ * @returns {Array} Period starts, oldest first
+ */
+const listPeriods = (from, to, interval) => {
+  const periods = [];
+
+  for (let start = periodStart(from, interval); start < to && periods.length <= MAX_TREND_PERIODS;) {
+    periods.push(start);
+    start = new Date(start);
+    if (interval === 'month') {
+      start.setUTCMonth(start.getUTCMonth() + 1);
+    } else {
+      start.setUTCDate(start.getUTCDate() + (interval === 'week' ? 7 : 1));
+    }
+  }
+  return periods;
+};
+
+/**
+ * Summarize durations in hours; the median and 85th percentile use the
+ * nearest-rank method
+ */
+const summarizeDurations = (hours) => {
+  if (hours.length === 0) {
+    return { tasks: 0, averageHours: null, medianHours: null, p85Hours: null };
+  }
+
+  const sorted = [...hours].sort((a, b) => a - b);
+  const rank = (p) => sorted[Math.ceil(p * sorted.length) - 1];
+
+  return {
+    tasks: sorted.length,
+    averageHours: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    medianHours: round(rank(0.5)),
+    p85Hours: round(rank(0.85))
+  };
+};
+
+/**
+ * Summarize how estimates compared with logged time for a group of tasks
+ */
+const summarizeEstimates = (group) => ({
+  tasks: group.tasks,
+  estimatedMinutes: group.estimatedMinutes,
+  actualMinutes: group.actualMinutes,
+  // Above 1 when tasks took longer than estimated
+  actualToEstimateRatio: Math.round((group.actualMinutes / group.estimatedMinutes) * 100) / 100,
+  meanAbsoluteErrorPercent: Math.round(group.absoluteError * 100),
+  accurate: group.tasks - group.underestimated - group.overestimated,
+  underestimated: group.underestimated,
+  overestimated: group.overestimated
+});
+
+/**
+ * Key facet groups by category or priority
+ */
+const byKey = (groups, summarize) => groups.reduce((acc, group) => {
+  acc[group._id] = summarize(group);
+  return acc;
+}, {});
+
+/**
+ * Compare estimatedDuration with logged time on completed tasks that have both
+ */
+const getEstimationAccuracy = async (completed) => {
+  const group = (key) => [{
+    $group: {
+      _id: key,
+      tasks: { $sum: 1 },
+      estimatedMinutes: { $sum: '$estimatedDuration' },
+      actualMinutes: { $sum: '$actualDuration' },
+      absoluteError: { $avg: { $abs: '$error' } },
+      underestimated: { $sum: { $cond: [{ $gt: ['$error', ESTIMATE_TOLERANCE] }, 1, 0] } },
+      overestimated: { $sum: { $cond: [{ $lt: ['$error', -ESTIMATE_TOLERANCE] }, 1, 0] } }
+    }
+  }];
+
+  const [result] = await Task.aggregate([
+    { $match: { ...completed, estimatedDuration: { $gt: 0 }, actualDuration: { $gt: 0 } } },
+    {
+      $addFields: {
+        // Share by which the logged time missed the estimate
+        error: {
+          $divide: [{ $subtract: ['$actualDuration', '$estimatedDuration'] }, '$estimatedDuration']
+        }
+      }
+    },
+    {
+      $facet: {
+        overall: group(null),
+        byCategory: group('$category'),
+        byPriority: group('$priority')
+      }
+    }
+  ]);
+
+  return {
+    overall: result.overall.length > 0 ? summarizeEstimates(result.overall[0]) : null,
+    byCategory: byKey(result.byCategory, summarizeEstimates),
+    byPriority: byKey(result.byPriority, summarizeEstimates)
+  };
+};
+
+/**
+ * Get cycle time (from the start of work, or creation for tasks that never
+ * had a doing status, to completion) and lead time (from creation to
+ * completion) of completed tasks
+ */
+const getFlowTimes = async (completed) => {
+  const group = (key) => [{
+    $group: { _id: key, cycle: { $push: '$cycleHours' }, lead: { $push: '$leadHours' } }
+  }];
+
+  const [result] = await Task.aggregate([
+    { $match: completed },
+    {
+      $project: {
+        category: 1,
+        priority: 1,
+        cycleHours: {
+          $max: [0, { $divide: [{ $subtract: ['$completedAt', { $ifNull: ['$startedAt', '$createdAt'] }] }, HOUR] }]
+        },
+        leadHours: {
+          $max: [0, { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, HOUR] }]
+        }
+      }
+    },
+    {
+      $facet: {
+        overall: group(null),
+        byCategory: group('$category'),
+        byPriority: group('$priority')
+      }
+    }
+  ]);
+
+  const times = (field) => ({
+    overall: summarizeDurations(result.overall.length > 0 ? result.overall[0][field] : []),
+    byCategory: byKey(result.byCategory, group => summarizeDurations(group[field])),
+    byPriority: byKey(result.byPriority, group => summarizeDurations(group[field]))
+  });
+
+  return { cycleTime: times('cycle'), leadTime: times('lead') };
+};
+
+/**
+ * Get tasks created and completed per period, with the average flow times and
+ * estimate totals of the tasks completed in it. Periods without tasks are included.
+ */
+const getTrend = async (scope, completed, { from, to, interval }) => {
+  const period = (field) => ({
+    $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday', timezone: 'UTC' }
+  });
+
+  const [created, finished] = await Promise.all([
+    Task.aggregate([
+      { $match: { ...scope, createdAt: { $gte: from, $lt: to } } },
+      { $group: { _id: period('$createdAt'), created: { $sum: 1 } } }
+    ]),
+    Task.aggregate([
+      { $match: completed },
+      {
+        $group: {
+          _id: period('$completedAt'),
+          completed: { $sum: 1 },
+          averageCycleHours: {
+            $avg: { $divide: [{ $subtract: ['$completedAt', { $ifNull: ['$startedAt', '$createdAt'] }] }, HOUR] }
+          },
+          averageLeadHours: {
+            $avg: { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, HOUR] }
+          },
+          estimatedMinutes: { $sum: { $ifNull: ['$estimatedDuration', 0] } },
+          actualMinutes: { $sum: { $ifNull: ['$actualDuration', 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const find = (groups, start) => groups.find(group => group._id.getTime() === start.getTime()) || {};
+
+  return listPeriods(from, to, interval).map(start => {
+    const done = find(finished, start);
+    return {
+      period: start,
+      created: find(created, start).created || 0,
+      completed: done.completed || 0,
+      averageCycleHours: done.completed ? round(done.averageCycleHours) : null,
+      averageLeadHours: done.completed ? round(done.averageLeadHours) : null,
+      estimatedMinutes: done.estimatedMinutes || 0,
+      actualMinutes: done.actualMinutes || 0
+    };
+  });
+};
+
+/**
+ * Analyze the tasks of a scope completed in a range: estimation accuracy,
+ * throughput, cycle and lead time, and a trend series per period
+ * @param {Object} scope - Task filter the user may read
+ * @param {Object} range - from, to (exclusive) and interval (day, week or month)
+ * @returns {Promise<Object>} Analytics
+ */
+const analyzeTasks = async (scope, range) => {
+  const completed = {
+    ...scope,
+    statusCategory: 'done',
+    completedAt: { $gte: range.from, $lt: range.to }
+  };
+
+  const [estimation, flowTimes, trend] = await Promise.all([
+    getEstimationAccuracy(completed),
+    getFlowTimes(completed),
+    getTrend(scope, completed, range)
+  ]);
+
+  const completedTasks = trend.reduce((sum, period) => sum + period.completed, 0);
+
+  return {
+    completedTasks,
+    throughput: {
+      interval: range.interval,
+      averagePerPeriod: trend.length > 0 ? round(completedTasks / trend.length) : 0
+    },
+    estimation,
+    ...flowTimes,
+    trend
+  };
+};
+
+module.exports = {
+  MAX_TREND_PERIODS,
+  listPeriods,
+  analyzeTasks
+};
\ No newline at end of file
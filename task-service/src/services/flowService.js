@@ -0,0 +1,202 @@
+const {
+  Task,
+  Activity,
+  Project,
+  STATUS_CATEGORIES,
+  findStatus,
+  getInitialStatus,
+  mapStatus
+} = require('@tasktrackr/common');
+const { listPeriods } = require('./analyticsService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most days a flow report may cover
+const MAX_FLOW_DAYS = 366;
+
+const CATEGORY_NAMES = { todo: 'To do', doing: 'In progress', done: 'Done' };
+
+/**
+ * Load the workflow of every project the tasks belong to, keyed by project ID
+ * ('' for personal tasks)
+ */
+const getWorkflows = async (tasks) => {
+  const projectIds = [...new Set(tasks.map(task => String(task.projectId || '')))];
+  const workflows = await Promise.all(projectIds.map(projectId => Project.getWorkflow(projectId || null)));
+
+  return new Map(projectIds.map((projectId, index) => [projectId, workflows[index]]));
+};
+
+/**
+ * Build each task's status history, oldest first, from the status changes in
+ * the activity log. Tasks without logged changes (such as those created before
+ * the log existed) are taken to have started in their workflow's first status
+ * and reached their current one when they were completed, or at creation.
+ */
+const getStatusHistories = async (tasks, workflows) => {
+  const activities = await Activity.find({
+    taskId: { $in: tasks.map(task => task._id) },
+    action: 'updated',
+    'changes.field': 'status'
+  })
+    .select('taskId changes createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const changesByTask = new Map();
+  activities.forEach(activity => {
+    const change = activity.changes.find(item => item.field === 'status');
+    const key = activity.taskId.toString();
+    changesByTask.set(key, [...(changesByTask.get(key) || []), { at: activity.createdAt, change }]);
+  });
+
+  return new Map(tasks.map(task => {
+    const changes = changesByTask.get(task._id.toString()) || [];
+    let history;
+
+    if (changes.length > 0) {
+      history = [
+        { at: task.createdAt, status: changes[0].change.before },
+        ...changes.map(({ at, change }) => ({ at, status: change.after }))
+      ];
+    } else if (task.completedAt) {
+      const workflow = workflows.get(String(task.projectId || ''));
+      history = [
+        { at: task.createdAt, status: getInitialStatus(workflow) },
+        { at: task.completedAt, status: task.status }
+      ];
+    } else {
+      history = [{ at: task.createdAt, status: task.status }];
+    }
+
+    return [task._id.toString(), history];
+  }));
+};
+
+/**
+ * Get the status a task had just before a time, or null if it did not exist yet
+ */
+const statusAt = (history, time) => {
+  let status = null;
+  for (const entry of history) {
+    if (entry.at >= time) {
+      break;
+    }
+    status = entry.status;
+  }
+  return status;
+};
+
+/**
+ * Get the category of a status in a workflow. Statuses the workflow no longer
+ * has (removed, or from a project the task left) count as todo.
+ */
+const categoryOf = (workflow, key) => {
+  const status = key && findStatus(workflow, key);
+  return status ? status.category : 'todo';
+};
+
+/**
+ * Reconstruct the state of the tasks in a scope at the end of each UTC day of
+ * a range. Tasks are those the scope holds now, archived ones included.
+ * @param {Object} filter - Task filter
+ * @param {Object} range - from and to (exclusive)
+ * @returns {Promise<Array>} Days, each with its date and the status and
+ * category of every task that existed
+ */
+const getDailyStates = async (filter, { from, to }) => {
+  const tasks = await Task.find({ ...filter, createdAt: { $lt: to } })
+    .select('status statusCategory projectId createdAt completedAt estimatedDuration')
+    .lean();
+
+  const workflows = await getWorkflows(tasks);
+  const histories = await getStatusHistories(tasks, workflows);
+
+  return listPeriods(from, to, 'day').map(start => {
+    const end = new Date(Math.min(start.getTime() + DAY, to.getTime()));
+
+    const states = tasks
+      .map(task => {
+        const workflow = workflows.get(String(task.projectId || ''));
+        const status = statusAt(histories.get(task._id.toString()), end);
+        return status && { task, status, category: categoryOf(workflow, status) };
+      })
+      .filter(Boolean);
+
+    return { date: start.toISOString().slice(0, 10), states };
+  });
+};
+
+/**
+ * Build a cumulative flow diagram: the number of tasks in each band on each
+ * day. A project's bands are its workflow statuses; other scopes, which may
+ * mix workflows, use the status categories.
+ * @param {Object} filter - Task filter
+ * @param {Object} range - from, to (exclusive) and the projectId the filter is narrowed to, if any
+ * @returns {Promise<Object>} bands and days
+ */
+const buildCumulativeFlow = async (filter, range) => {
+  const days = await getDailyStates(filter, range);
+
+  const workflow = range.projectId ? await Project.getWorkflow(range.projectId) : null;
+  const bands = workflow
+    ? workflow.statuses.map(({ key, name, category }) => ({ key, name, category }))
+    : STATUS_CATEGORIES.map(category => ({ key: category, name: CATEGORY_NAMES[category], category }));
+
+  return {
+    bands,
+    days: days.map(({ date, states }) => {
+      const counts = Object.fromEntries(bands.map(band => [band.key, 0]));
+
+      states.forEach(({ status, category }) => {
+        // Statuses since removed from the workflow count toward the closest one
+        const band = workflow ? mapStatus(workflow, status, category) : category;
+        counts[band] += 1;
+      });
+
+      return { date, counts, total: states.length };
+    })
+  };
+};
+
+/**
+ * Build burndown and burnup series: on each day, the tasks in scope, those
+ * completed and those remaining, in tasks and in estimated minutes. The ideal
+ * line burns the first day's remaining work down to zero on the last day.
+ * @param {Object} filter - Task filter
+ * @param {Object} range - from and to (exclusive)
+ * @returns {Promise<Array>} Days
+ */
+const buildBurndown = async (filter, range) => {
+  const days = await getDailyStates(filter, range);
+
+  const series = days.map(({ date, states }) => {
+    const completed = states.filter(state => state.category === 'done');
+    const minutes = (list) => list.reduce((sum, state) => sum + (state.task.estimatedDuration || 0), 0);
+
+    return {
+      date,
+      scope: states.length,
+      completed: completed.length,
+      remaining: states.length - completed.length,
+      scopeMinutes: minutes(states),
+      completedMinutes: minutes(completed),
+      remainingMinutes: minutes(states) - minutes(completed)
+    };
+  });
+
+  const start = series[0] || { remaining: 0, remainingMinutes: 0 };
+  const steps = Math.max(series.length - 1, 1);
+
+  return series.map((day, index) => ({
+    ...day,
+    idealRemaining: Math.round(start.remaining * (1 - index / steps) * 10) / 10,
+    idealRemainingMinutes: Math.round(start.remainingMinutes * (1 - index / steps))
+  }));
+};
+
+module.exports = {
+  MAX_FLOW_DAYS,
+  buildCumulativeFlow,
+  buildBurndown
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+const axios = require('axios');
+
+const NOTIFICATION_SERVICE_URL = process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3003';
+
+const client = axios.create({
+  baseURL: `${NOTIFICATION_SERVICE_URL}/api/notifications`,
+  timeout: 5000
+});
+
+/**
+ * Post an event to the notification service on behalf of the current user.
+ * Notifications are best effort: failures are logged and never thrown, so a
+ * notification outage cannot fail the task operation that triggered it.
+ * @param {string} path - Notification endpoint path
+ * @param {Object} payload - Request body
+ * @param {string} authorization - Authorization header of the triggering request
+ */
+const notify = async (path, payload, authorization) => {
+  try {
+    await client.post(path, payload, {
+      headers: { Authorization: authorization }
+    });
+  } catch (error) {
+    console.error(`Notification ${path} failed:`, error.response?.data?.message || error.message);
+  }
+};
+
+/**
+ * Notify users that they have been assigned to a task. The notification
+ * service reads who was assigned from the activity entry, and notifies about
+ * each entry once.
+ * @param {Object} req - Express request of the assigning user
+ * @param {Object} activity - Activity entry recording the assignment
+ */
+const notifyTaskAssigned = (req, activity) => {
+  if (!activity) {
+    return Promise.resolve();
+  }
+
+  return notify('/task-assigned', {
+    activityId: activity._id.toString()
+  }, req.headers.authorization);
+};
+
+/**
+ * Notify users that they have been mentioned in a comment
+ * @param {Object} req - Express request of the comment author
+ * @param {Object} comment - Comment containing the mentions
+ * @param {Array} userIds - IDs of the newly mentioned users
+ */
+const notifyMentioned = (req, comment, userIds) => {
+  if (!userIds || userIds.length === 0) {
+    return Promise.resolve();
+  }
+
+  return notify('/mention', {
+    commentId: comment._id.toString(),
+    mentionedUserIds: userIds.map(id => id.toString())
+  }, req.headers.authorization);
+};
+
+module.exports = {
+  notifyTaskAssigned,
+  notifyMentioned
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+
+// Events are broadcast in-process, so a client hears about the changes made
+// through the task-service instance it is connected to
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let sequence = 0;
+
+/**
+ * Broadcast a task change to connected clients. Publishing never throws, so
+ * a failing stream cannot fail the task operation that triggered it.
+ * @param {string} type - task.created, task.updated, task.archived, task.unarchived or task.deleted
+ * @param {Object} task - Task after the change, or the removed task for task.deleted
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - Task before the change, so users who lost access hear about it
+ * @param {string} [options.actorId] - User who made the change
+ */
+const publishTaskEvent = (type, task, { previous = null, actorId = null } = {}) => {
+  try {
+    sequence += 1;
+
+    const occurredAt = new Date();
+    const payload = type === 'task.deleted'
+      ? { _id: task._id, isDeleted: true, deletedAt: occurredAt }
+      : { task };
+
+    bus.emit('task', {
+      id: sequence,
+      type,
+      task,
+      previous,
+      data: JSON.stringify({ ...payload, actorId, occurredAt }),
+      removedData: JSON.stringify({ _id: task._id, actorId, occurredAt })
+    });
+  } catch (error) {
+    console.error('Publish task event error:', error);
+  }
+};
+
+/**
+ * Listen to task changes
+ * @param {Function} listener - Called with { id, type, task, previous, data, removedData }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (listener) => {
+  bus.on('task', listener);
+  return () => bus.off('task', listener);
+};
+
+module.exports = {
+  publishTaskEvent,
+  subscribe
+};
\ No newline at end of file
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { Board, Task, Activity } = require('@tasktrackr/common');
+const { moveTask } = require('../src/controllers/boardController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('moveTask WIP limits', () => {
+  const userId = id();
+  let board;
+  let task;
+
+  const taskIn = (status, rank) => new Task({ userId, title: `${status} task`, status, statusCategory: status === 'pending' ? 'todo' : 'doing', rank });
+
+  const move = async (columnIndex = 1) => {
+    const req = {
+      params: { boardId: board._id.toString(), taskId: task._id.toString() },
+      body: { columnId: board.columns[columnIndex]._id.toString() },
+      user: { _id: userId },
+      taskAccess: { read: Task.accessFilter(userId), write: Task.accessFilter(userId, [], { includeAssigned: false }), readableProjectIds: [] }
+    };
+    const res = mockResponse();
+    await moveTask(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    board = new Board({
+      name: 'Personal',
+      userId,
+      columns: [
+        { name: 'To do', statuses: ['pending'] },
+        { name: 'Doing', statuses: ['in-progress'], wipLimit: 2 },
+        { name: 'Done', statuses: ['completed', 'cancelled'] }
+      ]
+    });
+    task = taskIn('pending', 'i');
+
+    jest.spyOn(Board, 'findOne').mockResolvedValue(board);
+    jest.spyOn(Board, 'claimColumn').mockResolvedValue(true);
+    jest.spyOn(Board, 'releaseColumn').mockResolvedValue({});
+    jest.spyOn(Task, 'findOne').mockResolvedValue(task);
+    jest.spyOn(Task, 'findOpenBlockers').mockResolvedValue([]);
+    jest.spyOn(Task, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const moved = new Task({ ...task.toObject(), ...update.$set });
+      jest.spyOn(moved, 'populate').mockResolvedValue(moved);
+      return moved;
+    });
+    jest.spyOn(Activity, 'recordMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves a task into a column below its limit, holding the column claim while writing', async () => {
+    jest.spyOn(Task, 'find').mockResolvedValue([taskIn('in-progress', 'a')]);
+
+    const res = await move();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Board.claimColumn).toHaveBeenCalledWith(board._id, board.columns[1]._id);
+    expect(Task.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: task._id, syncVersion: task.syncVersion }),
+      { $set: expect.objectContaining({ status: 'in-progress', statusCategory: 'doing' }) },
+      expect.anything()
+    );
+    expect(Board.releaseColumn).toHaveBeenCalledWith(board._id, board.columns[1]._id);
+    expect(Board.releaseColumn.mock.invocationCallOrder[0])
+      .toBeGreaterThan(Task.findOneAndUpdate.mock.invocationCallOrder[0]);
+  });
+
+  it('refuses a move into a full column without writing the task', async () => {
+    jest.spyOn(Task, 'find').mockResolvedValue([taskIn('in-progress', 'a'), taskIn('in-progress', 'b')]);
+
+    const res = await move();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].message).toBe('Column "Doing" is at its WIP limit of 2');
+    expect(Task.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Board.releaseColumn).toHaveBeenCalledTimes(1);
+  });
+
+  it('reorders a task within a full column without claiming it', async () => {
+    task = taskIn('in-progress', 'b');
+    Task.findOne.mockResolvedValue(task);
+    jest.spyOn(Task, 'find').mockResolvedValue([taskIn('in-progress', 'a'), task]);
+
+    const res = await move(1);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Board.claimColumn).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when a concurrent move keeps holding the column', async () => {
+    Board.claimColumn.mockResolvedValue(false);
+    jest.spyOn(Task, 'find').mockResolvedValue([]);
+
+    const res = await move();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].message).toBe('Column "Doing" is busy, please retry');
+    expect(Task.find).not.toHaveBeenCalled();
+    expect(Board.releaseColumn).not.toHaveBeenCalled();
+  });
+
+  it('does not claim columns without a limit', async () => {
+    jest.spyOn(Task, 'find').mockResolvedValue([]);
+
+    const res = await move(2);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Board.claimColumn).not.toHaveBeenCalled();
+  });
+});
+
+describe('Board.claimColumn', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a column that is free or whose claim has run out', async () => {
+    const boardId = id();
+    const columnId = id();
+    jest.spyOn(Board, 'findOneAndUpdate').mockResolvedValue({ _id: boardId });
+
+    expect(await Board.claimColumn(boardId, columnId)).toBe(true);
+
+    const [filter, update] = Board.findOneAndUpdate.mock.calls[0];
+    const { $elemMatch } = filter.columns;
+    expect($elemMatch._id).toBe(columnId);
+    expect($elemMatch.$or[0]).toEqual({ claimedUntil: null });
+    expect($elemMatch.$or[1].claimedUntil.$lte.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(update.$set['columns.$.claimedUntil'].getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('fails while another move holds the column', async () => {
+    jest.spyOn(Board, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await Board.claimColumn(id(), id())).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+const request = require('supertest');
+
+// Image processing is not exercised here, and its native binary need not be built
+jest.mock('sharp', () => jest.fn());
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const API_ROUTES = [
+  '/api/tasks',
+  '/api/tasks/search?q=report',
+  '/api/tasks/analytics',
+  '/api/projects',
+  '/api/events/tasks',
+  '/api/views',
+  '/api/boards',
+  '/api/custom-fields',
+  '/api/time/timesheet'
+];
+
+describe.each([
+  ['server.js', '../server'],
+  ['src/server.js', '../src/server']
+])('%s', (name, path) => {
+  let app;
+
+  beforeAll(() => {
+    app = require(path);
+  });
+
+  it('loads without connecting or listening', () => {
+    expect(typeof app).toBe('function');
+  });
+
+  it.each(API_ROUTES)('mounts %s behind authentication', async (route) => {
+    const response = await request(app).get(route);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('answers unknown routes with 404', async () => {
+    const response = await request(app).get('/api/unknown');
+
+    expect(response.status).toBe(404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { Task, Tombstone, SyncReceipt, Activity } = require('@tasktrackr/common');
+const { syncTasks } = require('../src/controllers/taskController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('syncTasks idempotency', () => {
+  const userId = id();
+
+  const sync = async (localChanges) => {
+    const req = {
+      body: { localChanges },
+      user: { _id: userId },
+      taskAccess: {
+        read: Task.accessFilter(userId),
+        write: Task.accessFilter(userId, [], { includeAssigned: false }),
+        canWriteProject: projectId => !projectId
+      }
+    };
+    const res = mockResponse();
+    await syncTasks(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    return res.json.mock.calls[0][0].data.syncResults;
+  };
+
+  const pendingReceipt = (taskId = id()) => ({
+    taskId,
+    complete: jest.fn().mockResolvedValue(),
+    deleteOne: jest.fn().mockResolvedValue()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Task, 'getChangesAfter').mockReturnValue({ populate: () => Promise.resolve([]) });
+    jest.spyOn(Tombstone, 'getDeletionsAfter').mockResolvedValue([]);
+    jest.spyOn(Task, 'findOneAndDelete').mockResolvedValue(null);
+    jest.spyOn(Task, 'validateDependencies').mockResolvedValue([]);
+    jest.spyOn(Task, 'resolveCustomFields').mockResolvedValue([]);
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Activity, 'recordMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a task under the ID reserved by the receipt and stores the result', async () => {
+    const receipt = pendingReceipt();
+    jest.spyOn(SyncReceipt, 'claim').mockResolvedValue({ receipt, claimed: true });
+
+    const [result] = await sync([{ type: 'create', tempId: 'tmp-1', idempotencyKey: 'create-1', data: { title: 'Offline task' } }]);
+
+    expect(SyncReceipt.claim).toHaveBeenCalledWith(userId, 'create-1', null);
+    expect(result).toEqual(expect.objectContaining({ type: 'created', tempId: 'tmp-1' }));
+    expect(result._id).toEqual(receipt.taskId);
+    expect(receipt.complete).toHaveBeenCalledWith(result);
+  });
+
+  it('answers a replayed change with the original result without applying it again', async () => {
+    const original = { type: 'created', _id: id(), tempId: 'tmp-1', syncVersion: 1 };
+    jest.spyOn(SyncReceipt, 'claim').mockResolvedValue({ receipt: { status: 'applied', result: original }, claimed: false });
+
+    const [result] = await sync([{ type: 'create', tempId: 'tmp-1', idempotencyKey: 'create-1', data: { title: 'Offline task' } }]);
+
+    expect(result).toEqual({ ...original, replayed: true });
+    expect(Task.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('reports a change whose key is still being applied', async () => {
+    jest.spyOn(SyncReceipt, 'claim').mockResolvedValue({ receipt: { status: 'pending' }, claimed: false });
+    const taskId = id();
+
+    const [result] = await sync([{ type: 'delete', _id: taskId, idempotencyKey: 'delete-1' }]);
+
+    expect(result).toEqual({ type: 'error', _id: taskId, error: 'Change with this idempotency key is still being applied' });
+    expect(Task.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  it('releases the key of a change that failed, so it can be retried', async () => {
+    const receipt = pendingReceipt();
+    jest.spyOn(SyncReceipt, 'claim').mockResolvedValue({ receipt, claimed: true });
+
+    const [result] = await sync([{ type: 'create', tempId: 'tmp-1', idempotencyKey: 'create-1', data: { title: 'Offline task', projectId: id() } }]);
+
+    expect(result).toEqual(expect.objectContaining({ type: 'error', error: 'Project editor access required' }));
+    expect(receipt.deleteOne).toHaveBeenCalled();
+    expect(receipt.complete).not.toHaveBeenCalled();
+  });
+
+  it('applies changes without a key directly', async () => {
+    jest.spyOn(SyncReceipt, 'claim');
+    const taskId = id();
+
+    const [result] = await sync([{ type: 'delete', _id: taskId }]);
+
+    expect(result).toEqual({ type: 'deleted', _id: taskId });
+    expect(SyncReceipt.claim).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file